@@ -8,8 +8,11 @@
  * - Color Blind Mode (grayscale)
  * - Dyslexia-Friendly Mode (OpenDyslexic font)
  * - Translator with RTL support
+ * - Low-data mode switch (see low-data.js)
  */
 
+import { getLowDataPreference, setLowDataPreference } from './low-data.js';
+
 // Global accessibility state
 const accessibilityState = {
     ttsEnabled: false,
@@ -26,6 +29,7 @@ let ttsButton;
 let colorBlindToggle;
 let dyslexiaToggle;
 let languageSelector;
+let lowDataSelector;
 
 // Initialize Accessibility Module
 export function initAccessibility() {
@@ -122,6 +126,17 @@ function createAccessibilityPanel() {
                 <p id="language-help" class="option-description">Translate page content</p>
             </div>
 
+            <!-- Low-Data Mode -->
+            <div class="accessibility-option">
+                <label for="low-data-select">Low-Data Mode</label>
+                <select id="low-data-select" aria-describedby="low-data-help">
+                    <option value="auto">Automatic</option>
+                    <option value="on">Always on</option>
+                    <option value="off">Off</option>
+                </select>
+                <p id="low-data-help" class="option-description">Load less on slow connections (automatic turns on when the connection is slow)</p>
+            </div>
+
             <!-- Reset Button -->
             <button id="reset-accessibility" class="reset-btn">Reset to Defaults</button>
         </div>
@@ -134,6 +149,8 @@ function createAccessibilityPanel() {
     colorBlindToggle = document.getElementById('colorblind-toggle');
     dyslexiaToggle = document.getElementById('dyslexia-toggle');
     languageSelector = document.getElementById('language-select');
+    lowDataSelector = document.getElementById('low-data-select');
+    if (lowDataSelector) lowDataSelector.value = getLowDataPreference();
     
     // Toggle menu visibility
     document.getElementById('accessibility-toggle').addEventListener('click', () => {
@@ -212,6 +229,15 @@ function setupAccessibilityListeners() {
         });
     }
     
+    // Low-Data Mode Selector
+    if (lowDataSelector) {
+        lowDataSelector.addEventListener('change', (e) => {
+            setLowDataPreference(e.target.value);
+            const labels = { auto: 'set to automatic', on: 'turned on', off: 'turned off' };
+            showMessage(`Low-data mode ${labels[e.target.value]}`, 'info');
+        });
+    }
+    
     // Close Button
     const closeBtn = document.getElementById('close-accessibility-menu');
     if (closeBtn) {
@@ -345,6 +371,9 @@ function setupTTS() {
 // Export setupTTS for use by other modules
 export { setupTTS };
 
+// Export speakText for spoken announcements (e.g. break reminders)
+export { speakText };
+
 /**
  * Speak text using Web Speech API - simple and reliable
  */
@@ -543,6 +572,8 @@ function resetAccessibility() {
     if (colorBlindToggle) colorBlindToggle.checked = false;
     if (dyslexiaToggle) dyslexiaToggle.checked = false;
     if (languageSelector) languageSelector.value = 'en';
+    if (lowDataSelector) lowDataSelector.value = 'auto';
+    setLowDataPreference('auto');
 
     document.body.classList.remove('colorblind-mode', 'dyslexia-mode', 'rtl-mode');
     document.body.style.direction = 'ltr';
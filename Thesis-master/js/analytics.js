@@ -0,0 +1,195 @@
+/**
+ * Reading Analytics Module
+ * Measures how journals are read and stores aggregated counters per journal
+ *
+ * Features:
+ * - View starts when a journal is expanded ("Keep reading")
+ * - Dwell time while the page is visible
+ * - Scroll completion (a read is complete once 90% of the text was on screen)
+ * - Aggregated counters only: views, totalReadSeconds, completions
+ * - Reads still open when the page is left, or ended while offline, are
+ *   queued in the offline outbox (see sync.js) and uploaded on the next visit
+ * - Insights summary for authors (views, average read time, completion rate)
+ */
+
+import { recordJournalStats, getJournalStats } from './firebase-config.js';
+import { enqueueOperation, shouldQueueWrites } from './sync.js';
+
+// Share of the text that must have been on screen for a completed read
+const COMPLETION_THRESHOLD = 0.9;
+
+// How often open reads are measured
+const TICK_INTERVAL = 1000;
+
+// Open reads by journal ID
+const activeReads = new Map();
+let tickTimer = null;
+let listenersAttached = false;
+
+/**
+ * Check if a journal's reads should be counted
+ * Sample journals are not stored, and authors reading their own posts don't count
+ */
+function isTrackable(journalId, authorId, readerId) {
+    if (!journalId || journalId.startsWith('sample-')) return false;
+    if (readerId && authorId && readerId === authorId) return false;
+    return true;
+}
+
+/**
+ * Get how much of the element has been on screen (0-1)
+ * With a scroll container (e.g. a modal body) its scroll position is used instead
+ */
+function getScrollProgress(element, scrollContainer) {
+    if (scrollContainer) {
+        if (scrollContainer.scrollHeight <= 0) return 1;
+        return Math.min(1, (scrollContainer.scrollTop + scrollContainer.clientHeight) / scrollContainer.scrollHeight);
+    }
+
+    const rect = element.getBoundingClientRect();
+    if (rect.height <= 0) return 1;
+    const visibleBottom = window.innerHeight - rect.top;
+    return Math.max(0, Math.min(1, visibleBottom / rect.height));
+}
+
+/**
+ * Measure every open read
+ */
+function tick() {
+    activeReads.forEach((read, journalId) => {
+        // The card was re-rendered or removed
+        if (!read.element.isConnected) {
+            stopReading(journalId);
+            return;
+        }
+
+        if (!document.hidden) {
+            read.dwellSeconds += TICK_INTERVAL / 1000;
+        }
+        read.maxProgress = Math.max(read.maxProgress, getScrollProgress(read.element, read.scrollContainer));
+    });
+
+    if (activeReads.size === 0) {
+        clearInterval(tickTimer);
+        tickTimer = null;
+    }
+}
+
+/**
+ * Queue every open read (the page is going away)
+ * A write to the server started now is usually dropped with the page; the
+ * outbox is in IndexedDB, so the reads are uploaded on the next visit.
+ */
+function queueAllReading() {
+    Array.from(activeReads.keys()).forEach(journalId => queueRead(journalId, takeRead(journalId)));
+}
+
+/**
+ * Start measuring a read
+ *
+ * options:
+ * - authorId / readerId: reads by the author are not counted
+ * - scrollContainer: element whose scroll position measures completion
+ */
+export function startReading(journalId, element, options = {}) {
+    if (!element || activeReads.has(journalId)) return;
+    if (!isTrackable(journalId, options.authorId, options.readerId)) return;
+
+    activeReads.set(journalId, {
+        element,
+        scrollContainer: options.scrollContainer || null,
+        dwellSeconds: 0,
+        maxProgress: getScrollProgress(element, options.scrollContainer)
+    });
+
+    if (!listenersAttached) {
+        window.addEventListener('pagehide', queueAllReading);
+        listenersAttached = true;
+    }
+    if (!tickTimer) {
+        tickTimer = setInterval(tick, TICK_INTERVAL);
+    }
+}
+
+/**
+ * Stop measuring a read and add it to the journal's counters
+ */
+export async function stopReading(journalId) {
+    const counters = takeRead(journalId);
+    if (!counters) return;
+
+    if (shouldQueueWrites()) {
+        await queueRead(journalId, counters);
+        return;
+    }
+
+    const result = await recordJournalStats(journalId, counters);
+    if (!result.success) {
+        console.error('Could not record read for journal', journalId, result.error);
+    }
+}
+
+/**
+ * End a read and get its counters (null when it was not being measured)
+ */
+function takeRead(journalId) {
+    const read = activeReads.get(journalId);
+    if (!read) return null;
+    activeReads.delete(journalId);
+
+    return {
+        views: 1,
+        totalReadSeconds: Math.round(read.dwellSeconds),
+        completions: read.maxProgress >= COMPLETION_THRESHOLD ? 1 : 0
+    };
+}
+
+/**
+ * Upload a read later (see sync.js)
+ */
+async function queueRead(journalId, counters) {
+    const result = await enqueueOperation('recordJournalStats', { journalId, counters });
+    if (!result.success) {
+        console.error('Could not queue read for journal', journalId, result.error);
+    }
+}
+
+/**
+ * Check if a read is being measured
+ */
+export function isReading(journalId) {
+    return activeReads.has(journalId);
+}
+
+/**
+ * Get reading insights for a journal
+ * Returns { success, insights: { views, averageReadSeconds, completionRate } }
+ */
+export async function getJournalInsights(journalId) {
+    const result = await getJournalStats(journalId);
+    if (!result.success) return result;
+
+    const { views, totalReadSeconds, completions } = result.stats;
+    return {
+        success: true,
+        insights: {
+            views,
+            averageReadSeconds: views > 0 ? Math.round(totalReadSeconds / views) : 0,
+            completionRate: views > 0 ? completions / views : 0
+        }
+    };
+}
+
+/**
+ * Format a read time as "1m 20s"
+ */
+export function formatReadTime(seconds) {
+    if (!seconds || seconds < 0) return '0s';
+
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    if (minutes > 0) {
+        return remainder > 0 ? `${minutes}m ${remainder}s` : `${minutes}m`;
+    }
+    return `${remainder}s`;
+}
@@ -0,0 +1,334 @@
+/**
+ * Connection Diagnostics Module
+ * Keeps a rolling log of connection events so "saving sometimes fails" can
+ * be looked into after the fact
+ *
+ * Features:
+ * - Records online/offline transitions, latency and speed samples, failed
+ *   sync service requests and failed sync attempts (written by network.js)
+ * - Stored in IndexedDB on this device (last 7 days, at most 500 entries)
+ * - Expandable panel on the network indicator: latency sparkline for the
+ *   last hour, timeline of recent events and a "Copy diagnostics report" button
+ */
+
+import { idbGetAll, idbPut, idbClear, withStore, isIndexedDBAvailable } from './idb.js';
+
+const STORE = 'diagnostics';
+const MAX_ENTRIES = 500;
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// Old entries are pruned every few writes rather than on each one
+const PRUNE_EVERY = 25;
+
+const SPARKLINE_WINDOW = 60 * 60 * 1000;
+const TIMELINE_LENGTH = 30;
+
+// Used when IndexedDB is not available (entries last until the page closes)
+let memoryLog = [];
+let writesSincePrune = PRUNE_EVERY;
+
+// Panel elements and the callback giving the current connection state
+let toggleButton = null;
+let panel = null;
+let getSnapshot = () => ({});
+
+/**
+ * Record a diagnostic event
+ * type: 'online' | 'offline' | 'latency' | 'speed' | 'request-failed' |
+ * 'sync-failed' | 'backend'; details are stored with it (e.g. { ms })
+ */
+export async function recordDiagnostic(type, details = {}) {
+    const entry = { at: Date.now(), type, ...details };
+
+    try {
+        if (!isIndexedDBAvailable()) throw new Error('IndexedDB is not available');
+        await idbPut(STORE, entry);
+
+        if (++writesSincePrune >= PRUNE_EVERY) {
+            writesSincePrune = 0;
+            await pruneDiagnostics();
+        }
+    } catch (error) {
+        memoryLog = [...memoryLog, entry].slice(-MAX_ENTRIES);
+    }
+
+    if (panel && !panel.hidden) renderPanel();
+}
+
+/**
+ * Delete entries that are too old, then the oldest beyond MAX_ENTRIES
+ */
+function pruneDiagnostics() {
+    const cutoff = Date.now() - MAX_AGE;
+
+    return withStore(STORE, 'readwrite', store => new Promise((resolve, reject) => {
+        const countRequest = store.count();
+        countRequest.onerror = () => reject(countRequest.error);
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - MAX_ENTRIES;
+            // Keys (seq) increase with time, so the cursor starts at the oldest
+            const cursorRequest = store.openCursor();
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || (excess <= 0 && cursor.value.at >= cutoff)) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+        };
+    }));
+}
+
+/**
+ * Get the recorded entries, oldest first
+ */
+export async function getDiagnostics() {
+    try {
+        if (!isIndexedDBAvailable()) throw new Error('IndexedDB is not available');
+        const entries = await idbGetAll(STORE);
+        return [...entries, ...memoryLog].sort((a, b) => a.at - b.at);
+    } catch (error) {
+        return [...memoryLog];
+    }
+}
+
+/**
+ * Delete all recorded entries
+ */
+export async function clearDiagnostics() {
+    memoryLog = [];
+    try {
+        if (isIndexedDBAvailable()) await idbClear(STORE);
+    } catch (error) {
+        console.error('Error clearing diagnostics:', error);
+    }
+}
+
+/**
+ * Add the diagnostics toggle to the network indicator
+ * snapshot() returns the current connection state as { label: value } pairs,
+ * shown at the top of the panel and the report
+ */
+export function initDiagnosticsPanel(indicator, snapshot) {
+    if (!indicator) return;
+    if (snapshot) getSnapshot = snapshot;
+
+    toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'network-diagnostics-toggle';
+    toggleButton.setAttribute('aria-expanded', 'false');
+    toggleButton.setAttribute('aria-controls', 'network-diagnostics-panel');
+    toggleButton.setAttribute('aria-label', 'Show connection diagnostics');
+    toggleButton.setAttribute('data-tts', 'Show connection diagnostics');
+    toggleButton.title = 'Connection diagnostics';
+    toggleButton.innerHTML = '<span aria-hidden="true">▾</span>';
+    toggleButton.addEventListener('click', () => setPanelOpen(panel.hidden));
+    indicator.appendChild(toggleButton);
+
+    panel = document.getElementById('network-diagnostics-panel');
+    if (!panel) {
+        panel = document.createElement('section');
+        panel.id = 'network-diagnostics-panel';
+        panel.className = 'network-diagnostics-panel';
+        panel.setAttribute('aria-label', 'Connection diagnostics');
+        document.body.appendChild(panel);
+    }
+    panel.hidden = true;
+
+    panel.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-diagnostics-action]')?.dataset.diagnosticsAction;
+        if (action === 'copy') copyDiagnosticsReport();
+        if (action === 'clear') clearDiagnostics().then(renderPanel);
+        if (action === 'close') {
+            setPanelOpen(false);
+            toggleButton.focus();
+        }
+    });
+
+    panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            setPanelOpen(false);
+            toggleButton.focus();
+        }
+    });
+}
+
+/**
+ * Open or close the panel
+ */
+function setPanelOpen(open) {
+    panel.hidden = !open;
+    toggleButton.setAttribute('aria-expanded', String(open));
+    toggleButton.setAttribute('aria-label', open ? 'Hide connection diagnostics' : 'Show connection diagnostics');
+    if (open) renderPanel();
+}
+
+/**
+ * Render the panel from the log
+ */
+async function renderPanel() {
+    if (!panel) return;
+
+    const entries = await getDiagnostics();
+    const recent = entries.slice(-TIMELINE_LENGTH).reverse();
+    const snapshot = getSnapshot();
+
+    panel.innerHTML = `
+        <div class="diagnostics-header">
+            <h3 data-i18n="Connection diagnostics">Connection diagnostics</h3>
+            <button type="button" class="diagnostics-close" data-diagnostics-action="close" aria-label="Close diagnostics">×</button>
+        </div>
+        <dl class="diagnostics-snapshot">
+            ${Object.entries(snapshot).map(([label, value]) => `
+                <div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(String(value))}</dd></div>
+            `).join('')}
+        </dl>
+        ${renderSparkline(entries)}
+        <h4>Recent events</h4>
+        ${recent.length === 0
+            ? '<p class="diagnostics-empty">Nothing recorded yet</p>'
+            : `<ol class="diagnostics-timeline">
+                ${recent.map(entry => `
+                    <li class="diagnostics-event diagnostics-${entry.type}">
+                        <time datetime="${new Date(entry.at).toISOString()}">${formatTime(entry.at)}</time>
+                        <span>${escapeHtml(describeEntry(entry))}</span>
+                    </li>
+                `).join('')}
+            </ol>`}
+        <div class="diagnostics-actions">
+            <button type="button" class="btn btn-primary" data-diagnostics-action="copy" data-tts="Copy diagnostics report">Copy diagnostics report</button>
+            <button type="button" class="btn btn-secondary" data-diagnostics-action="clear" data-tts="Clear diagnostics">Clear</button>
+        </div>
+        <p class="diagnostics-copy-status" role="status" aria-live="polite"></p>
+    `;
+}
+
+/**
+ * Latency over the last hour; failed measurements and offline periods are
+ * drawn as red marks under the line
+ */
+function renderSparkline(entries) {
+    const width = 240;
+    const height = 48;
+    const padding = 4;
+    const now = Date.now();
+    const start = now - SPARKLINE_WINDOW;
+
+    const windowEntries = entries.filter(entry => entry.at >= start);
+    const samples = windowEntries.filter(entry => entry.type === 'latency' && entry.ms != null);
+    const failures = windowEntries.filter(entry =>
+        entry.type === 'offline' || entry.type === 'request-failed' || entry.type === 'sync-failed' ||
+        (entry.type === 'latency' && entry.ms == null));
+
+    if (samples.length === 0 && failures.length === 0) {
+        return '<p class="diagnostics-empty">No latency measured in the last hour</p>';
+    }
+
+    const maxMs = Math.max(100, ...samples.map(entry => entry.ms));
+    const x = at => Math.round(padding + ((at - start) / SPARKLINE_WINDOW) * (width - padding * 2));
+    const y = ms => Math.round(height - padding - (ms / maxMs) * (height - padding * 2));
+
+    const points = samples.map(entry => `${x(entry.at)},${y(entry.ms)}`).join(' ');
+    const marks = failures.map(entry =>
+        `<line x1="${x(entry.at)}" y1="${height - padding}" x2="${x(entry.at)}" y2="${height - padding - 8}" class="diagnostics-failure-mark"><title>${formatTime(entry.at)}: ${escapeHtml(describeEntry(entry))}</title></line>`
+    ).join('');
+
+    const sorted = samples.map(entry => entry.ms).sort((a, b) => a - b);
+    const summary = sorted.length
+        ? `Latency in the last hour: median ${sorted[Math.floor(sorted.length / 2)]} ms, highest ${sorted[sorted.length - 1]} ms, ${failures.length} failure(s)`
+        : `No latency measured in the last hour, ${failures.length} failure(s)`;
+
+    return `
+        <figure class="diagnostics-sparkline">
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(summary)}">
+                <polyline points="${points}" class="diagnostics-latency-line" />
+                ${marks}
+            </svg>
+            <figcaption data-tts="${escapeHtml(summary)}">${escapeHtml(summary)}</figcaption>
+        </figure>
+    `;
+}
+
+/**
+ * Describe an entry in words
+ */
+function describeEntry(entry) {
+    switch (entry.type) {
+        case 'online': return 'Back online';
+        case 'offline': return 'Went offline';
+        case 'latency': return entry.ms == null ? 'Latency check failed' : `Latency ${entry.ms} ms`;
+        case 'speed': return `Speed ${entry.kbps} kbps${entry.reliable ? '' : ' (rough)'}`;
+        case 'request-failed': return `Sync service ${entry.method} ${entry.outcome === 'stalled' ? 'not answering' : 'failed'}${entry.code ? ` (${entry.code})` : ''}`;
+        case 'sync-failed': return `Upload of ${entry.operation} failed${entry.permanent ? '' : ', will retry'}: ${entry.error}`;
+        case 'backend': return `Sync service ${entry.state}`;
+        default: return entry.type;
+    }
+}
+
+/**
+ * Build a plain-text report of the current state and the whole log
+ */
+export async function getDiagnosticsReport() {
+    const entries = await getDiagnostics();
+    const snapshot = getSnapshot();
+    const connection = navigator.connection;
+
+    const lines = [
+        'Connection diagnostics report',
+        `Generated: ${new Date().toISOString()}`,
+        `Page: ${window.location.pathname}`,
+        `Browser: ${navigator.userAgent}`,
+        ...Object.entries(snapshot).map(([label, value]) => `${label}: ${value}`)
+    ];
+
+    if (connection) {
+        lines.push(`Browser estimate: ${connection.effectiveType || '?'}, ${connection.downlink ?? '?'} Mbps, ${connection.rtt ?? '?'} ms${connection.saveData ? ', data saver on' : ''}`);
+    }
+
+    lines.push('', `Events (${entries.length}, oldest first):`);
+    entries.forEach(entry => {
+        lines.push(`${new Date(entry.at).toISOString()}  ${describeEntry(entry)}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Copy the report to the clipboard, or show it for copying by hand
+ */
+async function copyDiagnosticsReport() {
+    const report = await getDiagnosticsReport();
+    const status = panel.querySelector('.diagnostics-copy-status');
+
+    try {
+        await navigator.clipboard.writeText(report);
+        status.textContent = 'Diagnostics report copied';
+    } catch (error) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'diagnostics-report';
+        textarea.readOnly = true;
+        textarea.value = report;
+        textarea.setAttribute('aria-label', 'Diagnostics report');
+        status.textContent = 'Copying is blocked here - select the report below and copy it';
+        status.after(textarea);
+        textarea.focus();
+        textarea.select();
+    }
+}
+
+function formatTime(at) {
+    const date = new Date(at);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    return sameDay
+        ? date.toLocaleTimeString()
+        : `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
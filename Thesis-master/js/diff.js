@@ -0,0 +1,142 @@
+/**
+ * Text Diff Module
+ * Word-level differences between two versions of a text
+ *
+ * Features:
+ * - Longest-common-subsequence diff on words (whitespace is kept)
+ * - Common beginnings and endings are skipped, so long texts with small
+ *   edits stay fast
+ * - HTML rendering of either side with removed/added words highlighted, or
+ *   of both in one text
+ */
+
+// Largest LCS table (words x words) before falling back to a block diff
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Split text into words and the whitespace between them
+ */
+function tokenize(text) {
+    return (text || '').split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * Add a part, joining it to the previous part of the same type
+ */
+function pushPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+}
+
+/**
+ * Diff two texts word by word
+ * Returns [{ type: 'same' | 'removed' | 'added', text }] in reading order,
+ * where removed text is only in before and added text only in after
+ */
+export function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const parts = [];
+
+    // Skip the common beginning and ending
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    if (start > 0) pushPart(parts, 'same', a.slice(0, start).join(''));
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+
+    if (middleA.length * middleB.length > MAX_DIFF_CELLS) {
+        // Too long to compare word by word; show the changed block as a whole
+        if (middleA.length) pushPart(parts, 'removed', middleA.join(''));
+        if (middleB.length) pushPart(parts, 'added', middleB.join(''));
+    } else {
+        diffMiddle(middleA, middleB, parts);
+    }
+
+    if (endA < a.length) pushPart(parts, 'same', a.slice(endA).join(''));
+    return parts;
+}
+
+/**
+ * LCS diff of two token lists
+ */
+function diffMiddle(a, b, parts) {
+    const columns = b.length + 1;
+    // lengths[i * columns + j] = LCS length of a[i..] and b[j..]
+    const lengths = new Uint32Array((a.length + 1) * columns);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * columns + j] = a[i] === b[j]
+                ? lengths[(i + 1) * columns + j + 1] + 1
+                : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pushPart(parts, 'same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+            pushPart(parts, 'removed', a[i++]);
+        } else {
+            pushPart(parts, 'added', b[j++]);
+        }
+    }
+    while (i < a.length) pushPart(parts, 'removed', a[i++]);
+    while (j < b.length) pushPart(parts, 'added', b[j++]);
+}
+
+/**
+ * Render one side of a diff as HTML
+ * side: 'before' shows same + removed text, 'after' shows same + added text
+ */
+export function renderDiffSide(parts, side) {
+    const changeType = side === 'before' ? 'removed' : 'added';
+    const tag = side === 'before' ? 'del' : 'ins';
+
+    return parts
+        .filter(part => part.type === 'same' || part.type === changeType)
+        .map(part => part.type === 'same'
+            ? escapeHtml(part.text)
+            : `<${tag} class="diff-${changeType}">${escapeHtml(part.text)}</${tag}>`)
+        .join('');
+}
+
+/**
+ * Render both sides of a diff in one text as HTML
+ * Removed words are struck out where they were, added words highlighted
+ */
+export function renderDiffInline(parts) {
+    return parts
+        .map(part => {
+            if (part.type === 'removed') return `<del class="diff-removed">${escapeHtml(part.text)}</del>`;
+            if (part.type === 'added') return `<ins class="diff-added">${escapeHtml(part.text)}</ins>`;
+            return escapeHtml(part.text);
+        })
+        .join('');
+}
+
+/**
+ * Escape HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,460 @@
+/**
+ * Draft History Module
+ * Earlier versions of each draft, so text lost to an accidental delete can
+ * be brought back after the autosave has overwritten it
+ *
+ * Features:
+ * - A snapshot on every meaningful change (a few words, the title or tags,
+ *   or any change a minute after the last snapshot)
+ * - The text just before a large deletion is always kept
+ * - Compacted over time: everything from the last 15 minutes, then the latest
+ *   and the longest version of every 10 minutes for a day, then of every hour;
+ *   at most MAX_SNAPSHOTS per draft
+ * - Stored in IndexedDB on this device (not synced with the draft); encrypted
+ *   when encryption is on, and not recorded or shown while locked (see vault.js)
+ * - Timeline in the editor: two sliders pick the versions to compare, a
+ *   word-level diff shows what changed, and each can be restored in one click
+ */
+
+import { idbGetAll, idbPut, idbDelete, withStore, isIndexedDBAvailable } from './idb.js';
+import { diffWords, renderDiffInline } from './diff.js';
+import { isEncryptionEnabled, isVaultLocked, sealFields, openFields, addVaultListener } from './vault.js';
+
+const STORE = 'draftHistory';
+const MAX_SNAPSHOTS = 50;
+
+// What counts as a meaningful change
+const MIN_CHANGED_WORDS = 3;
+const SNAPSHOT_INTERVAL = 60 * 1000; // any change after a minute
+const LARGE_REMOVAL_WORDS = 10;
+
+// Compaction: keep everything this recent, then thin out by period
+const KEEP_ALL_FOR = 15 * 60 * 1000;
+const RECENT_PERIOD = 10 * 60 * 1000;
+const RECENT_FOR = 24 * 60 * 60 * 1000;
+const OLD_PERIOD = 60 * 60 * 1000;
+
+// Used when IndexedDB is not available (history lasts until the page closes)
+let memoryHistory = {};
+let memorySeq = 0;
+
+// Snapshots are written one at a time so compaction never races a write
+let writeQueue = Promise.resolve();
+
+// Timeline elements and state
+let panel = null;
+let activeKey = null;
+let restoreHandler = null;
+let getCurrent = () => null;
+// Selected versions, by snapshot id ('current' for the text in the editor)
+let selection = { from: null, to: 'current' };
+let shownVersions = [];
+
+/**
+ * Record a snapshot of a draft if it changed meaningfully since the last one
+ * draft: { title, content, tags, savedAt }
+ * previous: the draft before this save (or the journal as it was opened);
+ * kept as well when this save removes a lot of it
+ * options.force: record even a small change (e.g. before a restore)
+ */
+export function recordDraftSnapshot(draftKey, draft, previous = null, options = {}) {
+    writeQueue = writeQueue
+        .then(() => addSnapshots(draftKey, draft, previous, options))
+        .catch(error => console.error('Error saving draft history:', error));
+    return writeQueue;
+}
+
+async function addSnapshots(draftKey, draft, previous, { force = false } = {}) {
+    if (!draftKey || isEmpty(draft) || isVaultLocked()) return;
+
+    const history = await getDraftHistory(draftKey);
+    const last = history[history.length - 1] || null;
+    if (last && sameText(last, draft)) return;
+    if (!force && !isMeaningfulChange(last, draft)) return;
+
+    // Keep the text this save replaced when it is the first version we see
+    // (e.g. the journal being edited) or when most of it was just deleted
+    if (previous && !isEmpty(previous) && !sameText(previous, draft) &&
+        (!last || (!sameText(previous, last) && isLargeRemoval(previous, draft)))) {
+        await putSnapshot(toSnapshot(draftKey, previous, Math.min(previous.savedAt || draft.savedAt, draft.savedAt) - 1));
+    }
+
+    await putSnapshot(toSnapshot(draftKey, draft, draft.savedAt));
+    await compactDraftHistory(draftKey);
+
+    if (draftKey === activeKey) renderTimeline();
+}
+
+function toSnapshot(draftKey, draft, at) {
+    return {
+        draftKey,
+        at: at || Date.now(),
+        title: draft.title || '',
+        content: draft.content || '',
+        tags: draft.tags || ''
+    };
+}
+
+function isEmpty(draft) {
+    return !draft || (!draft.title && !draft.content);
+}
+
+function sameText(a, b) {
+    return (a.title || '') === (b.title || '') && (a.content || '') === (b.content || '') &&
+        (a.tags || '') === (b.tags || '');
+}
+
+/**
+ * Count the words removed and added between two texts
+ */
+function countChanges(before, after) {
+    const counts = { removed: 0, added: 0 };
+    diffWords(before, after).forEach(part => {
+        if (part.type !== 'same') counts[part.type] += part.text.split(/\s+/).filter(Boolean).length;
+    });
+    return counts;
+}
+
+function isMeaningfulChange(last, next) {
+    if (!last) return true;
+    if (last.title !== (next.title || '') || last.tags !== (next.tags || '')) return true;
+
+    const { removed, added } = countChanges(last.content, next.content);
+    return removed + added >= MIN_CHANGED_WORDS || (next.savedAt || Date.now()) - last.at >= SNAPSHOT_INTERVAL;
+}
+
+function isLargeRemoval(before, after) {
+    const { removed } = countChanges(before.content, after.content);
+    return removed >= LARGE_REMOVAL_WORDS && (after.content || '').length < (before.content || '').length / 2;
+}
+
+/**
+ * Which snapshots to keep (given oldest first)
+ * Older snapshots are grouped by period; each period keeps its latest and its
+ * longest version, so a deletion late in a period doesn't take the text with it
+ */
+function compactSnapshots(snapshots, now = Date.now()) {
+    const keep = new Set();
+    const periods = new Map();
+
+    snapshots.forEach(snapshot => {
+        const age = now - snapshot.at;
+        if (age < KEEP_ALL_FOR) {
+            keep.add(snapshot);
+            return;
+        }
+
+        const length = age < RECENT_FOR ? RECENT_PERIOD : OLD_PERIOD;
+        const id = `${length}:${Math.floor(snapshot.at / length)}`;
+        const period = periods.get(id) || { latest: snapshot, longest: snapshot };
+        if (snapshot.at >= period.latest.at) period.latest = snapshot;
+        if (textLength(snapshot) >= textLength(period.longest)) period.longest = snapshot;
+        periods.set(id, period);
+    });
+
+    periods.forEach(period => {
+        keep.add(period.latest);
+        keep.add(period.longest);
+    });
+
+    return snapshots.filter(snapshot => keep.has(snapshot)).slice(-MAX_SNAPSHOTS);
+}
+
+function textLength(snapshot) {
+    return snapshot.title.length + snapshot.content.length + snapshot.tags.length;
+}
+
+async function compactDraftHistory(draftKey) {
+    const history = await getDraftHistory(draftKey);
+    const kept = new Set(compactSnapshots(history));
+    const removed = history.filter(snapshot => !kept.has(snapshot));
+    if (removed.length === 0) return;
+
+    if (memoryHistory[draftKey]) {
+        memoryHistory[draftKey] = memoryHistory[draftKey].filter(snapshot => kept.has(snapshot));
+    }
+
+    const stored = removed.filter(snapshot => typeof snapshot.id === 'number');
+    if (stored.length === 0) return;
+    await withStore(STORE, 'readwrite', store => {
+        stored.forEach(snapshot => store.delete(snapshot.id));
+    });
+}
+
+async function putSnapshot(snapshot) {
+    try {
+        if (!isIndexedDBAvailable()) throw new Error('IndexedDB is not available');
+        snapshot.id = await idbPut(STORE, await sealSnapshot(snapshot));
+    } catch (error) {
+        snapshot.id = `memory-${++memorySeq}`;
+        memoryHistory[snapshot.draftKey] = [...(memoryHistory[snapshot.draftKey] || []), snapshot];
+    }
+}
+
+/**
+ * Get a draft's snapshots, oldest first
+ */
+export async function getDraftHistory(draftKey) {
+    const inMemory = isVaultLocked() ? [] : memoryHistory[draftKey] || [];
+
+    try {
+        if (!isIndexedDBAvailable()) throw new Error('IndexedDB is not available');
+        const snapshots = await Promise.all((await idbGetAll(STORE, 'draftKey', draftKey)).map(openSnapshot));
+        return [...snapshots.filter(Boolean), ...inMemory].sort((a, b) => a.at - b.at);
+    } catch (error) {
+        return [...inMemory];
+    }
+}
+
+/**
+ * With encryption on, a snapshot's text is stored sealed
+ */
+async function sealSnapshot(snapshot) {
+    if (!isEncryptionEnabled()) return snapshot;
+
+    const { title, content, tags, ...rest } = snapshot;
+    return { ...rest, title: '', content: '', tags: '', sealed: await sealFields({ title, content, tags }) };
+}
+
+/**
+ * Decrypt a stored snapshot; null when it can't be decrypted (e.g. locked)
+ */
+async function openSnapshot(snapshot) {
+    if (!snapshot.sealed) return snapshot;
+
+    const fields = await openFields(snapshot.sealed);
+    if (!fields) return null;
+    const { sealed, ...rest } = snapshot;
+    return { ...rest, ...fields };
+}
+
+/**
+ * Encrypt the snapshots stored before encryption was turned on
+ */
+function sealStoredSnapshots() {
+    writeQueue = writeQueue
+        .then(async () => {
+            if (!isIndexedDBAvailable()) return;
+            const snapshots = await idbGetAll(STORE);
+            for (const snapshot of snapshots.filter(stored => !stored.sealed)) {
+                await idbPut(STORE, await sealSnapshot(snapshot));
+            }
+        })
+        .catch(error => console.error('Error encrypting draft history:', error));
+    return writeQueue;
+}
+
+/**
+ * Delete a draft's history (when it is published or discarded)
+ */
+export function deleteDraftHistory(draftKey) {
+    delete memoryHistory[draftKey];
+
+    writeQueue = writeQueue
+        .then(async () => {
+            if (!isIndexedDBAvailable()) return;
+            const snapshots = await idbGetAll(STORE, 'draftKey', draftKey);
+            await Promise.all(snapshots.map(snapshot => idbDelete(STORE, snapshot.id)));
+        })
+        .catch(error => console.error('Error deleting draft history:', error));
+
+    if (draftKey === activeKey) showDraftHistory(null);
+    return writeQueue;
+}
+
+/**
+ * Count the snapshots kept for drafts that no longer exist
+ * Returns { count, bytes }
+ */
+export async function measureUnusedDraftHistory(draftKeys) {
+    const unused = await getUnusedSnapshots(draftKeys);
+    return {
+        count: unused.length,
+        bytes: unused.reduce((total, snapshot) => total + new TextEncoder().encode(JSON.stringify(snapshot)).length, 0)
+    };
+}
+
+/**
+ * Delete the snapshots of drafts that no longer exist
+ * Resolves with the number deleted
+ */
+export function deleteUnusedDraftHistory(draftKeys) {
+    let deleted = 0;
+
+    writeQueue = writeQueue
+        .then(async () => {
+            const unused = await getUnusedSnapshots(draftKeys);
+            await Promise.all(unused.map(snapshot => idbDelete(STORE, snapshot.id)));
+            deleted = unused.length;
+        })
+        .catch(error => console.error('Error deleting draft history:', error));
+
+    return writeQueue.then(() => deleted);
+}
+
+async function getUnusedSnapshots(draftKeys) {
+    if (!isIndexedDBAvailable()) return [];
+
+    const keep = new Set(draftKeys);
+    return (await idbGetAll(STORE)).filter(snapshot => !keep.has(snapshot.draftKey));
+}
+
+/**
+ * Set up the timeline (a <details> element in the editor)
+ * options.getCurrent(): the text in the editor, { title, content, tags }
+ * options.onRestore(snapshot): put a version back into the editor
+ */
+export function initDraftHistory(panelId = 'draft-history', options = {}) {
+    panel = document.getElementById(panelId);
+    if (!panel) return;
+
+    if (options.getCurrent) getCurrent = options.getCurrent;
+    restoreHandler = options.onRestore || null;
+
+    panel.hidden = true;
+    panel.addEventListener('toggle', () => {
+        if (panel.open) renderTimeline();
+    });
+    panel.addEventListener('input', handleSliderInput);
+    panel.addEventListener('click', handleRestoreClick);
+
+    addVaultListener(({ type }) => {
+        if (type === 'enabled') sealStoredSnapshots();
+        if (type === 'locked' || type === 'unlocked') renderTimeline();
+    });
+}
+
+/**
+ * Show the timeline for a draft (null hides it)
+ */
+export function showDraftHistory(draftKey) {
+    if (draftKey !== activeKey) {
+        activeKey = draftKey;
+        selection = { from: null, to: 'current' };
+        if (panel) panel.open = false;
+    }
+    renderTimeline();
+}
+
+/**
+ * Render the timeline: the snapshots plus the text in the editor as "Now"
+ */
+async function renderTimeline() {
+    if (!panel) return;
+
+    const key = activeKey;
+    const history = key ? await getDraftHistory(key) : [];
+    if (key !== activeKey) return;
+
+    const count = panel.querySelector('.draft-history-count');
+    if (count) count.textContent = history.length;
+    panel.hidden = history.length === 0;
+
+    const body = panel.querySelector('.draft-history-body');
+    if (body && history.length === 0) body.innerHTML = '';
+    if (!body || !panel.open || history.length === 0) return;
+
+    const current = getCurrent();
+    shownVersions = [...history];
+    if (current && !sameText(current, history[history.length - 1])) {
+        shownVersions.push({ ...toSnapshot(key, current, Date.now()), id: 'current' });
+    }
+
+    const last = shownVersions.length - 1;
+    const fromIndex = findVersion(selection.from, Math.max(0, last - 1));
+    const toIndex = findVersion(selection.to, last);
+
+    body.innerHTML = `
+        <div class="draft-history-sliders">
+            ${renderSlider('from', 'From', fromIndex, last)}
+            ${renderSlider('to', 'To', toIndex, last)}
+        </div>
+        <div class="draft-history-diff" aria-live="polite"></div>
+    `;
+    renderSelection();
+}
+
+function findVersion(id, fallback) {
+    const index = shownVersions.findIndex(version => version.id === id);
+    return index === -1 ? fallback : index;
+}
+
+function renderSlider(name, label, value, max) {
+    return `
+        <div class="draft-history-slider">
+            <label>
+                <span class="draft-history-label">${label}</span>
+                <input type="range" data-history-slider="${name}" min="0" max="${max}" step="1" value="${value}"
+                    aria-valuetext="${escapeHtml(versionLabel(shownVersions[value]))}" ${max === 0 ? 'disabled' : ''}>
+            </label>
+            <output class="draft-history-time" data-history-output="${name}"></output>
+            <button type="button" class="btn btn-sm btn-secondary" data-history-restore="${name}" data-tts="Restore this version">Restore</button>
+        </div>
+    `;
+}
+
+function versionLabel(version) {
+    if (!version) return '';
+    return version.id === 'current' ? 'Now (in the editor)' : new Date(version.at).toLocaleString();
+}
+
+/**
+ * Show the selected versions and the diff between them
+ */
+function renderSelection() {
+    const from = shownVersions[getSliderValue('from')];
+    const to = shownVersions[getSliderValue('to')];
+    if (!from || !to) return;
+
+    selection = { from: from.id, to: to.id };
+
+    ['from', 'to'].forEach(name => {
+        const version = name === 'from' ? from : to;
+        const slider = panel.querySelector(`[data-history-slider="${name}"]`);
+        slider.setAttribute('aria-valuetext', versionLabel(version));
+        panel.querySelector(`[data-history-output="${name}"]`).textContent = versionLabel(version);
+        // Restoring the text already in the editor would do nothing
+        panel.querySelector(`[data-history-restore="${name}"]`).disabled = version.id === 'current';
+    });
+
+    const diff = panel.querySelector('.draft-history-diff');
+    if (sameText(from, to)) {
+        diff.innerHTML = '<p class="draft-history-same">No changes between these versions</p>';
+        return;
+    }
+
+    const { removed, added } = countChanges(from.content, to.content);
+    diff.innerHTML = `
+        <p class="draft-history-summary">${removed} word${removed === 1 ? '' : 's'} removed, ${added} added</p>
+        ${from.title !== to.title ? `<p class="draft-history-field"><strong>Title:</strong> ${renderDiffInline(diffWords(from.title, to.title))}</p>` : ''}
+        ${from.tags !== to.tags ? `<p class="draft-history-field"><strong>Tags:</strong> ${renderDiffInline(diffWords(from.tags, to.tags))}</p>` : ''}
+        <div class="draft-history-text">${renderDiffInline(diffWords(from.content, to.content))}</div>
+    `;
+}
+
+function getSliderValue(name) {
+    return Number(panel.querySelector(`[data-history-slider="${name}"]`)?.value);
+}
+
+function handleSliderInput(event) {
+    if (event.target.matches('[data-history-slider]')) renderSelection();
+}
+
+async function handleRestoreClick(event) {
+    const button = event.target.closest('[data-history-restore]');
+    if (!button || !restoreHandler) return;
+
+    const version = shownVersions[getSliderValue(button.dataset.historyRestore)];
+    if (!version || version.id === 'current') return;
+
+    await restoreHandler(version);
+    selection = { from: selection.from, to: 'current' };
+    renderTimeline();
+}
+
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -1,71 +1,266 @@
 /**
  * Draft Module
  * Handles progressive auto-save and draft recovery
- * 
+ *
  * Features:
  * - Auto-save blog/journal drafts every few seconds
- * - Recover drafts on page reload
- * - Store drafts in localStorage
- * - Clear drafts when saved successfully
+ * - One draft per journal being edited, and one per new journal, so starting
+ *   another journal never overwrites unsaved work
+ * - Drafts panel to list, preview, resume and discard drafts
+ * - Store drafts on this device (IndexedDB, see local-store.js; expire after
+ *   MAX_DRAFT_AGE), and say so in the status when saving fails
+ * - Cleanup of expired drafts and of the history of deleted drafts in the
+ *   "Free up space" dialog (see storage-quota.js)
+ * - Clear drafts once the page reports the journal saved (holdDraft when the
+ *   form is submitted, then clearDraft), so a failed save or a merge that is
+ *   cancelled keeps the text
+ * - Save right away when the connection drops (see network.js addNetworkListener)
+ * - Optional sync across the user's devices (users/{userId}/drafts): uploads
+ *   are debounced and wait while offline; on load the newest draft from
+ *   another device is offered, and drafts changed on both sides ask which to keep
+ * - Drafts, the sync setting and pending uploads are kept per account, so
+ *   another account signing in on this device never sees or uploads them
+ * - Version history of each draft with a diff timeline in the editor
+ *   (see draft-history.js)
+ * - Encrypted when encryption is on (see vault.js): stored and synced as
+ *   ciphertext, and not saved or shown while locked
  */
 
+import { addNetworkListener, isOnline, getNetworkStatus } from './network.js';
+import {
+    auth,
+    onAuthStateChanged,
+    saveUserDraft,
+    getUserDrafts,
+    deleteUserDraft
+} from './firebase-config.js';
+import {
+    initDraftHistory,
+    showDraftHistory,
+    recordDraftSnapshot,
+    deleteDraftHistory,
+    measureUnusedDraftHistory,
+    deleteUnusedDraftHistory
+} from './draft-history.js';
+import {
+    readSecureItem,
+    writeSecureItem,
+    removeSecureItem,
+    isEncryptionEnabled,
+    isVaultLocked,
+    sealFields,
+    openFields,
+    getItemName,
+    getAccountId,
+    addVaultListener
+} from './vault.js';
+import { addLocalStoreListener } from './local-store.js';
+import { registerStorageCleanup } from './storage-quota.js';
+
 // DOM Elements
 let draftForm;
 let draftStatusIndicator;
+let draftsPanel;
 
 // Configuration
 const AUTO_SAVE_INTERVAL = 5000; // 5 seconds
 const MAX_DRAFT_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
 const STORAGE_KEY = 'journal_drafts';
+const PREVIEW_LENGTH = 600;
+
+// Draft sync across devices (opt-in), per account: <key>_<uid>
+const SYNC_ENABLED_KEY = 'draft_sync_enabled';
+// Uploads and deletions waiting for the server: { [draftKey]: 'save' | 'delete' }
+const SYNC_PENDING_KEY = 'draft_sync_pending';
+// This device's { id, label }, stored with each synced draft
+const DEVICE_KEY = 'draft_device';
+const SYNC_DELAY = 10000; // 10 seconds after the last change
+let syncTimer = null;
+let syncInProgress = false;
+
+// Draft the form is editing: a journal ID, a "new-..." key, or null for a
+// new journal that has not been saved as a draft yet
+let currentDraftKey = null;
+// False after the form is submitted, until the next draft is started
+let draftActive = true;
+// Form values when the editor opened; unchanged values are not a draft
+let draftBaseline = null;
+
+// Opens the editor for a draft (set by the page, see initDraft)
+let resumeHandler = null;
 
 // Initialize Draft Module
-export function initDraft(formId = 'journalForm', statusId = 'draft-status') {
+// options.onResume(draft): open the editor for a draft chosen in the panel
+// (it should call startDraft(draft.journalId, draft.key))
+// options.historyId: the editor's version history element (default 'draft-history')
+export function initDraft(formId = 'journalForm', statusId = 'draft-status', options = {}) {
     draftForm = document.getElementById(formId);
     draftStatusIndicator = document.getElementById(statusId);
-    
+    draftsPanel = document.getElementById(options.panelId || 'drafts-panel');
+    resumeHandler = options.onResume || null;
+
     if (draftForm) {
         // Setup form inputs for auto-save
         const inputs = draftForm.querySelectorAll('input, textarea');
         inputs.forEach(input => {
             input.addEventListener('input', debounce(() => saveDraft(), 1000));
         });
-        
-        // Setup form submission to clear draft
-        draftForm.addEventListener('submit', clearDraft);
-        
-        // Recover draft on load
+
+        // List drafts left from earlier visits
         recoverDraft();
-        
+
         // Start auto-save interval
         startAutoSave();
-        
+
+        // Timeline of earlier versions in the editor
+        initDraftHistory(options.historyId || 'draft-history', {
+            getCurrent: readForm,
+            onRestore: restoreVersion
+        });
+
+        // Keep the draft safe when the connection drops
+        addNetworkListener(handleNetworkChange);
+
+        // Encryption turned on, unlocked or locked, and drafts saved or
+        // discarded in another tab
+        addVaultListener(handleVaultChange);
+
+        // Saving failed (e.g. storage is full), or worked again
+        addLocalStoreListener(handleLocalStoreChange);
+
+        registerStorageCleanup({
+            id: 'drafts',
+            label: 'Expired drafts and the version history of deleted drafts',
+            measure: measureDraftCleanup,
+            run: cleanUpDrafts
+        });
+
+        // Bring in drafts from other devices once the user is known
+        onAuthStateChanged(auth, (user) => {
+            renderDraftsPanel();
+            if (user && isDraftSyncEnabled()) syncDraftsFromServer();
+        });
+
         console.log('Draft module initialized');
     }
 }
 
 /**
- * Save Draft to localStorage
+ * Read all drafts, dropping expired ones
+ * Returns { [key]: draft }; a draft is
+ * { key, journalId, title, content, tags, savedAt, size }
+ */
+function readDrafts() {
+    let drafts = {};
+    const now = Date.now();
+
+    try {
+        const saved = JSON.parse(readSecureItem(STORAGE_KEY) || '{}');
+        // Older versions stored a single draft object
+        if (saved && typeof saved.savedAt === 'number') {
+            const key = saved.journalId || createDraftKey();
+            drafts = { [key]: { ...saved, key, size: measureDraft(saved) } };
+            writeDrafts(drafts);
+        } else if (saved && typeof saved === 'object') {
+            drafts = saved;
+        }
+    } catch (error) {
+        console.error('Error reading drafts:', error);
+        return {};
+    }
+
+    const expired = Object.keys(drafts).filter(key => isExpired(drafts[key], now));
+    if (expired.length > 0) {
+        console.log('Clearing drafts older than 7 days:', expired.length);
+        expired.forEach(key => {
+            delete drafts[key];
+            deleteDraftHistory(key);
+        });
+        writeDrafts(drafts);
+    }
+
+    return drafts;
+}
+
+function isExpired(draft, now = Date.now()) {
+    return now - (draft.savedAt || 0) > MAX_DRAFT_AGE;
+}
+
+function writeDrafts(drafts) {
+    if (Object.keys(drafts).length === 0) {
+        removeSecureItem(STORAGE_KEY);
+    } else {
+        writeSecureItem(STORAGE_KEY, JSON.stringify(drafts));
+    }
+}
+
+/**
+ * Key for a draft of a journal that does not exist yet
+ */
+function createDraftKey() {
+    const id = crypto.randomUUID
+        ? crypto.randomUUID()
+        : Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+    return 'new-' + id;
+}
+
+/**
+ * Size of a draft's text in bytes
+ */
+function measureDraft(draft) {
+    return new TextEncoder().encode((draft.title || '') + (draft.content || '') + (draft.tags || '')).length;
+}
+
+/**
+ * Save Draft on this device
  */
 function saveDraft() {
-    if (!draftForm) return;
-    
-    const formData = new FormData(draftForm);
-    const draftData = {
-        title: document.getElementById('journalTitle')?.value || '',
-        content: document.getElementById('journalContent')?.value || '',
-        tags: document.getElementById('journalTags')?.value || '',
-        journalId: document.getElementById('journalId')?.value || '',
-        savedAt: Date.now()
-    };
-    
+    if (!draftForm || !draftActive) return;
+
+    const draftData = { ...readForm(), savedAt: Date.now() };
+
     // Don't save empty drafts
     if (!draftData.title && !draftData.content) {
         return;
     }
-    
+
+    if (isVaultLocked()) {
+        updateDraftStatus('Drafts are locked - unlock to save', 'warning');
+        return;
+    }
+
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(draftData));
+        const drafts = readDrafts();
+
+        // Editing a journal: its draft is keyed by the journal ID
+        if (draftData.journalId) currentDraftKey = draftData.journalId;
+        if (!currentDraftKey) {
+            currentDraftKey = createDraftKey();
+            showDraftHistory(currentDraftKey);
+        }
+
+        // Nothing changed since the editor opened or since the last save
+        const previous = drafts[currentDraftKey] || draftBaseline;
+        if (previous && previous.title === draftData.title && previous.content === draftData.content &&
+            previous.tags === draftData.tags) {
+            return;
+        }
+
+        const device = getDevice();
+        drafts[currentDraftKey] = {
+            ...draftData,
+            key: currentDraftKey,
+            size: measureDraft(draftData),
+            deviceId: device.id,
+            deviceLabel: device.label,
+            // savedAt of the server copy this draft was last in step with
+            syncedAt: previous?.syncedAt ?? null
+        };
+        writeDrafts(drafts);
+        recordDraftSnapshot(currentDraftKey, drafts[currentDraftKey], previous);
+        queueDraftSync(currentDraftKey, 'save');
         updateDraftStatus('Draft saved', 'success');
+        renderDraftsPanel();
         console.log('Draft saved at:', new Date().toLocaleTimeString());
     } catch (error) {
         console.error('Error saving draft:', error);
@@ -74,82 +269,654 @@ function saveDraft() {
 }
 
 /**
- * Recover Draft from localStorage
+ * Recover Drafts saved on this device
+ * Lists them in the drafts panel (opened when there are any)
  */
 function recoverDraft() {
+    const count = Object.keys(readDrafts()).length;
+
+    if (count === 0) {
+        console.log('No draft to recover');
+    } else {
+        updateDraftStatus(`You have ${count} unsaved draft${count === 1 ? '' : 's'}`, 'info');
+        if (draftsPanel && 'open' in draftsPanel) draftsPanel.open = true;
+    }
+
+    renderDraftsPanel();
+}
+
+/**
+ * Start editing: called when the editor opens
+ * journalId: the journal being edited ('' for a new journal)
+ * draftKey: a draft to resume (from the panel); otherwise an edit of a journal
+ * that has a draft offers to restore it, and a new journal starts a new draft
+ */
+function startDraft(journalId = '', draftKey = null) {
+    draftActive = true;
+    currentDraftKey = draftKey || journalId || null;
+    draftBaseline = readForm();
+    showDraftHistory(currentDraftKey);
+
+    const draft = currentDraftKey ? readDrafts()[currentDraftKey] : null;
+    if (!draft) return;
+
+    const restore = draftKey ||
+        confirm(`You have unsaved changes to this journal from ${new Date(draft.savedAt).toLocaleString()}. Would you like to restore them?`);
+
+    if (restore) {
+        fillForm(draft);
+        updateDraftStatus(`Draft from ${new Date(draft.savedAt).toLocaleString()} restored`, 'info');
+    } else {
+        discardDraft(currentDraftKey);
+    }
+}
+
+/**
+ * Read the form's fields
+ */
+function readForm() {
+    return {
+        title: document.getElementById('journalTitle')?.value || '',
+        content: document.getElementById('journalContent')?.value || '',
+        tags: document.getElementById('journalTags')?.value || '',
+        journalId: document.getElementById('journalId')?.value || ''
+    };
+}
+
+/**
+ * Put a draft's fields into the form
+ */
+function fillForm(draft) {
+    const fields = {
+        journalTitle: draft.title,
+        journalContent: draft.content,
+        journalTags: draft.tags,
+        journalId: draft.journalId
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value || '';
+    });
+}
+
+/**
+ * Put an earlier version from the timeline back into the editor
+ * The text it replaces is kept in the history first, so a restore can be undone
+ */
+async function restoreVersion(version) {
+    if (!draftForm || !currentDraftKey) return;
+
+    const current = readForm();
+    await recordDraftSnapshot(currentDraftKey, { ...current, savedAt: Date.now() }, null, { force: true });
+
+    fillForm({ ...version, journalId: current.journalId });
+    draftActive = true;
+    saveDraft();
+    updateDraftStatus(`Version from ${new Date(version.at).toLocaleString()} restored`, 'info');
+}
+
+/**
+ * Resume a draft from the panel
+ */
+async function resumeDraft(key) {
+    const draft = readDrafts()[key];
+    if (!draft) {
+        showMessage('This draft no longer exists', 'error');
+        renderDraftsPanel();
+        return;
+    }
+
+    if (resumeHandler) {
+        await resumeHandler(draft);
+    } else {
+        startDraft(draft.journalId, key);
+    }
+}
+
+/**
+ * Remove one draft
+ */
+function discardDraft(key) {
     try {
-        const savedDraft = localStorage.getItem(STORAGE_KEY);
-        
-        if (!savedDraft) {
-            console.log('No draft to recover');
-            return;
+        const drafts = readDrafts();
+        const synced = drafts[key]?.syncedAt;
+        delete drafts[key];
+        writeDrafts(drafts);
+        deleteDraftHistory(key);
+        // Never uploaded: just drop its pending upload
+        queueDraftSync(key, synced ? 'delete' : null);
+        if (key === currentDraftKey) currentDraftKey = null;
+        renderDraftsPanel();
+    } catch (error) {
+        console.error('Error discarding draft:', error);
+    }
+}
+
+/**
+ * Stop saving the form when it is submitted
+ * Saves what was typed since the last auto-save; the draft is kept until
+ * clearDraft is called once the journal is saved.
+ * Returns the draft's key (null for a new journal nothing was typed in)
+ */
+function holdDraft() {
+    saveDraft();
+    // The form keeps its values until the save finishes; don't save them again
+    draftActive = false;
+    return currentDraftKey;
+}
+
+/**
+ * Clear a draft once its journal is saved (the current draft by default)
+ */
+function clearDraft(key = currentDraftKey) {
+    try {
+        if (key) discardDraft(key);
+        if (key === currentDraftKey) {
+            currentDraftKey = null;
+            draftActive = false;
         }
-        
-        const draft = JSON.parse(savedDraft);
-        
-        // Check if draft is not too old
-        const age = Date.now() - (draft.savedAt || 0);
-        if (age > MAX_DRAFT_AGE) {
-            console.log('Draft is too old, clearing');
-            clearDraft();
-            return;
+        updateDraftStatus('Draft cleared', 'info');
+        console.log('Draft cleared');
+    } catch (error) {
+        console.error('Error clearing draft:', error);
+    }
+}
+
+/**
+ * Render the drafts panel (a <details> element with a .drafts-list and an
+ * optional .drafts-sync-toggle checkbox inside)
+ */
+function renderDraftsPanel() {
+    if (!draftsPanel) return;
+
+    const list = draftsPanel.querySelector('.drafts-list');
+    const count = draftsPanel.querySelector('.drafts-count');
+    const syncToggle = draftsPanel.querySelector('.drafts-sync-toggle');
+    const drafts = getDrafts();
+    const deviceId = getDevice().id;
+
+    // Logged-in users see it even when empty, for the sync option
+    draftsPanel.hidden = drafts.length === 0 && !auth?.currentUser && !isVaultLocked();
+    if (count) count.textContent = drafts.length;
+
+    if (syncToggle) {
+        syncToggle.checked = isDraftSyncEnabled();
+        syncToggle.disabled = !auth?.currentUser;
+        if (!syncToggle.dataset.bound) {
+            syncToggle.dataset.bound = 'true';
+            syncToggle.addEventListener('change', () => setDraftSyncEnabled(syncToggle.checked));
+        }
+    }
+
+    if (!list) return;
+
+    if (isVaultLocked()) {
+        list.innerHTML = `
+            <li class="drafts-locked"><i class="fas fa-lock"></i> Drafts are encrypted. Unlock to see them.</li>
+        `;
+        return;
+    }
+
+    list.innerHTML = drafts.map(draft => `
+        <li class="draft-item" data-draft-key="${escapeHtml(draft.key)}">
+            <div class="draft-item-info">
+                <strong class="draft-item-title">${escapeHtml(draft.title) || 'Untitled'}</strong>
+                <span class="draft-item-meta">
+                    ${draft.journalId ? 'Edit of a journal' : 'New journal'} ·
+                    <time datetime="${new Date(draft.savedAt).toISOString()}">${new Date(draft.savedAt).toLocaleString()}</time> ·
+                    ${formatSize(draft.size)}
+                    ${draft.deviceId && draft.deviceId !== deviceId ? ` · from ${escapeHtml(draft.deviceLabel)}` : ''}
+                </span>
+            </div>
+            <div class="draft-item-actions">
+                <button type="button" class="btn btn-sm btn-secondary" data-draft-action="preview" aria-expanded="false" data-tts="Preview draft">Preview</button>
+                <button type="button" class="btn btn-sm btn-primary" data-draft-action="resume" data-tts="Resume draft">Resume</button>
+                <button type="button" class="btn btn-sm btn-danger" data-draft-action="discard" data-tts="Discard draft">Discard</button>
+            </div>
+            <div class="draft-preview" hidden>${escapeHtml(truncate(draft.content, PREVIEW_LENGTH))}</div>
+        </li>
+    `).join('');
+
+    if (!list.dataset.bound) {
+        list.dataset.bound = 'true';
+        list.addEventListener('click', handleDraftAction);
+    }
+}
+
+/**
+ * Handle the panel's Preview, Resume and Discard buttons
+ */
+function handleDraftAction(event) {
+    const button = event.target.closest('[data-draft-action]');
+    if (!button) return;
+
+    const item = button.closest('.draft-item');
+    const key = item.dataset.draftKey;
+
+    switch (button.dataset.draftAction) {
+        case 'preview': {
+            const preview = item.querySelector('.draft-preview');
+            preview.hidden = !preview.hidden;
+            button.setAttribute('aria-expanded', String(!preview.hidden));
+            button.textContent = preview.hidden ? 'Preview' : 'Hide preview';
+            break;
+        }
+        case 'resume':
+            resumeDraft(key);
+            break;
+        case 'discard':
+            if (confirm('Discard this draft? This cannot be undone.')) {
+                discardDraft(key);
+                showMessage('Draft discarded', 'info');
+            }
+            break;
+    }
+}
+
+/**
+ * Check if drafts are synced across devices
+ */
+function isDraftSyncEnabled() {
+    const key = getAccountKey(SYNC_ENABLED_KEY);
+    return Boolean(key) && localStorage.getItem(key) === 'true';
+}
+
+/**
+ * localStorage key of a sync setting of the account whose drafts are used
+ * (see vault.js getAccountId); null when signed out
+ */
+function getAccountKey(name) {
+    const userId = getAccountId();
+    return userId ? `${name}_${userId}` : null;
+}
+
+/**
+ * Give the sync setting and pending uploads kept for the whole device by
+ * earlier versions to the first account that signs in (its drafts are
+ * moved to it as well, see vault.js)
+ */
+function adoptLegacySyncSettings() {
+    [SYNC_ENABLED_KEY, SYNC_PENDING_KEY].forEach(name => {
+        const value = localStorage.getItem(name);
+        if (value === null) return;
+        if (localStorage.getItem(getAccountKey(name)) === null) {
+            localStorage.setItem(getAccountKey(name), value);
+        }
+        localStorage.removeItem(name);
+    });
+}
+
+/**
+ * Turn draft sync across devices on or off
+ * Turning it on uploads the drafts on this device and brings in the others;
+ * turning it off leaves the copies on the server alone.
+ */
+function setDraftSyncEnabled(enabled) {
+    if (!getAccountId()) return;
+    localStorage.setItem(getAccountKey(SYNC_ENABLED_KEY), String(enabled));
+
+    if (enabled) {
+        Object.keys(readDrafts()).forEach(key => queueDraftSync(key, 'save'));
+        syncDraftsFromServer();
+    } else {
+        clearTimeout(syncTimer);
+        localStorage.removeItem(getAccountKey(SYNC_PENDING_KEY));
+    }
+    renderDraftsPanel();
+}
+
+/**
+ * Get this device's ID and a readable label (e.g. "Chrome on Android")
+ */
+function getDevice() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DEVICE_KEY));
+        if (saved?.id) return saved;
+    } catch (error) {
+        // Replaced below
+    }
+
+    const agent = navigator.userAgent;
+    const browser = /Edg\//.test(agent) ? 'Edge'
+        : /Firefox\//.test(agent) ? 'Firefox'
+        : /Chrome\//.test(agent) ? 'Chrome'
+        : /Safari\//.test(agent) ? 'Safari'
+        : 'Browser';
+    const system = /Android/.test(agent) ? 'Android'
+        : /iPhone|iPad/.test(agent) ? 'iOS'
+        : /Windows/.test(agent) ? 'Windows'
+        : /Mac OS/.test(agent) ? 'Mac'
+        : /Linux/.test(agent) ? 'Linux'
+        : 'another device';
+
+    const device = { id: createDraftKey().replace('new-', 'device-'), label: `${browser} on ${system}` };
+    localStorage.setItem(DEVICE_KEY, JSON.stringify(device));
+    return device;
+}
+
+function readPendingSync() {
+    try {
+        return JSON.parse(localStorage.getItem(getAccountKey(SYNC_PENDING_KEY)) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Remember that a draft must be uploaded ('save') or removed from the server
+ * ('delete'); null forgets it. Uploads are debounced.
+ */
+function queueDraftSync(key, action) {
+    if (!isDraftSyncEnabled()) return;
+
+    const pending = readPendingSync();
+    if (action) {
+        pending[key] = action;
+    } else {
+        delete pending[key];
+    }
+    localStorage.setItem(getAccountKey(SYNC_PENDING_KEY), JSON.stringify(pending));
+
+    if (action) scheduleDraftSync(SYNC_DELAY);
+}
+
+function scheduleDraftSync(delay) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(flushDraftSync, delay);
+}
+
+/**
+ * Check the server can be reached for draft sync
+ */
+function canSyncDrafts() {
+    const { backend } = getNetworkStatus();
+    return isDraftSyncEnabled() && auth?.currentUser?.uid === getAccountId() && isOnline() && !isVaultLocked() &&
+        backend !== 'unreachable' && backend !== 'rejected';
+}
+
+/**
+ * Send pending uploads and deletions to the server
+ * Anything that fails stays pending for the next connection change or save
+ */
+async function flushDraftSync() {
+    if (syncInProgress || !canSyncDrafts()) return;
+    syncInProgress = true;
+
+    try {
+        const userId = getAccountId();
+        const pending = readPendingSync();
+
+        for (const [key, action] of Object.entries(pending)) {
+            // Another account signed in: its drafts are not this one's
+            if (getAccountId() !== userId) break;
+
+            const draft = readDrafts()[key];
+            let result;
+
+            if (action === 'delete') {
+                result = await deleteUserDraft(userId, key);
+            } else if (draft) {
+                const { syncedAt, ...remoteDraft } = draft;
+                result = await saveUserDraft(userId, await sealRemoteDraft(remoteDraft));
+                if (result.success) markDraftSynced(key, draft.savedAt);
+            } else {
+                result = { success: true };
+            }
+
+            if (!result.success) {
+                console.log('Draft sync paused:', result.error);
+                break;
+            }
+
+            // Keep a newer change made while this one was uploading
+            const latest = readPendingSync();
+            if (latest[key] === action && (action === 'delete' || readDrafts()[key]?.savedAt === draft?.savedAt)) {
+                delete latest[key];
+                localStorage.setItem(getAccountKey(SYNC_PENDING_KEY), JSON.stringify(latest));
+            }
         }
-        
-        // Populate form
-        const titleInput = document.getElementById('journalTitle');
-        const contentInput = document.getElementById('journalContent');
-        const tagsInput = document.getElementById('journalTags');
-        const journalIdInput = document.getElementById('journalId');
-        
-        let hasContent = false;
-        
-        if (titleInput && draft.title) {
-            titleInput.value = draft.title;
-            hasContent = true;
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+/**
+ * With encryption on, a synced draft's text is uploaded sealed
+ */
+async function sealRemoteDraft(draft) {
+    if (!isEncryptionEnabled()) return draft;
+
+    const { title, content, tags } = draft;
+    return { ...draft, title: '', content: '', tags: '', sealed: await sealFields({ title, content, tags }) };
+}
+
+/**
+ * Decrypt a synced draft; null when it can't be decrypted (e.g. locked)
+ */
+async function openRemoteDraft(draft) {
+    if (!draft.sealed) return draft;
+
+    const fields = await openFields(draft.sealed);
+    if (!fields) return null;
+    const { sealed, ...rest } = draft;
+    return { ...rest, ...fields };
+}
+
+/**
+ * Record that a draft is in step with the server copy saved at savedAt
+ */
+function markDraftSynced(key, savedAt) {
+    const drafts = readDrafts();
+    if (!drafts[key]) return;
+    drafts[key].syncedAt = savedAt;
+    writeDrafts(drafts);
+}
+
+/**
+ * Merge the drafts saved on the server with this device's
+ * - Only on the server: added here
+ * - Changed only on the server: the server copy replaces this one
+ * - Changed only here: uploaded later
+ * - Changed on both: the user picks which copy to keep
+ * - Removed from the server (published or discarded elsewhere): removed here
+ *   unless changed here since
+ * Then offers to continue the newest draft if it came from another device.
+ */
+async function syncDraftsFromServer() {
+    if (!canSyncDrafts()) return;
+
+    const userId = getAccountId();
+    const result = await getUserDrafts(userId);
+    // Another account signed in meanwhile
+    if (!result.success || getAccountId() !== userId) return;
+
+    const drafts = readDrafts();
+    const pending = readPendingSync();
+    const device = getDevice();
+    const serverKeys = new Set();
+    const now = Date.now();
+    let newestFromServer = null;
+
+    for (const remoteDraft of result.drafts) {
+        const key = remoteDraft.key;
+        serverKeys.add(key);
+
+        const serverDraft = await openRemoteDraft(remoteDraft);
+        if (!serverDraft) continue;
+
+        if (pending[key] === 'delete') continue;
+        if (now - (serverDraft.savedAt || 0) > MAX_DRAFT_AGE) {
+            queueDraftSync(key, 'delete');
+            continue;
         }
-        if (contentInput && draft.content) {
-            contentInput.value = draft.content;
-            hasContent = true;
+
+        const local = drafts[key];
+        const takeServer = () => {
+            drafts[key] = { ...serverDraft, syncedAt: serverDraft.savedAt };
+            delete pending[key];
+            if (serverDraft.deviceId !== device.id &&
+                (!newestFromServer || serverDraft.savedAt > newestFromServer.savedAt)) {
+                newestFromServer = serverDraft;
+            }
+        };
+
+        if (!local) {
+            takeServer();
+            continue;
         }
-        if (tagsInput && draft.tags) {
-            tagsInput.value = draft.tags;
+        if (serverDraft.savedAt === local.syncedAt) continue;
+
+        const changedHere = local.savedAt !== local.syncedAt;
+        const sameText = local.title === serverDraft.title && local.content === serverDraft.content &&
+            local.tags === serverDraft.tags;
+
+        if (!changedHere) {
+            takeServer();
+        } else if (sameText) {
+            local.syncedAt = serverDraft.savedAt;
+        } else if (confirm(
+            `"${serverDraft.title || 'Untitled'}" was changed on ${serverDraft.deviceLabel || 'another device'} ` +
+            `(${new Date(serverDraft.savedAt).toLocaleString()}) and on this device ` +
+            `(${new Date(local.savedAt).toLocaleString()}).\n\n` +
+            `OK: use the version from ${serverDraft.deviceLabel || 'the other device'}\n` +
+            `Cancel: keep this device's version`)) {
+            takeServer();
+        } else {
+            // Keep ours and overwrite the server copy with it
+            local.syncedAt = serverDraft.savedAt;
+            pending[key] = 'save';
         }
-        if (journalIdInput && draft.journalId) {
-            journalIdInput.value = draft.journalId;
+    }
+
+    // Synced before but gone from the server
+    Object.values(drafts).forEach(local => {
+        if (local.syncedAt && !serverKeys.has(local.key) && local.savedAt === local.syncedAt) {
+            delete drafts[local.key];
+            delete pending[local.key];
+            deleteDraftHistory(local.key);
         }
-        
-        if (hasContent) {
-            const recoveryTime = new Date(draft.savedAt).toLocaleString();
-            updateDraftStatus(`Draft recovered from ${recoveryTime}`, 'info');
-            console.log('Draft recovered successfully');
-            
-            // Ask user if they want to restore the draft
-            setTimeout(() => {
-                if (confirm('We found a saved draft. Would you like to restore it?')) {
-                    // Draft is already restored above
-                    showMessage('Draft restored!', 'success');
-                } else {
-                    clearDraft();
-                }
-            }, 500);
+    });
+
+    // Drafts on this device the server doesn't have yet
+    Object.keys(drafts).forEach(key => {
+        if (!serverKeys.has(key) && !drafts[key].syncedAt) pending[key] = 'save';
+    });
+
+    // Decrypting may have taken a while
+    if (getAccountId() !== userId) return;
+
+    writeDrafts(drafts);
+    localStorage.setItem(getAccountKey(SYNC_PENDING_KEY), JSON.stringify(pending));
+    renderDraftsPanel();
+    scheduleDraftSync(0);
+
+    // Offer to pick up where the other device left off (unless already writing)
+    if (newestFromServer && !currentDraftKey &&
+        getDrafts()[0]?.key === newestFromServer.key &&
+        confirm(`Continue "${newestFromServer.title || 'Untitled'}" from ${newestFromServer.deviceLabel || 'another device'} (saved ${new Date(newestFromServer.savedAt).toLocaleString()})?`)) {
+        resumeDraft(newestFromServer.key);
+    }
+}
+
+/**
+ * Handle the connection going offline or coming back
+ * Drafts are always local; saving immediately keeps everything typed before
+ * the drop, and the status tells the user where the draft is.
+ */
+function handleNetworkChange({ current, previous, changed }) {
+    // Upload drafts that waited for the connection or the sync service
+    if ((changed.includes('status') && current.status === 'online') ||
+        (changed.includes('backend') && current.backend === 'ok')) {
+        scheduleDraftSync(0);
+    }
+
+    if (!changed.includes('status')) return;
+
+    if (current.status === 'offline') {
+        saveDraft();
+        if (hasDraft()) {
+            updateDraftStatus('Offline - draft saved on this device', 'warning');
         }
-        
-    } catch (error) {
-        console.error('Error recovering draft:', error);
+    } else if (previous.status === 'offline' && hasDraft()) {
+        updateDraftStatus('Back online', 'info');
+    }
+}
+
+/**
+ * Handle encryption being turned on, unlocked or locked (see vault.js)
+ */
+function handleVaultChange({ type }) {
+    // Keep what is typed before the key is dropped
+    if (type === 'locking') {
+        saveDraft();
+        return;
+    }
+
+    // Another account signed in (or out): the open form is not one of its drafts
+    if (type === 'account') {
+        clearTimeout(syncTimer);
+        currentDraftKey = null;
+        draftActive = false;
+        if (getAccountId()) adoptLegacySyncSettings();
+    }
+
+    // Replace the synced copies with encrypted ones
+    if (type === 'enabled') {
+        Object.keys(readDrafts()).forEach(key => queueDraftSync(key, 'save'));
+    }
+    if ((type === 'enabled' || type === 'unlocked') && isDraftSyncEnabled()) {
+        syncDraftsFromServer();
+    }
+
+    renderDraftsPanel();
+}
+
+/**
+ * Report drafts that could not be saved on this device
+ */
+function handleLocalStoreChange({ type, name, quota }) {
+    if (name !== getItemName(STORAGE_KEY)) return;
+
+    if (type === 'error') {
+        updateDraftStatus(quota ? 'Storage is full - draft not saved' : 'Draft not saved on this device', 'error');
+    } else if (type === 'saved') {
+        updateDraftStatus('Draft saved', 'success');
     }
 }
 
 /**
- * Clear Draft from localStorage
+ * What "Free up space" would remove: expired drafts (left while the journal
+ * page was not open) and the history of drafts that no longer exist
  */
-function clearDraft() {
+async function measureDraftCleanup() {
+    if (isVaultLocked()) return { unavailable: 'Unlock encryption to clean up drafts' };
+
+    let stored = {};
     try {
-        localStorage.removeItem(STORAGE_KEY);
-        updateDraftStatus('Draft cleared', 'info');
-        console.log('Draft cleared');
+        stored = JSON.parse(readSecureItem(STORAGE_KEY) || '{}');
     } catch (error) {
-        console.error('Error clearing draft:', error);
+        console.error('Error reading drafts:', error);
     }
+    const drafts = Object.values(stored).filter(draft => draft && typeof draft === 'object');
+    const expired = drafts.filter(draft => isExpired(draft));
+    const history = await measureUnusedDraftHistory(drafts.filter(draft => !isExpired(draft)).map(draft => draft.key));
+
+    return {
+        count: expired.length + history.count,
+        bytes: expired.reduce((total, draft) => total + (draft.size || measureDraft(draft)), 0) + history.bytes
+    };
+}
+
+async function cleanUpDrafts() {
+    if (isVaultLocked()) return 0;
+
+    const before = Object.keys(JSON.parse(readSecureItem(STORAGE_KEY) || '{}')).length;
+    // Reading drops the expired drafts and their history
+    const drafts = readDrafts();
+    const removed = before - Object.keys(drafts).length;
+
+    renderDraftsPanel();
+    return removed + await deleteUnusedDraftHistory(Object.keys(drafts));
 }
 
 /**
@@ -169,7 +936,7 @@ function updateDraftStatus(message, type = 'info') {
         draftStatusIndicator.textContent = message;
         draftStatusIndicator.className = `draft-status ${type}`;
         draftStatusIndicator.setAttribute('role', 'status');
-        
+
         // Auto-hide after 3 seconds for success/info messages
         if (type === 'success' || type === 'info') {
             setTimeout(() => {
@@ -181,26 +948,44 @@ function updateDraftStatus(message, type = 'info') {
 }
 
 /**
- * Get Draft Data
+ * Get all drafts, most recently saved first
  */
-export function getDraftData() {
-    try {
-        const savedDraft = localStorage.getItem(STORAGE_KEY);
-        if (savedDraft) {
-            return JSON.parse(savedDraft);
-        }
-    } catch (error) {
-        console.error('Error getting draft data:', error);
-    }
-    return null;
+function getDrafts() {
+    return Object.values(readDrafts()).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Get Draft Data (the draft the form is editing)
+ */
+function getDraftData() {
+    return currentDraftKey ? readDrafts()[currentDraftKey] || null : null;
 }
 
 /**
  * Has Draft
  */
-export function hasDraft() {
+function hasDraft() {
     const draft = getDraftData();
-    return draft && (draft.title || draft.content);
+    return Boolean(draft && (draft.title || draft.content));
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024) {
+        return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return bytes + ' bytes';
+}
+
+function truncate(text, length) {
+    if (!text || text.length <= length) return text || '';
+    return text.substring(0, length) + '…';
+}
+
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 /**
@@ -227,10 +1012,10 @@ function showMessage(message, type = 'info') {
     messageElement.setAttribute('role', 'alert');
     messageElement.setAttribute('aria-live', 'polite');
     messageElement.textContent = message;
-    
+
     document.querySelectorAll('.message').forEach(el => el.remove());
     document.body.appendChild(messageElement);
-    
+
     setTimeout(() => messageElement.remove(), 5000);
 }
 
@@ -238,8 +1023,14 @@ function showMessage(message, type = 'info') {
 export {
     saveDraft,
     recoverDraft,
+    holdDraft,
     clearDraft,
+    startDraft,
+    resumeDraft,
+    discardDraft,
+    getDrafts,
+    isDraftSyncEnabled,
+    setDraftSyncEnabled,
     getDraftData,
     hasDraft
 };
-
@@ -33,6 +33,8 @@ import {
     orderBy, 
     serverTimestamp 
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+import { initStorage, getStorage } from './storage.js';
+import { getUserTimeZone, toDateKey, addDays, getPeriodRanges, getStatsRangeStart, bucketTimeEntries, addCategorySeconds } from './time-utils.js';
 
 // Firebase Configuration - REPLACE WITH YOUR OWN CONFIGURATION
 // IMPORTANT: Get these from Firebase Console > Project Settings > General > Your apps
@@ -73,6 +75,9 @@ function initializeFirebase() {
 // Initialize Firebase on module load
 initializeFirebase();
 
+// Select the storage backend (Firestore when available, IndexedDB otherwise)
+initStorage(db);
+
 // Export functions for use in other modules
 export {
     app,
@@ -134,98 +139,104 @@ export const logoutUser = async () => {
     }
 };
 
-export const createJournal = async (userId, title, content, tags = []) => {
-    if (!db) {
-        console.warn('Firestore not available');
-        // Return mock success for demo
-        return { success: true, id: 'demo-' + Date.now() };
-    }
+// Write failures include the Firestore error code (e.g. 'unavailable') so the
+// offline sync queue can tell temporary failures from permanent ones
+
+// id: optional document ID (used when replaying a journal created offline)
+// fields: other journal fields (e.g. isPrivate and sealed for a private journal)
+export const createJournal = async (userId, title, content, tags = [], id = null, fields = {}) => {
     try {
-        const docRef = await addDoc(collection(db, 'journals'), {
-            userId,
-            title,
-            content,
-            tags,
-            createdAt: serverTimestamp(),
-            updatedAt: serverTimestamp()
-        });
-        return { success: true, id: docRef.id };
+        const journalId = await getStorage().createJournal({ userId, title, content, tags, ...fields }, id);
+        return { success: true, id: journalId };
     } catch (error) {
         console.error('Error creating journal:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, code: error.code };
     }
 };
 
-export const updateJournal = async (journalId, updates) => {
-    if (!db) return { success: false, error: 'Database not available' };
+// baseVersion: the journal version the edit was made on (journals start at
+// version 1 and every title/content/tags change adds 1); when the journal has changed since, fails with code 'conflict' and
+// the current copy as serverJournal
+// operationId: optional idempotency key (used when replaying queued edits)
+export const updateJournal = async (journalId, updates, baseVersion = null, operationId = null) => {
     try {
-        const journalRef = doc(db, 'journals', journalId);
-        await updateDoc(journalRef, {
-            ...updates,
-            updatedAt: serverTimestamp()
-        });
-        return { success: true };
+        const version = await getStorage().updateJournal(journalId, updates, baseVersion, operationId);
+        return { success: true, version };
     } catch (error) {
+        if (error.code === 'conflict') {
+            console.warn('Journal update conflict:', journalId);
+            return { success: false, error: error.message, code: error.code, serverJournal: error.serverJournal };
+        }
         console.error('Error updating journal:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, code: error.code };
     }
 };
 
-// deleteJournal is exported from journal.js - don't export duplicate here
+export const getJournal = async (journalId) => {
+    try {
+        const journal = await getStorage().getJournal(journalId);
+        if (!journal) {
+            return { success: false, error: 'Journal not found', code: 'not-found' };
+        }
+        return { success: true, journal };
+    } catch (error) {
+        console.error('Error getting journal:', error);
+        return { success: false, error: error.message, code: error.code };
+    }
+};
 
-export const getUserJournals = async (userId) => {
-    if (!db) {
-        return { success: true, journals: [] };
+// Named removeJournal because journal.js exports the UI-level deleteJournal
+export const removeJournal = async (journalId) => {
+    try {
+        await getStorage().deleteJournal(journalId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting journal:', error);
+        return { success: false, error: error.message, code: error.code };
     }
+};
+
+export const getUserJournals = async (userId) => {
     try {
-        const q = query(
-            collection(db, 'journals'),
-            where('userId', '==', userId),
-            orderBy('createdAt', 'desc')
-        );
-        const querySnapshot = await getDocs(q);
-        const journals = [];
-        querySnapshot.forEach((doc) => {
-            journals.push({ id: doc.id, ...doc.data() });
-        });
+        const journals = await getStorage().getUserJournals(userId);
         return { success: true, journals };
     } catch (error) {
         console.error('Error getting user journals:', error);
-        return { success: true, journals: [] }; // Return empty array on error
+        return { success: false, error: error.message, journals: [] };
     }
 };
 
-export const getAllJournals = async () => {
-    if (!db) {
-        return { success: true, journals: [] };
-    }
+// options.limit / options.after: load one page of the feed (after is the last
+// journal already loaded); hasMore tells whether another page follows
+export const getAllJournals = async (options = {}) => {
     try {
-        const q = query(
-            collection(db, 'journals'),
-            orderBy('createdAt', 'desc')
-        );
-        const querySnapshot = await getDocs(q);
-        const journals = [];
-        querySnapshot.forEach((doc) => {
-            journals.push({ id: doc.id, ...doc.data() });
-        });
-        return { success: true, journals };
+        if (!options.limit) {
+            const journals = await getStorage().getAllJournals();
+            return { success: true, journals, hasMore: false };
+        }
+
+        // Ask for one extra journal to know whether there is a next page
+        const journals = await getStorage().getAllJournals({ ...options, limit: options.limit + 1 });
+        return {
+            success: true,
+            journals: journals.slice(0, options.limit),
+            hasMore: journals.length > options.limit
+        };
     } catch (error) {
         console.error('Error getting all journals:', error);
-        return { success: true, journals: [] }; // Return empty array on error
+        return { success: false, error: error.message, journals: [], hasMore: false };
     }
 };
 
 // User Profile Functions
 export const updateUserProfile = async (displayName, phoneNumber) => {
     try {
-        if (auth.currentUser) {
+        if (auth && auth.currentUser) {
             await updateProfile(auth.currentUser, { displayName });
-            // Store additional profile data in Firestore
-            await updateDoc(doc(db, 'users', auth.currentUser.uid), {
+            // Store additional profile data in the active storage backend
+            await getStorage().saveUserProfile(auth.currentUser.uid, {
                 displayName,
-                phoneNumber,
-                updatedAt: serverTimestamp()
+                phoneNumber
             });
             return { success: true };
         }
@@ -238,10 +249,9 @@ export const updateUserProfile = async (displayName, phoneNumber) => {
 
 export const getUserProfile = async (userId) => {
     try {
-        const docRef = doc(db, 'users', userId);
-        const docSnap = await getDoc(docRef);
-        if (docSnap.exists()) {
-            return { success: true, data: docSnap.data() };
+        const data = await getStorage().getUserProfile(userId);
+        if (data) {
+            return { success: true, data };
         }
         return { success: false, error: 'Profile not found' };
     } catch (error) {
@@ -250,62 +260,208 @@ export const getUserProfile = async (userId) => {
     }
 };
 
+// Get the encryption settings saved for the user (null data when not set up)
+export const getVaultSettings = async (userId) => {
+    try {
+        return { success: true, data: await getStorage().getVaultSettings(userId) };
+    } catch (error) {
+        console.error('Error getting encryption settings:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Save the encryption settings (salt, iterations and check value, see vault.js)
+// for the user only, so other devices can unlock with the same passphrase
+export const saveVaultSettings = async (userId, vault) => {
+    try {
+        await getStorage().saveVaultSettings(userId, vault);
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving encryption settings:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Save digital-wellbeing goals ({ mode, dailyMinutes, weeklyMinutes, ... }) in the user's profile
+export const saveWellbeingGoals = async (userId, goals) => {
+    try {
+        await getStorage().saveUserProfile(userId, { wellbeingGoals: goals });
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving wellbeing goals:', error);
+        return { success: false, error: error.message };
+    }
+};
+
 // Time Tracking Functions
-export const saveTimeSpent = async (userId, duration) => {
+// date: local calendar day key (defaults to today in the user's timezone)
+// categories: optional per-activity split of duration ({ writing, reading, browsing, auth })
+// operationId: optional idempotency key (used when replaying queued saves)
+export const saveTimeSpent = async (userId, duration, date = null, categories = {}, operationId = null) => {
+    const timeZone = getUserTimeZone();
+    const dateKey = date || toDateKey(new Date(), timeZone);
     try {
-        const today = new Date().toISOString().split('T')[0];
-        const timeRef = doc(db, 'timeSpent', `${userId}_${today}`);
-        const docSnap = await getDoc(timeRef);
-        
-        if (docSnap.exists()) {
-            const existingData = docSnap.data();
-            await updateDoc(timeRef, {
-                totalSeconds: existingData.totalSeconds + duration,
-                updatedAt: serverTimestamp()
-            });
-        } else {
-            await addDoc(collection(db, 'timeSpent'), {
-                userId,
-                date: today,
-                totalSeconds: duration,
-                createdAt: serverTimestamp()
-            });
+        await getStorage().saveTimeSpent(userId, dateKey, duration, categories, timeZone, operationId);
+        if (dateKey < (earlierTotals.get(userId)?.before ?? '')) {
+            earlierTotals.delete(userId);
         }
         return { success: true };
     } catch (error) {
         console.error('Error saving time:', error);
+        return { success: false, error: error.message, code: error.code };
+    }
+};
+
+// Merge time entries stored outside the one-document-per-day schema
+// (e.g. under random IDs by older versions) into their day's entry
+export const migrateTimeEntries = async (userId) => {
+    try {
+        const merged = await getStorage().mergeStrayTimeEntries(userId);
+        if (merged > 0) {
+            console.log('Merged', merged, 'stray time entries for user:', userId);
+            earlierTotals.delete(userId);
+        }
+        return { success: true, merged };
+    } catch (error) {
+        console.error('Error migrating time entries:', error);
         return { success: false, error: error.message };
     }
 };
 
-export const getTimeStats = async (userId, period = 'daily') => {
+export const getTimeEntries = async (userId, range = {}) => {
     try {
-        // This is a simplified version - in production, you'd want more complex queries
-        const querySnapshot = await getDocs(
-            collection(db, 'timeSpent')
-        );
-        
-        const stats = {
-            daily: 0,
-            weekly: 0,
-            monthly: 0,
-            yearly: 0
-        };
-        
-        querySnapshot.forEach((doc) => {
-            const data = doc.data();
-            if (data.userId === userId) {
-                stats.daily += data.totalSeconds || 0;
-                stats.weekly += data.totalSeconds || 0;
-                stats.monthly += data.totalSeconds || 0;
-                stats.yearly += data.totalSeconds || 0;
+        const entries = await getStorage().getTimeEntries(userId, range);
+        return { success: true, entries };
+    } catch (error) {
+        console.error('Error getting time entries:', error);
+        return { success: false, error: error.message, entries: [] };
+    }
+};
+
+/**
+ * Get per-period time totals for a user
+ * Periods are calendar-based in the user's timezone (ISO weeks start Monday).
+ * Returns { daily, weekly, monthly, yearly, total, series, categories } where
+ * series is a per-day list covering the current week and year, and categories
+ * holds per-activity seconds for each period.
+ */
+export const getTimeStats = async (userId, options = {}) => {
+    const timeZone = options.timeZone || getUserTimeZone();
+    const now = options.now || new Date();
+    const ranges = getPeriodRanges(now, timeZone);
+    const rangeStart = getStatsRangeStart(ranges);
+
+    // Period buckets only need the current week and year; the days before
+    // only add to the all-time total
+    const [periodResult, earlierResult] = await Promise.all([
+        getTimeEntries(userId, { from: rangeStart, to: ranges.daily.end }),
+        getEarlierTotals(userId, rangeStart)
+    ]);
+
+    if (!periodResult.success || !earlierResult.success) {
+        return { success: false, error: periodResult.error || earlierResult.error };
+    }
+
+    const stats = bucketTimeEntries(periodResult.entries, now, timeZone);
+    stats.total = periodResult.entries.reduce((sum, entry) => sum + (entry.totalSeconds || 0), earlierResult.total);
+    stats.categories.total = periodResult.entries.reduce(
+        (sum, entry) => addCategorySeconds(sum, entry.categories),
+        { ...earlierResult.categories }
+    );
+
+    return { success: true, stats };
+};
+
+// Totals of the days before the stats range: { [userId]: { before, backend, total, categories } }
+// Those days rarely change, so they are read once rather than on every refresh;
+// saves for an earlier day and merged stray entries read them again
+const earlierTotals = new Map();
+
+/**
+ * Get the time tracked before a day key (cached, see earlierTotals)
+ * Returns { success, total, categories }
+ */
+async function getEarlierTotals(userId, before) {
+    const backend = getStorage().name;
+    const cached = earlierTotals.get(userId);
+    if (cached?.before === before && cached.backend === backend) {
+        return { success: true, ...cached };
+    }
+
+    const result = await getTimeEntries(userId, { to: addDays(before, -1) });
+    if (!result.success) {
+        return result;
+    }
+
+    const totals = {
+        before,
+        backend,
+        total: result.entries.reduce((sum, entry) => sum + (entry.totalSeconds || 0), 0),
+        categories: result.entries.reduce((sum, entry) => addCategorySeconds(sum, entry.categories), {})
+    };
+    earlierTotals.set(userId, totals);
+    return { success: true, ...totals };
+}
+
+// Reading Analytics Functions
+
+// counters: { views, totalReadSeconds, completions } to add to the journal's totals
+// operationId: optional idempotency key (used when replaying queued reads)
+export const recordJournalStats = async (journalId, counters, operationId = null) => {
+    try {
+        await getStorage().recordJournalStats(journalId, counters, operationId, auth?.currentUser?.uid || null);
+        return { success: true };
+    } catch (error) {
+        console.error('Error recording journal stats:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+export const getJournalStats = async (journalId) => {
+    try {
+        const stats = await getStorage().getJournalStats(journalId);
+        return {
+            success: true,
+            stats: {
+                views: stats?.views || 0,
+                totalReadSeconds: stats?.totalReadSeconds || 0,
+                completions: stats?.completions || 0
             }
-        });
-        
-        return { success: true, stats };
+        };
     } catch (error) {
-        console.error('Error getting time stats:', error);
+        console.error('Error getting journal stats:', error);
         return { success: false, error: error.message };
     }
 };
 
+// Draft Sync Functions (opt-in, see draft.js)
+
+export const saveUserDraft = async (userId, draft) => {
+    try {
+        await getStorage().saveUserDraft(userId, draft);
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving draft to the server:', error);
+        return { success: false, error: error.message, code: error.code };
+    }
+};
+
+export const getUserDrafts = async (userId) => {
+    try {
+        const drafts = await getStorage().getUserDrafts(userId);
+        return { success: true, drafts };
+    } catch (error) {
+        console.error('Error getting drafts from the server:', error);
+        return { success: false, error: error.message, code: error.code, drafts: [] };
+    }
+};
+
+export const deleteUserDraft = async (userId, key) => {
+    try {
+        await getStorage().deleteUserDraft(userId, key);
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting draft from the server:', error);
+        return { success: false, error: error.message, code: error.code };
+    }
+};
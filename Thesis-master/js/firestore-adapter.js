@@ -0,0 +1,363 @@
+/**
+ * Firestore Storage Adapter
+ * Implements the storage interface (see storage.js) on top of Cloud Firestore
+ *
+ * Collections:
+ * - journals/{journalId}
+ * - users/{userId}
+ * - timeSpent/{userId}_{date} (one document per user and local calendar day)
+ * - journalStats/{journalId} (aggregated reading counters)
+ * - syncOps/{operationId} (applied offline operations, see sync.js)
+ * - users/{userId}/drafts/{draftKey} (drafts synced across devices, see draft.js)
+ * - users/{userId}/private/vault (encryption settings, owner only, see vault.js)
+ */
+
+import {
+    collection,
+    doc,
+    addDoc,
+    getDoc,
+    getDocs,
+    updateDoc,
+    deleteDoc,
+    setDoc,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    serverTimestamp,
+    increment,
+    runTransaction,
+    deleteField
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+import { addCategorySeconds } from './time-utils.js';
+
+// Journal fields whose changes bump the version (translations don't)
+const VERSIONED_FIELDS = ['title', 'content', 'tags'];
+
+/**
+ * Error thrown when a journal changed since the version an edit was based on
+ * Carries the current copy so the caller can offer a merge
+ */
+function createConflictError(serverJournal) {
+    const error = new Error('This journal was changed somewhere else');
+    error.code = 'conflict';
+    error.serverJournal = serverJournal;
+    return error;
+}
+
+/**
+ * Check in a transaction whether an offline operation was already applied
+ * (recorded in syncOps/{operationId}; see sync.js). Returns the record or null
+ */
+async function getAppliedOperation(transaction, operationRef) {
+    if (!operationRef) return null;
+    const operationSnap = await transaction.get(operationRef);
+    return operationSnap.exists() ? operationSnap.data() : null;
+}
+
+/**
+ * Record in a transaction that an offline operation was applied
+ */
+function markOperationApplied(transaction, operationRef, userId, details = {}) {
+    if (!operationRef) return;
+    transaction.set(operationRef, { ...details, userId, appliedAt: serverTimestamp() });
+}
+
+/**
+ * Convert a query snapshot into plain objects with their document IDs
+ */
+function snapshotToList(querySnapshot) {
+    const items = [];
+    querySnapshot.forEach((docSnap) => {
+        items.push({ id: docSnap.id, ...docSnap.data() });
+    });
+    return items;
+}
+
+/**
+ * Create a Firestore-backed storage adapter
+ */
+export function createFirestoreAdapter(db) {
+    return {
+        name: 'firestore',
+
+        // Journals
+
+        // id: optional document ID chosen by the caller (makes replays idempotent)
+        async createJournal(journal, id = null) {
+            if (id) {
+                const journalRef = doc(db, 'journals', id);
+                // In a transaction, so a retry can't overwrite a copy edited since
+                await runTransaction(db, async (transaction) => {
+                    if ((await transaction.get(journalRef)).exists()) return; // Already created
+
+                    transaction.set(journalRef, {
+                        ...journal,
+                        version: 1,
+                        createdAt: serverTimestamp(),
+                        updatedAt: serverTimestamp()
+                    });
+                });
+                return id;
+            }
+
+            const docRef = await addDoc(collection(db, 'journals'), {
+                ...journal,
+                version: 1,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            return docRef.id;
+        },
+
+        // baseVersion: version the edit was made on; when given, the update fails
+        // with a 'conflict' error if the journal has changed since
+        // operationId: optional idempotency key; an update already applied
+        // (recorded in syncOps/{operationId}) is skipped
+        // Returns the new version (null when not known)
+        async updateJournal(journalId, updates, baseVersion = null, operationId = null) {
+            const journalRef = doc(db, 'journals', journalId);
+            const bumpsVersion = VERSIONED_FIELDS.some(field => field in updates);
+
+            if (baseVersion === null && !operationId) {
+                await updateDoc(journalRef, {
+                    ...updates,
+                    ...(bumpsVersion ? { version: increment(1) } : {}),
+                    updatedAt: serverTimestamp()
+                });
+                return null;
+            }
+
+            const operationRef = operationId ? doc(db, 'syncOps', operationId) : null;
+            return runTransaction(db, async (transaction) => {
+                const applied = await getAppliedOperation(transaction, operationRef);
+                if (applied) return applied.version ?? null;
+
+                const docSnap = await transaction.get(journalRef);
+                if (!docSnap.exists()) {
+                    const error = new Error('Journal not found');
+                    error.code = 'not-found';
+                    throw error;
+                }
+
+                const version = docSnap.data().version || 0;
+                if (baseVersion !== null && version !== baseVersion) {
+                    throw createConflictError({ id: journalId, ...docSnap.data() });
+                }
+
+                const newVersion = bumpsVersion ? version + 1 : version;
+                transaction.update(journalRef, {
+                    ...updates,
+                    version: newVersion,
+                    updatedAt: serverTimestamp()
+                });
+                markOperationApplied(transaction, operationRef, docSnap.data().userId, { version: newVersion });
+                return newVersion;
+            });
+        },
+
+        async deleteJournal(journalId) {
+            await deleteDoc(doc(db, 'journals', journalId));
+        },
+
+        async getJournal(journalId) {
+            const docSnap = await getDoc(doc(db, 'journals', journalId));
+            return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+        },
+
+        async getUserJournals(userId) {
+            const q = query(
+                collection(db, 'journals'),
+                where('userId', '==', userId),
+                orderBy('createdAt', 'desc')
+            );
+            return snapshotToList(await getDocs(q));
+        },
+
+        // limit / after: page through the feed (after is the last journal of the previous page)
+        async getAllJournals({ limit: pageSize = null, after = null } = {}) {
+            // Order by ID too, so journals created at the same moment page reliably
+            const constraints = [orderBy('createdAt', 'desc'), orderBy(documentId(), 'desc')];
+            if (after) constraints.push(startAfter(after.createdAt, after.id));
+            if (pageSize) constraints.push(limit(pageSize));
+
+            const q = query(collection(db, 'journals'), ...constraints);
+            return snapshotToList(await getDocs(q));
+        },
+
+        // User profiles
+
+        async getUserProfile(userId) {
+            const docSnap = await getDoc(doc(db, 'users', userId));
+            return docSnap.exists() ? docSnap.data() : null;
+        },
+
+        async saveUserProfile(userId, data) {
+            await setDoc(doc(db, 'users', userId), {
+                ...data,
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+        },
+
+        // Encryption settings
+
+        async getVaultSettings(userId) {
+            const docSnap = await getDoc(doc(db, 'users', userId, 'private', 'vault'));
+            if (docSnap.exists()) {
+                const { updatedAt, ...vault } = docSnap.data();
+                return vault;
+            }
+
+            // Earlier versions saved them in the profile; move them
+            const profileSnap = await getDoc(doc(db, 'users', userId));
+            const vault = profileSnap.exists() ? profileSnap.data().vault : null;
+            if (!vault) return null;
+
+            await setDoc(doc(db, 'users', userId, 'private', 'vault'), { ...vault, updatedAt: serverTimestamp() });
+            await setDoc(doc(db, 'users', userId), { vault: deleteField() }, { merge: true });
+            return vault;
+        },
+
+        async saveVaultSettings(userId, vault) {
+            await setDoc(doc(db, 'users', userId, 'private', 'vault'), {
+                ...vault,
+                updatedAt: serverTimestamp()
+            });
+        },
+
+        // Time tracking
+
+        // date: local calendar day key in timeZone
+        // categories: per-activity seconds ({ writing, reading, ... }) added to the day's split
+        // Uses increments, so saves from several devices (or while offline) add up
+        // The day keeps the timezone it was first recorded in
+        // operationId: optional idempotency key; a save with a key already applied
+        // (recorded in syncOps/{operationId}) is skipped
+        async saveTimeSpent(userId, date, seconds, categories = {}, timeZone = null, operationId = null) {
+            const categoryUpdates = {};
+            Object.entries(categories).forEach(([name, amount]) => {
+                categoryUpdates[name] = increment(amount);
+            });
+
+            const timeRef = doc(db, 'timeSpent', `${userId}_${date}`);
+            const operationRef = operationId ? doc(db, 'syncOps', operationId) : null;
+
+            await runTransaction(db, async (transaction) => {
+                if (await getAppliedOperation(transaction, operationRef)) return;
+
+                const daySnap = await transaction.get(timeRef);
+                transaction.set(timeRef, {
+                    userId,
+                    date,
+                    timeZone: (daySnap.exists() && daySnap.data().timeZone) || timeZone,
+                    totalSeconds: increment(seconds),
+                    categories: categoryUpdates,
+                    updatedAt: serverTimestamp()
+                }, { merge: true });
+                markOperationApplied(transaction, operationRef, userId);
+            });
+        },
+
+        // Merge documents not stored under {userId}_{date} (written under random
+        // IDs by older versions) into the day's document
+        // Returns the number of documents merged
+        async mergeStrayTimeEntries(userId) {
+            const q = query(collection(db, 'timeSpent'), where('userId', '==', userId));
+            const strays = snapshotToList(await getDocs(q))
+                .filter(entry => entry.date && entry.id !== `${userId}_${entry.date}`);
+            let merged = 0;
+
+            for (const stray of strays) {
+                const strayRef = doc(db, 'timeSpent', stray.id);
+                const dayRef = doc(db, 'timeSpent', `${userId}_${stray.date}`);
+
+                const didMerge = await runTransaction(db, async (transaction) => {
+                    const straySnap = await transaction.get(strayRef);
+                    if (!straySnap.exists()) return false; // Merged by another device
+
+                    const daySnap = await transaction.get(dayRef);
+                    const strayData = straySnap.data();
+                    const dayData = daySnap.exists() ? daySnap.data() : {};
+
+                    transaction.set(dayRef, {
+                        userId,
+                        date: stray.date,
+                        timeZone: dayData.timeZone || strayData.timeZone || null,
+                        totalSeconds: (dayData.totalSeconds || 0) + (strayData.totalSeconds || 0),
+                        categories: addCategorySeconds({ ...(dayData.categories || {}) }, strayData.categories),
+                        updatedAt: serverTimestamp()
+                    }, { merge: true });
+                    transaction.delete(strayRef);
+                    return true;
+                });
+
+                if (didMerge) merged++;
+            }
+
+            return merged;
+        },
+
+        // range: optional { from, to } day keys (inclusive)
+        // Date ranges need a composite index on timeSpent (userId, date)
+        async getTimeEntries(userId, range = {}) {
+            const constraints = [where('userId', '==', userId)];
+            if (range.from) constraints.push(where('date', '>=', range.from));
+            if (range.to) constraints.push(where('date', '<=', range.to));
+
+            const q = query(collection(db, 'timeSpent'), ...constraints);
+            return snapshotToList(await getDocs(q));
+        },
+
+        // Reading analytics
+
+        // counters: { views, totalReadSeconds, completions } to add
+        // operationId / userId: optional idempotency key and the reader who
+        // queued it; counters already added under that key are skipped
+        async recordJournalStats(journalId, counters, operationId = null, userId = null) {
+            const statsRef = doc(db, 'journalStats', journalId);
+            const updates = { updatedAt: serverTimestamp() };
+            Object.entries(counters).forEach(([field, amount]) => {
+                updates[field] = increment(amount);
+            });
+
+            if (!operationId) {
+                await setDoc(statsRef, updates, { merge: true });
+                return;
+            }
+
+            const operationRef = doc(db, 'syncOps', operationId);
+            await runTransaction(db, async (transaction) => {
+                if (await getAppliedOperation(transaction, operationRef)) return;
+                transaction.set(statsRef, updates, { merge: true });
+                markOperationApplied(transaction, operationRef, userId);
+            });
+        },
+
+        async getJournalStats(journalId) {
+            const docSnap = await getDoc(doc(db, 'journalStats', journalId));
+            return docSnap.exists() ? { journalId, ...docSnap.data() } : null;
+        },
+
+        // Drafts (opt-in sync across devices)
+
+        // draft: { key, journalId, title, content, tags, savedAt, size, deviceId, deviceLabel }
+        async saveUserDraft(userId, draft) {
+            await setDoc(doc(db, 'users', userId, 'drafts', draft.key), {
+                ...draft,
+                updatedAt: serverTimestamp()
+            });
+        },
+
+        async getUserDrafts(userId) {
+            const querySnapshot = await getDocs(collection(db, 'users', userId, 'drafts'));
+            return snapshotToList(querySnapshot).map(({ id, updatedAt, ...draft }) => ({ ...draft, key: id }));
+        },
+
+        async deleteUserDraft(userId, key) {
+            await deleteDoc(doc(db, 'users', userId, 'drafts', key));
+        }
+    };
+}
@@ -0,0 +1,210 @@
+/**
+ * IndexedDB Helper Module
+ * Small promise-based wrapper around the browser IndexedDB API
+ *
+ * Features:
+ * - Single shared database for all local persistence
+ * - Declarative object store schema (stores are created on upgrade)
+ * - Promise helpers for get/put/delete/getAll/clear
+ */
+
+const DB_NAME = 'journal_app';
+const DB_VERSION = 8;
+
+// Object stores and their indexes
+// When adding a store, add it here and bump DB_VERSION
+const STORE_SCHEMAS = {
+    journals: {
+        keyPath: 'id',
+        indexes: [{ name: 'userId', keyPath: 'userId' }]
+    },
+    users: {
+        keyPath: 'uid',
+        indexes: []
+    },
+    timeSpent: {
+        keyPath: 'id',
+        indexes: [
+            { name: 'userId', keyPath: 'userId' },
+            { name: 'userId_date', keyPath: ['userId', 'date'] }
+        ]
+    },
+    journalStats: {
+        keyPath: 'journalId',
+        indexes: []
+    },
+    // Offline sync queue (see sync.js); seq keeps operations in order
+    outbox: {
+        keyPath: 'seq',
+        autoIncrement: true,
+        indexes: [
+            { name: 'key', keyPath: 'key', unique: true },
+            { name: 'userId', keyPath: 'userId' }
+        ]
+    },
+    // Connection event log (see diagnostics.js); seq keeps entries in order
+    diagnostics: {
+        keyPath: 'seq',
+        autoIncrement: true,
+        indexes: []
+    },
+    // Synced drafts on the local backend; id is {userId}_{draftKey}
+    drafts: {
+        keyPath: 'id',
+        indexes: [{ name: 'userId', keyPath: 'userId' }]
+    },
+    // Earlier versions of each draft on this device (see draft-history.js)
+    draftHistory: {
+        keyPath: 'id',
+        autoIncrement: true,
+        indexes: [{ name: 'draftKey', keyPath: 'draftKey' }]
+    },
+    // Items that used to be in localStorage (see local-store.js)
+    localData: {
+        keyPath: 'name',
+        indexes: []
+    }
+};
+
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available in this browser
+ */
+export function isIndexedDBAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Open (and upgrade if needed) the shared database
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!isIndexedDBAvailable()) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            const transaction = request.transaction;
+
+            Object.entries(STORE_SCHEMAS).forEach(([storeName, schema]) => {
+                const store = database.objectStoreNames.contains(storeName)
+                    ? transaction.objectStore(storeName)
+                    : database.createObjectStore(storeName, {
+                        keyPath: schema.keyPath,
+                        autoIncrement: !!schema.autoIncrement
+                    });
+
+                schema.indexes.forEach(index => {
+                    if (!store.indexNames.contains(index.name)) {
+                        store.createIndex(index.name, index.keyPath, { unique: !!index.unique });
+                    }
+                });
+            });
+        };
+
+        request.onsuccess = () => {
+            const database = request.result;
+            // Let other tabs upgrade the database without being blocked
+            database.onversionchange = () => {
+                database.close();
+                dbPromise = null;
+            };
+            resolve(database);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade blocked by another open tab');
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a callback against an object store inside a transaction
+ * Resolves with the callback result once the transaction completes
+ */
+export async function withStore(storeName, mode, callback) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const store = transaction.objectStore(storeName);
+        let result;
+
+        Promise.resolve(callback(store))
+            .then(value => { result = value; })
+            .catch(error => {
+                transaction.abort();
+                reject(error);
+            });
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Get a single record by key
+ */
+export function idbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => promisifyRequest(store.get(key)));
+}
+
+/**
+ * Insert or replace a record
+ */
+export function idbPut(storeName, value) {
+    return withStore(storeName, 'readwrite', store => promisifyRequest(store.put(value)));
+}
+
+/**
+ * Delete a record by key
+ */
+export function idbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => promisifyRequest(store.delete(key)));
+}
+
+/**
+ * Get all records, optionally through an index
+ */
+export function idbGetAll(storeName, indexName = null, query = undefined) {
+    return withStore(storeName, 'readonly', store => {
+        const source = indexName ? store.index(indexName) : store;
+        return promisifyRequest(source.getAll(query));
+    });
+}
+
+/**
+ * Remove every record from a store
+ */
+export function idbClear(storeName) {
+    return withStore(storeName, 'readwrite', store => promisifyRequest(store.clear()));
+}
@@ -0,0 +1,117 @@
+/**
+ * Idle Detection Module
+ * Detects when the user has stopped interacting with the page
+ *
+ * Features:
+ * - Pointer, keyboard, scroll and touch activity
+ * - Text-to-speech playback counts as activity (listening is usage)
+ * - Configurable idle threshold
+ * - Reports when the idle stretch started so callers can discount it
+ */
+
+// Default idle threshold (5 minutes)
+export const DEFAULT_IDLE_THRESHOLD = 5 * 60 * 1000;
+
+// Events that count as user activity
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'scroll', 'touchstart'];
+
+// How often to check for idleness
+const CHECK_INTERVAL = 1000;
+
+/**
+ * Check if text-to-speech is currently reading to the user
+ */
+function isSpeechPlaying() {
+    try {
+        if (window.accessibilityState?.isSpeaking) return true;
+        return !!(window.speechSynthesis && window.speechSynthesis.speaking);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Create an idle detector
+ *
+ * options:
+ * - threshold: milliseconds without activity before the user is idle
+ * - onIdle(idleSince): called once when the user becomes idle, with the
+ *   timestamp of the last activity (the start of the idle stretch)
+ * - onActive(idleSince, now): called on the first activity after being idle
+ * - onActivity(now): called on every activity (e.g. to forward it to other tabs)
+ */
+export function createIdleDetector(options = {}) {
+    let threshold = options.threshold || DEFAULT_IDLE_THRESHOLD;
+    let lastActivity = Date.now();
+    let idleSince = null;
+    let checkTimer = null;
+
+    function handleActivity() {
+        const now = Date.now();
+        lastActivity = now;
+        if (options.onActivity) options.onActivity(now);
+
+        if (idleSince !== null) {
+            const startedAt = idleSince;
+            idleSince = null;
+            if (options.onActive) options.onActive(startedAt, now);
+        }
+    }
+
+    function checkIdle() {
+        // Speech playback keeps the user active even without input
+        if (isSpeechPlaying()) {
+            handleActivity();
+            return;
+        }
+
+        if (idleSince === null && Date.now() - lastActivity >= threshold) {
+            idleSince = lastActivity;
+            if (options.onIdle) options.onIdle(idleSince);
+        }
+    }
+
+    return {
+        start() {
+            if (checkTimer) return;
+            lastActivity = Date.now();
+            idleSince = null;
+            ACTIVITY_EVENTS.forEach(eventName => {
+                window.addEventListener(eventName, handleActivity, { passive: true, capture: true });
+            });
+            checkTimer = setInterval(checkIdle, CHECK_INTERVAL);
+        },
+
+        stop() {
+            ACTIVITY_EVENTS.forEach(eventName => {
+                window.removeEventListener(eventName, handleActivity, { capture: true });
+            });
+            if (checkTimer) {
+                clearInterval(checkTimer);
+                checkTimer = null;
+            }
+            idleSince = null;
+        },
+
+        // Treat a non-input action (e.g. a button in the idle prompt) as activity
+        recordActivity() {
+            handleActivity();
+        },
+
+        setThreshold(milliseconds) {
+            if (milliseconds > 0) threshold = milliseconds;
+        },
+
+        getThreshold() {
+            return threshold;
+        },
+
+        getLastActivity() {
+            return lastActivity;
+        },
+
+        isIdle() {
+            return idleSince !== null;
+        }
+    };
+}
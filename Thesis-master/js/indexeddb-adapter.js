@@ -0,0 +1,274 @@
+/**
+ * IndexedDB Storage Adapter
+ * Implements the storage interface (see storage.js) on top of IndexedDB
+ *
+ * Used when Firestore is unavailable, when the local backend is forced
+ * (?storage=local) and in tests. Records mirror the Firestore documents
+ * so both backends return the same shapes.
+ */
+
+import { idbGet, idbPut, idbDelete, idbGetAll, withStore } from './idb.js';
+import { addCategorySeconds } from './time-utils.js';
+
+// Journal fields whose changes bump the version (translations don't)
+const VERSIONED_FIELDS = ['title', 'content', 'tags'];
+
+/**
+ * Error thrown when a journal changed since the version an edit was based on
+ * Carries the current copy so the caller can offer a merge
+ */
+function createConflictError(serverJournal) {
+    const error = new Error('This journal was changed somewhere else');
+    error.code = 'conflict';
+    error.serverJournal = serverJournal;
+    return error;
+}
+
+/**
+ * Generate an ID for a locally created journal
+ * Uses a distinct prefix so it never collides with localStorage "local-" journals
+ */
+function generateJournalId() {
+    return 'idb-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Get sortable milliseconds from a stored date value
+ */
+function toMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    return new Date(value).getTime() || 0;
+}
+
+/**
+ * Sort journals newest first (same order as the Firestore queries)
+ */
+function sortByCreatedAtDesc(journals) {
+    return journals.sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+}
+
+/**
+ * Create an IndexedDB-backed storage adapter
+ */
+export function createIndexedDBAdapter() {
+    return {
+        name: 'indexeddb',
+
+        // Journals
+
+        // id: optional record ID chosen by the caller (makes replays idempotent)
+        async createJournal(journal, id = null) {
+            if (id && await idbGet('journals', id)) return id; // Already created
+
+            id = id || generateJournalId();
+            const now = new Date().toISOString();
+            await idbPut('journals', {
+                ...journal,
+                id,
+                version: 1,
+                createdAt: now,
+                updatedAt: now
+            });
+            return id;
+        },
+
+        // baseVersion: version the edit was made on; when given, the update fails
+        // with a 'conflict' error if the journal has changed since
+        // Returns the new version
+        // The operation ID is not needed: local writes never time out, so a
+        // replay never repeats one that went through
+        async updateJournal(journalId, updates, baseVersion = null) {
+            const bumpsVersion = VERSIONED_FIELDS.some(field => field in updates);
+
+            // Read and write in one transaction so other tabs can't interleave
+            return withStore('journals', 'readwrite', store => new Promise((resolve, reject) => {
+                const request = store.get(journalId);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    if (!existing) {
+                        const error = new Error('Journal not found');
+                        error.code = 'not-found'; // Same code as Firestore
+                        reject(error);
+                        return;
+                    }
+
+                    const version = existing.version || 0;
+                    if (baseVersion !== null && version !== baseVersion) {
+                        reject(createConflictError(existing));
+                        return;
+                    }
+
+                    const newVersion = bumpsVersion ? version + 1 : version;
+                    store.put({
+                        ...existing,
+                        ...updates,
+                        id: journalId,
+                        version: newVersion,
+                        updatedAt: new Date().toISOString()
+                    });
+                    resolve(newVersion);
+                };
+                request.onerror = () => reject(request.error);
+            }));
+        },
+
+        async deleteJournal(journalId) {
+            await idbDelete('journals', journalId);
+        },
+
+        async getJournal(journalId) {
+            return (await idbGet('journals', journalId)) || null;
+        },
+
+        async getUserJournals(userId) {
+            return sortByCreatedAtDesc(await idbGetAll('journals', 'userId', userId));
+        },
+
+        // limit / after: page through the feed (after is the last journal of the previous page)
+        async getAllJournals({ limit = null, after = null } = {}) {
+            let journals = sortByCreatedAtDesc(await idbGetAll('journals'));
+
+            if (after) {
+                const index = journals.findIndex(journal => journal.id === after.id);
+                journals = index >= 0
+                    ? journals.slice(index + 1)
+                    : journals.filter(journal => toMillis(journal.createdAt) < toMillis(after.createdAt));
+            }
+            return limit ? journals.slice(0, limit) : journals;
+        },
+
+        // User profiles
+
+        async getUserProfile(userId) {
+            const record = await idbGet('users', userId);
+            if (!record) return null;
+            const { uid, ...data } = record;
+            return data;
+        },
+
+        async saveUserProfile(userId, data) {
+            const existing = await idbGet('users', userId);
+            await idbPut('users', {
+                ...(existing || {}),
+                ...data,
+                uid: userId,
+                updatedAt: new Date().toISOString()
+            });
+        },
+
+        // Encryption settings (kept with the profile; both stay on this device)
+
+        async getVaultSettings(userId) {
+            return (await idbGet('users', userId))?.vault || null;
+        },
+
+        async saveVaultSettings(userId, vault) {
+            const existing = await idbGet('users', userId);
+            await idbPut('users', { ...(existing || {}), vault, uid: userId });
+        },
+
+        // Time tracking
+
+        // date: local calendar day key in timeZone
+        // categories: per-activity seconds ({ writing, reading, ... }) added to the day's split
+        // The day keeps the timezone it was first recorded in
+        // The operation ID is not needed: local saves are never queued for replay
+        async saveTimeSpent(userId, date, seconds, categories = {}, timeZone = null) {
+            const id = `${userId}_${date}`;
+
+            // Read and write in one transaction so saves from other tabs add up
+            await withStore('timeSpent', 'readwrite', store => new Promise((resolve, reject) => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    const now = new Date().toISOString();
+
+                    store.put({
+                        id,
+                        userId,
+                        date,
+                        timeZone: existing?.timeZone || timeZone,
+                        totalSeconds: (existing?.totalSeconds || 0) + seconds,
+                        categories: addCategorySeconds({ ...(existing?.categories || {}) }, categories),
+                        createdAt: existing?.createdAt || now,
+                        updatedAt: now
+                    });
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+            }));
+        },
+
+        // Merge records not stored under {userId}_{date} into the day's record
+        // Returns the number of records merged
+        async mergeStrayTimeEntries(userId) {
+            const strays = (await idbGetAll('timeSpent', 'userId', userId))
+                .filter(entry => entry.date && entry.id !== `${userId}_${entry.date}`);
+
+            for (const stray of strays) {
+                const id = `${userId}_${stray.date}`;
+                const existing = await idbGet('timeSpent', id);
+                const now = new Date().toISOString();
+
+                await idbPut('timeSpent', {
+                    id,
+                    userId,
+                    date: stray.date,
+                    timeZone: existing?.timeZone || stray.timeZone || null,
+                    totalSeconds: (existing?.totalSeconds || 0) + (stray.totalSeconds || 0),
+                    categories: addCategorySeconds({ ...(existing?.categories || {}) }, stray.categories),
+                    createdAt: existing?.createdAt || stray.createdAt || now,
+                    updatedAt: now
+                });
+                await idbDelete('timeSpent', stray.id);
+            }
+
+            return strays.length;
+        },
+
+        // range: optional { from, to } day keys (inclusive)
+        async getTimeEntries(userId, range = {}) {
+            if (!range.from && !range.to) {
+                return idbGetAll('timeSpent', 'userId', userId);
+            }
+            const keyRange = IDBKeyRange.bound(
+                [userId, range.from || ''],
+                [userId, range.to || '\uffff']
+            );
+            return idbGetAll('timeSpent', 'userId_date', keyRange);
+        },
+
+        // Reading analytics
+
+        // counters: { views, totalReadSeconds, completions } to add
+        // The operation ID is not needed (see updateJournal)
+        async recordJournalStats(journalId, counters) {
+            const existing = (await idbGet('journalStats', journalId)) || { journalId };
+            Object.entries(counters).forEach(([field, amount]) => {
+                existing[field] = (existing[field] || 0) + amount;
+            });
+            existing.updatedAt = new Date().toISOString();
+            await idbPut('journalStats', existing);
+        },
+
+        async getJournalStats(journalId) {
+            return (await idbGet('journalStats', journalId)) || null;
+        },
+
+        // Drafts (opt-in sync across devices; on this backend they stay on the device)
+
+        async saveUserDraft(userId, draft) {
+            await idbPut('drafts', { ...draft, id: `${userId}_${draft.key}`, userId });
+        },
+
+        async getUserDrafts(userId) {
+            const records = await idbGetAll('drafts', 'userId', userId);
+            return records.map(({ id, userId: owner, ...draft }) => draft);
+        },
+
+        async deleteUserDraft(userId, key) {
+            await idbDelete('drafts', `${userId}_${key}`);
+        }
+    };
+}
@@ -9,31 +9,83 @@
  * - Display journals with user information
  * - Filter and search journals
  * - Sample demo journals for testing
+ * - Reading insights for authors
+ * - Journals, edits and deletions made offline are queued and uploaded later
+ *   (see sync.js), with a "pending upload" badge until then
+ * - Journals are versioned; edits based on an outdated copy open a merge dialog
+ * - Recently read journals are kept for offline reading (see pwa.js)
+ * - Reloads from the storage backend when the connection returns; translation
+ *   waits until then (see network.js addNetworkListener)
+ * - In low-data mode the feed loads a page at a time and translation waits
+ *   (see low-data.js)
+ * - Opening the editor starts or restores that journal's draft (see draft.js)
+ * - Private journals are stored and uploaded encrypted (see vault.js); only
+ *   their author sees them, as a locked card until encryption is unlocked
+ * - Offline journals and translations are kept in IndexedDB (see
+ *   local-store.js); old translations can be removed in the "Free up space"
+ *   dialog (see storage-quota.js)
  */
 
 // Import from firebase-config
 import {
-    auth,
-    onAuthStateChanged,
-    db,
-    collection,
-    doc,
-    addDoc,
-    getDoc,
-    getDocs,
-    updateDoc,
-    deleteDoc,
-    query,
-    where,
-    orderBy,
-    serverTimestamp,
-    firebaseInitialized,
-    updateJournal
+    createJournal,
+    updateJournal,
+    removeJournal,
+    getJournal,
+    getUserJournals,
+    getAllJournals
 } from './firebase-config.js';
 
 // Import accessibility functions
 import { setupTTS, translatePage } from './accessibility.js';
 
+// Import reading analytics
+import { startReading, stopReading, getJournalInsights, formatReadTime } from './analytics.js';
+
+// Import offline sync queue
+import {
+    enqueueOperation,
+    generateOperationKey,
+    shouldQueueWrites,
+    getOutboxItems,
+    updateOperationPayload,
+    discardOperation,
+    addSyncListener,
+    openPayload
+} from './sync.js';
+
+// Import merge dialog for edit conflicts
+import { showMergeDialog } from './merge-dialog.js';
+
+// Import offline reading cache
+import { rememberJournal, getRecentJournals } from './pwa.js';
+
+// Import network status events
+import { addNetworkListener, getNetworkStatus } from './network.js';
+
+// Import low-data mode
+import { isLowDataMode, addLowDataListener } from './low-data.js';
+
+// Import drafts (one per journal being written or edited)
+import { startDraft, holdDraft, clearDraft } from './draft.js';
+
+// Import encryption (private journals and the offline journals on this device)
+import {
+    readSecureItem,
+    writeSecureItem,
+    isEncryptionEnabled,
+    isVaultUnlocked,
+    sealFields,
+    openFields,
+    sealQueuedFields,
+    addVaultListener
+} from './vault.js';
+import { showVaultDialog } from './vault-dialog.js';
+
+// Import local data (offline journals and translations) and storage cleanup
+import { getLocalItem, setLocalItem } from './local-store.js';
+import { registerStorageCleanup } from './storage-quota.js';
+
 // DOM Elements
 let journalsContainer;
 let journalForm;
@@ -45,6 +97,35 @@ let currentUser = null;
 let userJournals = [];
 let allJournals = [];
 
+// Sync status of journals with queued operations: journal ID -> 'pending' | 'failed' | 'conflict'
+let pendingJournals = new Map();
+
+// Language to translate journals into once back online (or out of low-data mode)
+let pausedTranslationLang = null;
+
+// Feed paging in low-data mode
+const LOW_DATA_PAGE_SIZE = 10;
+let feedCursor = null;
+let feedHasMore = false;
+let loadMoreButton = null;
+
+// Version of the journal being edited (null for new and local journals)
+let editingBaseVersion = null;
+// Added to save errors: the submitted text stays a draft until it is saved
+const KEPT_IN_DRAFTS = '. Your text is kept in Drafts.';
+
+// Offline journals live on this device (encrypted when encryption is on)
+const LOCAL_JOURNALS_KEY = 'localJournals';
+// Uploaded offline journals to remove from the device once unlocked
+const staleLocalJournals = new Set();
+// Shown in place of a private journal's text while locked
+const LOCKED_CONTENT = 'This journal is encrypted. Unlock to read it.';
+
+// Translations kept on this device: { [journalId]: { [lang]: { ...translation, savedAt } } }
+const TRANSLATIONS_KEY = 'journalTranslations';
+// Offered for cleanup after this long (journals can be translated again)
+const TRANSLATION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
 // Color themes for journal cards
 const CARD_THEMES = [
     'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
@@ -248,14 +329,65 @@ export function initJournal(containerId = 'journals-container') {
     }
 
     if (journalsContainer) {
+        // "Load more" for the paged feed in low-data mode
+        loadMoreButton = document.createElement('button');
+        loadMoreButton.type = 'button';
+        loadMoreButton.className = 'btn btn-secondary load-more-journals';
+        loadMoreButton.setAttribute('data-i18n', 'Load more journals');
+        loadMoreButton.textContent = 'Load more journals';
+        loadMoreButton.hidden = true;
+        loadMoreButton.addEventListener('click', loadMoreJournals);
+        journalsContainer.after(loadMoreButton);
+
         journalsContainer.addEventListener('click', handleJournalActionClick);
         journalsContainer.addEventListener('click', handleReadMoreClick);
+        // toggle doesn't bubble, so listen in the capture phase
+        journalsContainer.addEventListener('toggle', handleInsightsToggle, true);
+    }
+
+    // Swap in real IDs and update badges as queued journals upload
+    addSyncListener(handleSyncEvent);
+
+    // Reload from the backend and resume translation when back online
+    addNetworkListener(handleNetworkChange);
+
+    // Load the rest of the feed and resume translation when low-data mode ends
+    addLowDataListener(handleLowDataChange);
+
+    // Open or hide private journals as encryption is unlocked or locked
+    addVaultListener(handleVaultChange);
+
+    // Translations can be made again, so they are the first to go when space runs low
+    registerStorageCleanup({
+        id: 'old-translations',
+        label: 'Translations saved more than 30 days ago',
+        measure: () => measureTranslations(isOldTranslation),
+        run: () => removeTranslations(isOldTranslation)
+    });
+    registerStorageCleanup({
+        id: 'translations',
+        label: 'All translations saved on this device',
+        measure: () => measureTranslations(() => true),
+        run: () => removeTranslations(() => true),
+        checked: false
+    });
+
+    // Private journals are encrypted, so marking one needs encryption unlocked
+    const privateCheckbox = document.getElementById('journalPrivate');
+    if (privateCheckbox) {
+        privateCheckbox.addEventListener('change', async () => {
+            if (privateCheckbox.checked && !isVaultUnlocked()) {
+                privateCheckbox.checked = await showVaultDialog({
+                    reason: 'Private journals are encrypted with your passphrase.'
+                });
+            }
+        });
     }
 
     // Add event listener for create journal button
     const createJournalBtn = document.getElementById('createJournalBtn');
     if (createJournalBtn) {
-        createJournalBtn.addEventListener('click', createNewJournal);
+        createJournalBtn.addEventListener('click', () => createNewJournal());
     }
 
     // Add event listeners for modal close and cancel buttons
@@ -338,25 +470,99 @@ function handleReadMoreClick(e) {
     const fullContent = excerptDiv.getAttribute('data-full-content');
     if (!fullContent) return;
 
+    const card = excerptDiv.closest('.journal-card');
+    const journalId = card?.dataset.journalId;
+
     // Toggle between excerpt and full content
     if (excerptDiv.classList.contains('expanded')) {
         // Collapse back to excerpt
         const excerpt = fullContent.length > 150 ? fullContent.substring(0, 150) + '...' : fullContent;
         excerptDiv.innerHTML = `${escapeHtml(excerpt)}${fullContent.length > 150 ? '<span class="read-more-indicator" data-i18n="Keep reading">Keep reading</span>' : ''}`;
         excerptDiv.classList.remove('expanded');
+        stopReading(journalId);
     } else {
         // Expand to full content
         excerptDiv.innerHTML = escapeHtml(fullContent);
         excerptDiv.classList.add('expanded');
+        startReading(journalId, excerptDiv, {
+            authorId: card?.dataset.authorId,
+            readerId: currentUser?.uid
+        });
+        rememberViewedJournal(journalId);
+    }
+}
+
+/**
+ * Keep a journal the user opened for offline reading
+ */
+function rememberViewedJournal(journalId) {
+    const journal = userJournals.find(j => j.id === journalId) ||
+        allJournals.find(j => j.id === journalId);
+    // The offline copy is not encrypted, so private journals are not kept
+    if (journal && !journal.isPrivate) {
+        rememberJournal(journal);
+    }
+}
+
+/**
+ * Insights panel for the author's own cards (filled in when expanded)
+ */
+function renderInsightsPanel(journalId) {
+    return `
+        <details class="journal-insights" data-journal-id="${journalId}">
+            <summary><i class="fas fa-chart-line"></i> <span data-i18n="Insights">Insights</span></summary>
+            <div class="journal-insights-body" aria-live="polite">
+                <span class="insights-loading" data-i18n="Loading insights...">Loading insights...</span>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Load reading insights when an Insights panel is expanded
+ */
+async function handleInsightsToggle(e) {
+    const panel = e.target;
+    if (!panel.classList || !panel.classList.contains('journal-insights') || !panel.open) return;
+
+    const body = panel.querySelector('.journal-insights-body');
+    const result = await getJournalInsights(panel.dataset.journalId);
+
+    if (!result.success) {
+        body.innerHTML = '<span class="insights-error" data-i18n="Insights are unavailable right now">Insights are unavailable right now</span>';
+        return;
     }
+
+    const { views, averageReadSeconds, completionRate } = result.insights;
+    const completionPercent = Math.round(completionRate * 100);
+
+    body.innerHTML = `
+        <div class="insight-item" data-tts="Views: ${views}">
+            <span class="insight-value">${views}</span>
+            <span class="insight-label" data-i18n="Views">Views</span>
+        </div>
+        <div class="insight-item" data-tts="Average read time: ${formatReadTime(averageReadSeconds)}">
+            <span class="insight-value">${formatReadTime(averageReadSeconds)}</span>
+            <span class="insight-label" data-i18n="Avg. read time">Avg. read time</span>
+        </div>
+        <div class="insight-item" data-tts="Completion rate: ${completionPercent} percent">
+            <span class="insight-value">${completionPercent}%</span>
+            <span class="insight-label" data-i18n="Completion rate">Completion rate</span>
+        </div>
+    `;
 }
 
-function createNewJournal() {
+function createNewJournal(draftKey = null) {
     // Clear the form for new journal creation
     document.getElementById('journalId').value = '';
     document.getElementById('journalTitle').value = '';
     document.getElementById('journalContent').value = '';
     document.getElementById('journalTags').value = '';
+    const privateCheckbox = document.getElementById('journalPrivate');
+    if (privateCheckbox) privateCheckbox.checked = false;
+
+    // A new draft, so other unsaved drafts are kept (or the one being resumed)
+    startDraft('', draftKey);
 
     const modal = document.getElementById('journalModal');
     if (modal) {
@@ -397,32 +603,22 @@ async function loadUserJournals() {
     if (!currentUser) return;
 
     try {
-        const q = query(
-            collection(db, 'journals'),
-            where('userId', '==', currentUser.uid),
-            orderBy('createdAt', 'desc')
-        );
-
-        const querySnapshot = await getDocs(q);
-        userJournals = [];
-
-        querySnapshot.forEach((doc) => {
-            userJournals.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
+        const result = await getUserJournals(currentUser.uid);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to load journals');
+        }
+        userJournals = await openJournals(await applyPendingChanges(result.journals));
 
         // After loading user journals, display combined view (all journals + sample)
         displayCombinedJournals();
     } catch (error) {
-        console.error('Error loading user journals from Firestore:', error);
+        console.error('Error loading user journals from storage:', error);
 
-        // Fallback: load from localStorage
+        // Fallback: load the journals saved on this device
         try {
-            const localJournals = JSON.parse(localStorage.getItem('localJournals') || '[]');
+            const localJournals = readLocalJournals();
             userJournals = localJournals.filter(j => j.userId === currentUser.uid);
-            console.log('Loaded journals from localStorage:', userJournals.length);
+            console.log('Loaded journals saved on this device:', userJournals.length);
 
             // Display combined view with local journals
             displayCombinedJournals();
@@ -435,41 +631,356 @@ async function loadUserJournals() {
     }
 }
 
+/**
+ * Show queued offline edits and deletions on top of the loaded journals
+ */
+async function applyPendingChanges(journals) {
+    const operations = (await refreshPendingJournals())
+        .filter(operation => operation.type !== 'createJournal')
+        .filter(operation => operation.status === 'pending');
+    // Sealed edits can't be shown while encryption is locked
+    const payloads = await Promise.all(operations.map(openPayload));
+
+    return operations.reduce((list, operation, index) => {
+        if (!payloads[index]) return list;
+
+        const { journalId, updates } = payloads[index];
+        if (operation.type === 'deleteJournal') {
+            return list.filter(journal => journal.id !== journalId);
+        }
+        return list.map(journal => journal.id === journalId ? { ...journal, ...updates } : journal);
+    }, journals);
+}
+
+/**
+ * Read which journals have queued operations (for the badges)
+ * Returns the queued journal operations
+ */
+async function refreshPendingJournals() {
+    const operations = await getOutboxItems(['createJournal', 'updateJournal', 'deleteJournal']);
+
+    pendingJournals = new Map();
+    operations.forEach(operation => {
+        const journalId = operation.payload.localId || operation.payload.journalId;
+        if (journalId) pendingJournals.set(journalId, operation.status);
+    });
+    return operations;
+}
+
+/**
+ * Decrypt a private journal (its title, content and tags are in "sealed")
+ * While locked it becomes a placeholder without its text (locked: true)
+ */
+async function openJournal(journal) {
+    if (!journal.isPrivate) return journal;
+
+    if (isVaultUnlocked()) {
+        // Offline copies are kept in the encrypted localJournals as they are
+        if (!journal.sealed && !journal.locked) return journal;
+
+        const fields = await openFields(journal.sealed);
+        if (fields) return { ...journal, ...fields, locked: false };
+    }
+
+    return { ...journal, title: 'Private journal', content: LOCKED_CONTENT, tags: [], locked: true };
+}
+
+/**
+ * Decrypt the private journals in a list; other users' are left out
+ */
+function openJournals(journals) {
+    return Promise.all(journals
+        .filter(journal => !journal.isPrivate || journal.userId === currentUser?.uid)
+        .map(openJournal));
+}
+
+/**
+ * Fields to store for a journal's text
+ * A private journal's title, content and tags are only stored sealed; making
+ * a private journal public (wasPrivate) clears the sealed copy.
+ */
+async function toStoredFields({ title, content, tags }, isPrivate, wasPrivate = false) {
+    if (isPrivate) {
+        return { title: '', content: '', tags: [], isPrivate: true, sealed: await sealFields({ title, content, tags }) };
+    }
+    return wasPrivate ? { title, content, tags, isPrivate: false, sealed: null } : { title, content, tags };
+}
+
+/**
+ * Render the badge for a private journal
+ */
+function renderPrivateBadge(journal) {
+    if (!journal.isPrivate) return '';
+
+    return `
+        <span class="journal-badge private-badge" title="Encrypted - only you can read it">
+            <i class="fas ${journal.locked ? 'fa-lock' : 'fa-lock-open'}"></i> <span data-i18n="Private">Private</span>
+        </span>
+    `;
+}
+
+/**
+ * Render the badge for a journal waiting to upload
+ */
+function renderPendingBadge(journalId) {
+    const status = pendingJournals.get(journalId);
+    if (!status) return '';
+
+    if (status === 'conflict') {
+        return `
+            <span class="journal-badge pending-badge conflict" title="Changed somewhere else while you were offline - edit to review">
+                <i class="fas fa-code-branch"></i> <span data-i18n="Needs review">Needs review</span>
+            </span>
+        `;
+    }
+    if (status === 'failed') {
+        return `
+            <span class="journal-badge pending-badge failed" title="This change could not be uploaded">
+                <i class="fas fa-exclamation-triangle"></i> <span data-i18n="Upload failed">Upload failed</span>
+            </span>
+        `;
+    }
+    return `
+        <span class="journal-badge pending-badge" title="Saved on this device, uploads when you are back online">
+            <i class="fas fa-cloud-upload-alt"></i> <span data-i18n="Pending upload">Pending upload</span>
+        </span>
+    `;
+}
+
+/**
+ * Handle progress of the offline sync queue
+ */
+async function handleSyncEvent(event) {
+    const { operation } = event;
+
+    if (event.type === 'applied' && operation.type === 'createJournal' && operation.payload.localId) {
+        await promoteLocalJournal(operation.payload.localId, event.result.id);
+    }
+
+    if (event.type !== 'retry') {
+        await refreshPendingJournals();
+        if (currentUser) displayCombinedJournals();
+    }
+}
+
+/**
+ * Replace a journal created offline ("local-" ID) with its uploaded copy
+ * Translations made while offline move to the new ID.
+ */
+async function promoteLocalJournal(localId, journalId) {
+    let localJournal = null;
+    try {
+        const localJournals = readLocalJournals();
+        localJournal = localJournals.find(j => j.id === localId) || null;
+        writeLocalJournals(localJournals.filter(j => j.id !== localId));
+    } catch (error) {
+        if (error.code === 'vault-locked') {
+            staleLocalJournals.add(localId);
+        } else {
+            console.error('Error removing uploaded journal from this device:', error);
+        }
+    }
+
+    const translations = {
+        ...(localJournal?.translations || {}),
+        ...loadLocalTranslations(localId)
+    };
+    const uploaded = {
+        ...(localJournal || userJournals.find(j => j.id === localId) || {}),
+        id: journalId,
+        version: 1,
+        translations
+    };
+    delete uploaded.syncKey;
+
+    // Move the translations to the new ID, and upload them
+    moveLocalTranslations(localId, journalId);
+    if (Object.keys(translations).length > 0) {
+        const result = await updateJournal(journalId, { translations });
+        if (result.success) {
+            moveLocalTranslations(journalId, null);
+        } else {
+            console.warn('Failed to upload translations, keeping them locally:', result.error);
+        }
+    }
+
+    userJournals = userJournals.filter(j => j.id !== localId && j.id !== journalId);
+    userJournals.unshift(uploaded);
+    if (!allJournals.some(j => j.id === journalId)) {
+        allJournals.unshift(uploaded);
+    }
+
+    // Keep editing the uploaded journal if its form is open
+    const journalIdInput = document.getElementById('journalId');
+    if (journalIdInput && journalIdInput.value === localId) {
+        journalIdInput.value = journalId;
+    }
+
+    console.log('Offline journal uploaded:', localId, '->', journalId);
+}
+
+/**
+ * Handle the connection going offline or coming back
+ * Offline, journals shown are the last loaded (or recently viewed) copies and
+ * writes are queued; back online, the lists are reloaded from the backend.
+ */
+async function handleNetworkChange({ current, previous, changed }) {
+    if (!changed.includes('status')) return;
+
+    if (current.status === 'offline') {
+        console.log('Journals: offline, changes will be queued');
+        return;
+    }
+    if (previous.status !== 'offline') return;
+
+    console.log('Journals: back online, reloading');
+    await loadAllJournals();
+    if (currentUser) {
+        await loadUserJournals();
+    }
+
+    await resumePausedTranslation();
+}
+
+/**
+ * Handle encryption being unlocked or locked (see vault.js)
+ * Private journals are decrypted, or replaced by locked placeholders.
+ */
+async function handleVaultChange({ type }) {
+    if (type === 'locking') return;
+
+    if (type === 'locked') {
+        // Don't leave decrypted text on screen (draft.js saved it while locking)
+        const modal = document.getElementById('journalModal');
+        if (modal && !modal.hidden) {
+            journalForm?.reset();
+            closeModal(modal);
+        }
+    }
+
+    if (type === 'unlocked' && staleLocalJournals.size > 0) {
+        try {
+            writeLocalJournals(readLocalJournals().filter(j => !staleLocalJournals.has(j.id)));
+            staleLocalJournals.clear();
+        } catch (error) {
+            console.error('Error removing uploaded journals from this device:', error);
+        }
+    }
+
+    userJournals = await openJournals(userJournals);
+    allJournals = await openJournals(allJournals);
+
+    if (currentUser) {
+        displayCombinedJournals();
+        // Offline private journals are only readable from this device again
+        if (type === 'unlocked') loadUserJournals();
+    }
+}
+
+/**
+ * Handle low-data mode turning on or off
+ * On: what is loaded stays; the next load is paged. Off: load the full feed.
+ */
+async function handleLowDataChange(active) {
+    if (active) return;
+
+    if (feedHasMore) {
+        await loadAllJournals();
+    }
+    await resumePausedTranslation();
+}
+
+/**
+ * Run a translation that waited for the connection
+ */
+async function resumePausedTranslation() {
+    if (!pausedTranslationLang) return;
+
+    const targetLang = pausedTranslationLang;
+    pausedTranslationLang = null;
+    await translateAllJournals(targetLang);
+}
+
 async function loadAllJournals() {
     try {
-        const q = query(
-            collection(db, 'journals'),
-            orderBy('createdAt', 'desc')
-        );
-        
-        const querySnapshot = await getDocs(q);
-        allJournals = [];
-        
-        querySnapshot.forEach((doc) => {
-            allJournals.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
-        
+        const result = await getAllJournals(isLowDataMode() ? { limit: LOW_DATA_PAGE_SIZE } : {});
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to load journals');
+        }
+        allJournals = await openJournals(await applyPendingChanges(result.journals));
+        feedCursor = result.journals[result.journals.length - 1] || null;
+        feedHasMore = result.hasMore;
+        updateLoadMoreButton();
+
         // If user is logged in, don't display here - displayCombinedJournals will handle it
         if (currentUser) {
             console.log('User logged in, displaying combined journals');
             displayCombinedJournals();
         } else if (allJournals.length === 0) {
-            console.log('No journals found in Firebase, showing sample journals');
+            console.log('No journals found in storage, showing sample journals');
             displayJournals(SAMPLE_JOURNALS, false);
         } else {
             displayJournals(allJournals, false);
         }
     } catch (error) {
         console.error('Error loading all journals:', error);
-        if (!currentUser) {
+
+        feedHasMore = false;
+        updateLoadMoreButton();
+
+        // Offline: show the journals kept for offline reading
+        const recentJournals = await getRecentJournals();
+        if (recentJournals.length > 0) {
+            allJournals = recentJournals;
+            showMessage('You are offline. Showing recently viewed journals.', 'warning');
+            if (currentUser) {
+                displayCombinedJournals();
+            } else {
+                displayJournals(allJournals, false);
+            }
+        } else if (!currentUser) {
             displayJournals(SAMPLE_JOURNALS, false);
         }
     }
 }
 
+/**
+ * Load the next page of the feed (low-data mode)
+ */
+async function loadMoreJournals() {
+    if (!feedHasMore || !feedCursor) return;
+
+    loadMoreButton.disabled = true;
+    const result = await getAllJournals({ limit: LOW_DATA_PAGE_SIZE, after: feedCursor });
+
+    if (result.success) {
+        const moreJournals = await openJournals(await applyPendingChanges(result.journals));
+        allJournals = [...allJournals, ...moreJournals];
+        feedCursor = result.journals[result.journals.length - 1] || feedCursor;
+        feedHasMore = result.hasMore;
+
+        if (currentUser) {
+            displayCombinedJournals();
+        } else {
+            displayJournals(allJournals, false);
+        }
+    } else {
+        showMessage('Could not load more journals', 'error');
+    }
+
+    loadMoreButton.disabled = false;
+    updateLoadMoreButton();
+}
+
+/**
+ * Show "Load more" while the paged feed has more journals
+ */
+function updateLoadMoreButton() {
+    if (loadMoreButton) {
+        loadMoreButton.hidden = !feedHasMore;
+    }
+}
+
 function getThemeForJournal(journalId, index) {
     if (journalId && !journalId.startsWith('sample-')) {
         const hash = journalId.split('').reduce((acc, char) => {
@@ -624,7 +1135,8 @@ async function translateJournal(journal, targetLang) {
     const currentLang = window.accessibilityState?.currentLanguage || 'en';
 
     // Don't translate if already in target language or if it's a sample journal
-    if (currentLang === targetLang || journal.id.startsWith('sample-')) {
+    // (or a private one: its text is only stored encrypted)
+    if (currentLang === targetLang || journal.id.startsWith('sample-') || journal.isPrivate) {
         return journal;
     }
 
@@ -651,21 +1163,19 @@ async function translateJournal(journal, targetLang) {
             tags: translatedTags
         };
 
-        // Save translation to database if it's a Firestore journal
+        // Save translation to the storage backend if it's a stored journal
         if (!journal.id.startsWith('local-') && !journal.id.startsWith('sample-')) {
-            try {
-                await updateDoc(doc(db, 'journals', journal.id), {
-                    translations: journal.translations,
-                    updatedAt: serverTimestamp()
-                });
-            } catch (error) {
-                console.warn('Failed to save translation to Firestore:', error);
-                // Save to localStorage as fallback
-                saveTranslationToLocalStorage(journal.id, targetLang, journal.translations[targetLang]);
+            const result = await updateJournal(journal.id, {
+                translations: journal.translations
+            });
+            if (!result.success) {
+                console.warn('Failed to save translation to storage:', result.error);
+                // Keep it on this device as fallback
+                saveLocalTranslation(journal.id, targetLang, journal.translations[targetLang]);
             }
         } else if (journal.id.startsWith('local-')) {
-            // Save to localStorage for local journals
-            saveTranslationToLocalStorage(journal.id, targetLang, journal.translations[targetLang]);
+            // Keep it on this device for local journals
+            saveLocalTranslation(journal.id, targetLang, journal.translations[targetLang]);
         }
 
         return journal;
@@ -676,34 +1186,100 @@ async function translateJournal(journal, targetLang) {
 }
 
 /**
- * Save translation to localStorage for offline journals
+ * Save a translation on this device (offline journals, or when uploading it failed)
  */
-function saveTranslationToLocalStorage(journalId, lang, translation) {
+function saveLocalTranslation(journalId, lang, translation) {
     try {
-        const translations = JSON.parse(localStorage.getItem('journalTranslations') || '{}');
+        const translations = readLocalTranslations();
         if (!translations[journalId]) {
             translations[journalId] = {};
         }
-        translations[journalId][lang] = translation;
-        localStorage.setItem('journalTranslations', JSON.stringify(translations));
+        translations[journalId][lang] = { ...translation, savedAt: Date.now() };
+        setLocalItem(TRANSLATIONS_KEY, JSON.stringify(translations));
     } catch (error) {
-        console.error('Failed to save translation to localStorage:', error);
+        console.error('Failed to save translation on this device:', error);
     }
 }
 
 /**
- * Load translations from localStorage
+ * Load a journal's translations saved on this device
  */
-function loadTranslationsFromLocalStorage(journalId) {
+function loadLocalTranslations(journalId) {
     try {
-        const translations = JSON.parse(localStorage.getItem('journalTranslations') || '{}');
-        return translations[journalId] || {};
+        const saved = readLocalTranslations()[journalId] || {};
+        return Object.fromEntries(Object.entries(saved).map(([lang, { savedAt, ...translation }]) => [lang, translation]));
     } catch (error) {
-        console.error('Failed to load translations from localStorage:', error);
+        console.error('Failed to load translations saved on this device:', error);
         return {};
     }
 }
 
+/**
+ * Move stored translations to another journal ID (or drop them when toId is null)
+ */
+function moveLocalTranslations(fromId, toId) {
+    try {
+        const translations = readLocalTranslations();
+        if (!translations[fromId]) return;
+
+        if (toId) {
+            translations[toId] = { ...(translations[toId] || {}), ...translations[fromId] };
+        }
+        delete translations[fromId];
+        setLocalItem(TRANSLATIONS_KEY, JSON.stringify(translations));
+    } catch (error) {
+        console.error('Failed to move translations saved on this device:', error);
+    }
+}
+
+function readLocalTranslations() {
+    return JSON.parse(getLocalItem(TRANSLATIONS_KEY) || '{}');
+}
+
+/**
+ * Translations saved before they were dated count as old
+ */
+function isOldTranslation(translation) {
+    return Date.now() - (translation.savedAt || 0) > TRANSLATION_MAX_AGE;
+}
+
+/**
+ * Count the saved translations that match (for the "Free up space" dialog)
+ * Returns { count, bytes }
+ */
+function measureTranslations(matches) {
+    const entries = Object.values(readLocalTranslations())
+        .flatMap(languages => Object.values(languages))
+        .filter(matches);
+
+    return {
+        count: entries.length,
+        bytes: entries.reduce((total, translation) => total + new TextEncoder().encode(JSON.stringify(translation)).length, 0)
+    };
+}
+
+/**
+ * Remove the saved translations that match
+ * Returns the number removed
+ */
+function removeTranslations(matches) {
+    const translations = readLocalTranslations();
+    let removed = 0;
+
+    Object.entries(translations).forEach(([journalId, languages]) => {
+        Object.entries(languages).forEach(([lang, translation]) => {
+            if (!matches(translation)) return;
+            delete languages[lang];
+            removed++;
+        });
+        if (Object.keys(languages).length === 0) delete translations[journalId];
+    });
+
+    setLocalItem(TRANSLATIONS_KEY, JSON.stringify(translations));
+    console.log('Removed', removed, 'saved translations');
+    return removed;
+}
+
 /**
  * Translate all visible journals to the current language
  */
@@ -712,6 +1288,19 @@ async function translateAllJournals(targetLang) {
 
     if (currentLang === targetLang) return;
 
+    // Translations are saved to the backend, so wait until back online
+    if (getNetworkStatus().status === 'offline') {
+        pausedTranslationLang = targetLang;
+        showMessage('Journals will be translated when you are back online.', 'info');
+        return;
+    }
+    if (isLowDataMode()) {
+        pausedTranslationLang = targetLang;
+        showMessage('Low-data mode: journals will be translated on a faster connection.', 'info');
+        return;
+    }
+    pausedTranslationLang = null;
+
     // Show loading indicator
     showMessage('Translating journals...', 'info');
 
@@ -753,9 +1342,9 @@ function displayCombinedJournals() {
     // Combine all Firebase journals, local journals, and sample journals
     let localJournals = [];
     try {
-        localJournals = JSON.parse(localStorage.getItem('localJournals') || '[]');
+        localJournals = readLocalJournals();
     } catch (error) {
-        console.error('Error parsing localStorage journals:', error);
+        console.error('Error parsing local journals:', error);
         localJournals = [];
     }
     const combinedJournals = [...allJournals, ...localJournals, ...SAMPLE_JOURNALS];
@@ -788,7 +1377,7 @@ function displayCombinedJournals() {
         const escapedContentText = contentText;
 
         return `
-        <article class="journal-card attractive-journal-card" data-journal-id="${journal.id}" style="--card-theme: ${theme}">
+        <article class="journal-card attractive-journal-card" data-journal-id="${journal.id}" data-author-id="${journal.userId || ''}" style="--card-theme: ${theme}">
             <div class="journal-card-gradient"></div>
             <div class="journal-card-content">
                 <header class="journal-header">
@@ -815,6 +1404,8 @@ function displayCombinedJournals() {
                             <i class="fas fa-user"></i> <span data-i18n="Your Post">Your Post</span>
                         </span>
                     ` : ''}
+                    ${isOwner ? renderPendingBadge(journal.id) : ''}
+                    ${renderPrivateBadge(journal)}
                 </header>
 
                 <div class="journal-excerpt" data-tts="${escapedContentText}" data-full-content="${escapeHtml(translatedData.content || journal.content)}">
@@ -828,6 +1419,8 @@ function displayCombinedJournals() {
                     </div>
                 ` : ''}
 
+                ${isOwner ? renderInsightsPanel(journal.id) : ''}
+
                 <div class="journal-card-actions">
                     ${isOwner ? `
                         <button class="btn btn-edit journal-action-btn" data-action="edit" data-journal-id="${journal.id}" aria-label="Edit journal">
@@ -897,7 +1490,7 @@ function displayJournals(journals, showEditDelete = false) {
         const escapedContentText = contentText.replace(/&/g, '&amp;').replace(/"/g, '"').replace(/</g, '<').replace(/>/g, '>');
 
         return `
-        <article class="journal-card attractive-journal-card" data-journal-id="${journal.id}" style="--card-theme: ${theme}">
+        <article class="journal-card attractive-journal-card" data-journal-id="${journal.id}" data-author-id="${journal.userId || ''}" style="--card-theme: ${theme}">
             <div class="journal-card-gradient"></div>
             <div class="journal-card-content">
                 <header class="journal-header">
@@ -924,6 +1517,8 @@ function displayJournals(journals, showEditDelete = false) {
                             <i class="fas fa-user"></i> Your Post
                         </span>
                     ` : ''}
+                    ${isOwner ? renderPendingBadge(journal.id) : ''}
+                    ${renderPrivateBadge(journal)}
                 </header>
 
                 <div class="journal-excerpt" data-tts="${escapedContentText}" data-full-content="${escapeHtml(translatedData.content || journal.content)}">
@@ -937,6 +1532,8 @@ function displayJournals(journals, showEditDelete = false) {
                     </div>
                 ` : ''}
 
+                ${isOwner ? renderInsightsPanel(journal.id) : ''}
+
                 <div class="journal-card-actions">
                     ${showEditDelete ? `
                         <button class="btn btn-edit journal-action-btn" data-action="edit" data-journal-id="${journal.id}" aria-label="Edit journal">
@@ -987,48 +1584,112 @@ async function handleJournalSubmit(e) {
     }
 
     const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+    const isPrivate = Boolean(document.getElementById('journalPrivate')?.checked);
+
+    // Private journals are sealed, and copies kept on this device are encrypted
+    if ((isPrivate || isEncryptionEnabled()) && !isVaultUnlocked() &&
+        !(await showVaultDialog({ reason: 'Unlock to save this journal.' }))) {
+        showMessage('Journal not saved: encryption is locked', 'error');
+        return;
+    }
+
+    // Kept until the journal is saved (or the edit merged), so nothing is lost
+    // when saving fails or the merge is cancelled
+    const draftKey = holdDraft();
+
+    const wasPrivate = Boolean(journalId &&
+        (userJournals.find(j => j.id === journalId) || allJournals.find(j => j.id === journalId))?.isPrivate);
+    // What is stored and uploaded; the lists keep the text as well
+    const stored = await toStoredFields({ title, content, tags }, isPrivate, wasPrivate);
+    const shown = { ...stored, title, content, tags };
 
     // Show loading state
     showLoading('journalSubmitBtn');
 
+    // Set when the edit conflicts with a newer copy
+    let conflict = null;
+    // Set once the journal is saved somewhere (uploaded, queued or on this device)
+    let saved = false;
+
     try {
         if (journalId) {
-            // Check if this is a localStorage journal
+            // Check if this is a local journal
             if (journalId.startsWith('local-')) {
                 try {
-                    // Update localStorage directly for local journals
-                    saveJournalToLocalStorage({ id: journalId, title, content, tags, userId: currentUser.uid, createdAt: new Date(), updatedAt: new Date() });
+                    // Update local journals directly on this device
+                    saveLocalJournal({ id: journalId, ...shown, userId: currentUser.uid, updatedAt: new Date() });
+
+                    // Upload the edited version when the journal is uploaded
+                    const syncKey = getLocalJournal(journalId)?.syncKey;
+                    if (syncKey) {
+                        const updated = await updateOperationPayload(syncKey, await sealQueuedFields(stored));
+                        if (!updated.success) {
+                            console.warn('Could not update queued journal:', updated.error);
+                        }
+                    }
 
                     // Update the journal in userJournals array immediately for instant UI update
                     const journalIndex = userJournals.findIndex(j => j.id === journalId);
                     if (journalIndex >= 0) {
                         userJournals[journalIndex] = {
                             ...userJournals[journalIndex],
-                            title,
-                            content,
-                            tags,
+                            ...shown,
                             updatedAt: new Date()
                         };
                     }
 
                     displayCombinedJournals();
 
+                    saved = true;
                     showMessage('Journal updated locally!', 'success');
                 } catch (localError) {
-                    console.error('Error updating localStorage journal:', localError);
-                    showMessage('Error updating journal locally: ' + localError.message, 'error');
+                    console.error('Error updating local journal:', localError);
+                    showMessage('Error updating journal locally: ' + localError.message + KEPT_IN_DRAFTS, 'error');
                 }
             } else {
-                // For Firestore journals, try Firestore first, fallback to localStorage
+                // For stored journals, try the storage backend first, then queue the edit
+                // Chosen up front, so an edit that times out and is then queued
+                // is applied once even if the first save lands late
+                const operationKey = generateOperationKey();
                 try {
+                    if (shouldQueueWrites()) {
+                        throw new Error('Offline');
+                    }
+                    // An edit still waiting to upload goes first; this one joins it
+                    if (await findQueuedEdit(journalId)) {
+                        throw new Error('Edit already queued');
+                    }
+
                     // Add timeout to prevent hanging
-                    const updatePromise = updateJournal(journalId, { title, content, tags });
+                    const updatePromise = updateJournal(journalId, stored, editingBaseVersion, operationKey);
                     const timeoutPromise = new Promise((_, reject) =>
                         setTimeout(() => reject(new Error('Update timeout')), 5000)
                     );
                     const result = await Promise.race([updatePromise, timeoutPromise]);
-                    if (!result.success) {
-                        throw new Error(result.error || 'Failed to update journal');
+
+                    if (result.code === 'conflict') {
+                        // Changed somewhere else since it was opened; merge after the form closes
+                        conflict = { journalId, mine: { title, content, tags, isPrivate }, serverJournal: result.serverJournal };
+                    } else {
+                        if (!result.success) {
+                            throw new Error(result.error || 'Failed to update journal');
+                        }
+
+                        replaceJournalInLists(journalId, { ...shown, version: result.version, updatedAt: new Date() });
+                        displayCombinedJournals();
+
+                        saved = true;
+                        showMessage('Journal updated successfully!', 'success');
+                    }
+                } catch (storageError) {
+                    console.warn('Storage update failed, queuing for sync:', storageError);
+
+                    // Queue the edit; save on this device if the queue is unavailable
+                    const queued = await queueJournalEdit(journalId, stored, editingBaseVersion, operationKey);
+                    if (queued.success) {
+                        pendingJournals.set(journalId, 'pending');
+                    } else {
+                        saveLocalJournal({ id: journalId, ...shown, userId: currentUser.uid, createdAt: new Date(), updatedAt: new Date() });
                     }
 
                     // Update the journal in userJournals array immediately for instant UI update
@@ -1036,101 +1697,99 @@ async function handleJournalSubmit(e) {
                     if (journalIndex >= 0) {
                         userJournals[journalIndex] = {
                             ...userJournals[journalIndex],
-                            title,
-                            content,
-                            tags,
+                            ...shown,
                             updatedAt: new Date()
                         };
                     }
 
-                    // Update in allJournals as well for UI update
                     const allIndex = allJournals.findIndex(j => j.id === journalId);
-                    if (allIndex >= 0) {
+                    if (allIndex >= 0 && queued.success) {
                         allJournals[allIndex] = {
                             ...allJournals[allIndex],
-                            title,
-                            content,
-                            tags,
-                            updatedAt: new Date()
-                        };
-                    }
-
-                    displayCombinedJournals();
-
-                    showMessage('Journal updated successfully!', 'success');
-                } catch (firestoreError) {
-                    console.warn('Firestore update failed, saving to localStorage:', firestoreError);
-
-                    // Save to localStorage as fallback
-                    saveJournalToLocalStorage({ id: journalId, title, content, tags, userId: currentUser.uid, createdAt: new Date(), updatedAt: new Date() });
-
-                    // Update the journal in userJournals array immediately for instant UI update
-                    const journalIndex = userJournals.findIndex(j => j.id === journalId);
-                    if (journalIndex >= 0) {
-                        userJournals[journalIndex] = {
-                            ...userJournals[journalIndex],
-                            title,
-                            content,
-                            tags,
+                            ...shown,
                             updatedAt: new Date()
                         };
-                    }
-
-                    // Remove from allJournals if it exists there to avoid duplicates
-                    const allIndex = allJournals.findIndex(j => j.id === journalId);
-                    if (allIndex >= 0) {
+                    } else if (allIndex >= 0) {
+                        // Remove from allJournals to avoid duplicates with the local copy
                         allJournals.splice(allIndex, 1);
                     }
 
                     displayCombinedJournals();
 
-                    showMessage('Journal updated locally! Will sync when online.', 'success');
+                    saved = true;
+                    showMessage(queued.success
+                        ? 'Journal updated! Your changes will sync when you are back online.'
+                        : 'Journal updated on this device only.', 'success');
                 }
             }
         } else {
-            console.log('Creating new journal with data:', { userId: currentUser.uid, title, content, tags });
+            console.log('Creating new journal with data:', { userId: currentUser.uid, ...stored });
+
+            // Chosen up front, so a save that times out and is then queued
+            // can't create the journal twice
+            const newJournalId = generateJournalId();
 
             try {
-                // Try Firestore with a short timeout
-                const addDocPromise = addDoc(collection(db, 'journals'), {
-                    userId: currentUser.uid,
-                    title,
-                    content,
-                    tags,
-                    createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp()
-                });
+                if (shouldQueueWrites()) {
+                    throw new Error('Offline');
+                }
+
+                // Try the storage backend with a short timeout
+                const createPromise = createJournal(currentUser.uid, stored.title, stored.content, stored.tags, newJournalId,
+                    isPrivate ? { isPrivate: true, sealed: stored.sealed } : {});
                 const timeoutPromise = new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Firestore timeout')), 3000)
+                    setTimeout(() => reject(new Error('Storage timeout')), 3000)
                 );
-                const docRef = await Promise.race([addDocPromise, timeoutPromise]);
-                console.log('Journal created successfully with ID:', docRef.id);
+                const result = await Promise.race([createPromise, timeoutPromise]);
+                if (!result.success) {
+                    throw new Error(result.error || 'Failed to create journal');
+                }
+                console.log('Journal created successfully with ID:', result.id);
 
                 // Add to userJournals immediately for instant UI update
                 userJournals.unshift({
-                    id: docRef.id,
+                    id: result.id,
                     userId: currentUser.uid,
-                    title,
-                    content,
-                    tags,
+                    ...shown,
+                    version: 1,
                     createdAt: new Date(),
                     updatedAt: new Date()
                 });
                 displayCombinedJournals();
 
+                saved = true;
                 showMessage('Journal created successfully!', 'success');
-            } catch (firestoreError) {
-                console.warn('Firestore save failed, saving to localStorage:', firestoreError);
-                // Save to localStorage as fallback
+            } catch (storageError) {
+                console.warn('Storage save failed, queuing for sync:', storageError);
+                // Keep it on this device until it is uploaded
                 const localId = 'local-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-                const newJournal = { id: localId, title, content, tags, userId: currentUser.uid, createdAt: new Date(), updatedAt: new Date() };
-                saveJournalToLocalStorage(newJournal);
+                const queued = await enqueueOperation('createJournal', {
+                    id: newJournalId,
+                    localId,
+                    userId: currentUser.uid,
+                    ...await sealQueuedFields(stored)
+                });
+                const newJournal = {
+                    id: localId,
+                    ...shown,
+                    userId: currentUser.uid,
+                    createdAt: new Date(),
+                    updatedAt: new Date(),
+                    syncKey: queued.success ? queued.key : null
+                };
+                saveLocalJournal(newJournal);
+                if (queued.success) {
+                    pendingJournals.set(localId, 'pending');
+                }
 
                 // Add to userJournals immediately for instant UI update
                 userJournals.unshift(newJournal);
                 displayCombinedJournals();
 
-                showMessage('Journal saved locally! Will sync when online.', 'success');
+                saved = true;
+                showMessage(queued.success
+                    ? 'Journal saved offline! It will upload when you are back online.'
+                    : 'Journal saved on this device only.', 'success');
             }
         }
 
@@ -1141,7 +1800,7 @@ async function handleJournalSubmit(e) {
 
     } catch (error) {
         console.error('Error saving journal:', error);
-        showMessage('Error saving journal: ' + error.message, 'error');
+        showMessage('Error saving journal: ' + error.message + KEPT_IN_DRAFTS, 'error');
     } finally {
         // Always clear loading state and reset form/close modal
         hideLoading('journalSubmitBtn');
@@ -1155,10 +1814,165 @@ async function handleJournalSubmit(e) {
             closeModal(modal);
         }
     }
+
+    if (saved) clearDraft(draftKey);
+
+    if (conflict && await resolveConflict(conflict.journalId, conflict.mine, conflict.serverJournal)) {
+        clearDraft(draftKey);
+    }
+}
+
+/**
+ * Update a journal in the loaded lists
+ */
+function replaceJournalInLists(journalId, changes) {
+    const update = journal => journal.id === journalId ? { ...journal, ...changes } : journal;
+    userJournals = userJournals.map(update);
+    allJournals = allJournals.map(update);
+}
+
+/**
+ * Find a journal's edit that is queued and not uploaded yet
+ */
+async function findQueuedEdit(journalId) {
+    const operations = await getOutboxItems(['updateJournal']);
+    return operations.find(operation =>
+        operation.status === 'pending' && operation.payload.journalId === journalId) || null;
+}
+
+/**
+ * Queue an edit for sync
+ * Edits to a journal that already has a queued edit are folded into it, so
+ * they are uploaded together against the version they started from.
+ * The text is sealed while encryption is on.
+ * key: idempotency key the edit was already sent with, if any
+ */
+async function queueJournalEdit(journalId, changes, baseVersion, key) {
+    const updates = await sealQueuedFields(changes);
+    const queuedEdit = await findQueuedEdit(journalId);
+
+    if (queuedEdit) {
+        const result = await updateOperationPayload(queuedEdit.key, {
+            updates: { ...queuedEdit.payload.updates, ...updates }
+        });
+        if (result.success) return { success: true, key: queuedEdit.key };
+    }
+
+    return enqueueOperation('updateJournal', { journalId, updates, baseVersion }, key);
 }
 
-export async function editJournal(journalId) {
-    // Search in all possible journal sources: userJournals, allJournals, and localStorage
+/**
+ * Let the user merge their edit with the newer copy of a journal
+ * queuedKey: outbox operation holding the edit (for offline edits), removed once resolved
+ * Resolves true once resolved; otherwise the edit stays where it is (its
+ * draft, or the outbox)
+ */
+async function resolveConflict(journalId, mine, serverJournal, queuedKey = null) {
+    const modal = document.getElementById('journalModal');
+    if (!modal) return false;
+
+    // Private journals are compared decrypted and saved sealed again
+    let server = await openJournal(serverJournal);
+    const keepPrivate = mine.isPrivate ?? Boolean(serverJournal.isPrivate);
+    openModal(modal);
+    document.getElementById('modalTitle').textContent = 'Resolve Conflict';
+
+    while (true) {
+        const resolution = await showMergeDialog(modal, { mine, server });
+        if (!resolution) {
+            closeModal(modal);
+            showMessage(queuedKey
+                ? 'Conflict not resolved. Your edit was not saved.'
+                : 'Conflict not resolved. Your edit is kept in Drafts.', 'warning');
+            return false;
+        }
+
+        let saved = {
+            title: server.title,
+            content: server.content,
+            tags: server.tags,
+            isPrivate: Boolean(server.isPrivate),
+            sealed: server.sealed || null,
+            version: server.version || 0
+        };
+        if (resolution.choice !== 'server') {
+            const stored = await toStoredFields(resolution.journal, keepPrivate, Boolean(server.isPrivate));
+            const result = await updateJournal(journalId, stored, server.version || 0);
+            if (result.code === 'conflict') {
+                // Changed again in the meantime; compare against the newest copy
+                server = await openJournal(result.serverJournal);
+                mine = resolution.journal;
+                continue;
+            }
+            if (!result.success) {
+                closeModal(modal);
+                showMessage('Error saving journal: ' + result.error + (queuedKey ? '' : KEPT_IN_DRAFTS), 'error');
+                return false;
+            }
+            saved = { ...stored, ...resolution.journal, version: result.version };
+        }
+
+        if (queuedKey) {
+            await discardOperation(queuedKey);
+            pendingJournals.delete(journalId);
+        }
+
+        replaceJournalInLists(journalId, { ...saved, updatedAt: new Date() });
+        closeModal(modal);
+        displayCombinedJournals();
+        showMessage(resolution.choice === 'server' ? 'Kept the server copy' : 'Journal updated successfully!', 'success');
+        return true;
+    }
+}
+
+/**
+ * Review an offline edit that conflicted when it was uploaded
+ */
+async function reviewQueuedConflict(journal) {
+    const operations = await getOutboxItems(['updateJournal']);
+    const queuedEdit = operations.find(operation =>
+        operation.status === 'conflict' && operation.payload.journalId === journal.id);
+    if (!queuedEdit) return false;
+
+    const result = await getJournal(journal.id);
+    if (!result.success) {
+        showMessage('Could not load the latest copy: ' + result.error, 'error');
+        return true;
+    }
+
+    // A private journal's queued edit is sealed, as is any edit queued while encryption is on
+    const payload = await openPayload(queuedEdit);
+    const { isPrivate, sealed, ...updates } = payload?.updates || {};
+    const edit = !payload ? null : sealed ? await openFields(sealed) : updates;
+    if (!edit) {
+        showMessage('Unlock encryption to review this edit', 'error');
+        return true;
+    }
+
+    const mine = {
+        title: journal.title,
+        content: journal.content,
+        tags: journal.tags || [],
+        ...edit,
+        isPrivate: isPrivate ?? Boolean(journal.isPrivate)
+    };
+    await resolveConflict(journal.id, mine, result.journal, queuedEdit.key);
+    return true;
+}
+
+/**
+ * Open the editor for a draft chosen in the drafts panel (see draft.js)
+ */
+export async function resumeJournalDraft(draft) {
+    if (draft.journalId) {
+        await editJournal(draft.journalId, draft.key);
+    } else {
+        createNewJournal(draft.key);
+    }
+}
+
+export async function editJournal(journalId, draftKey = null) {
+    // Search in all possible journal sources: userJournals, allJournals, and local journals
     let journal = userJournals.find(j => j.id === journalId);
 
     if (!journal) {
@@ -1167,12 +1981,11 @@ export async function editJournal(journalId) {
     }
 
     if (!journal) {
-        // Check localStorage journals
+        // Check local journals
         try {
-            const localJournals = JSON.parse(localStorage.getItem('localJournals') || '[]');
-            journal = localJournals.find(j => j.id === journalId);
+            journal = readLocalJournals().find(j => j.id === journalId);
         } catch (error) {
-            console.error('Error checking localStorage for journal:', error);
+            console.error('Error checking local journals for journal:', error);
         }
     }
 
@@ -1187,10 +2000,32 @@ export async function editJournal(journalId) {
         return;
     }
 
+    // A private journal shown locked: unlock to read it
+    if (journal.locked) {
+        if (!(await showVaultDialog({ reason: 'Unlock to edit this private journal.' }))) return;
+        journal = getLocalJournal(journalId) || await openJournal(journal);
+        if (journal.locked) {
+            showMessage('This journal could not be decrypted', 'error');
+            return;
+        }
+    }
+
+    // An offline edit of this journal conflicted; review it first
+    if (pendingJournals.get(journalId) === 'conflict' && await reviewQueuedConflict(journal)) {
+        return;
+    }
+
+    editingBaseVersion = journalId.startsWith('local-') ? null : (journal.version || 0);
+
     document.getElementById('journalId').value = journalId;
     document.getElementById('journalTitle').value = journal.title || '';
     document.getElementById('journalContent').value = journal.content || '';
     document.getElementById('journalTags').value = (journal.tags || []).join(', ');
+    const privateCheckbox = document.getElementById('journalPrivate');
+    if (privateCheckbox) privateCheckbox.checked = Boolean(journal.isPrivate);
+
+    // Bring back unsaved changes to this journal
+    startDraft(journalId, draftKey);
 
     const modal = document.getElementById('journalModal');
     if (modal) {
@@ -1205,13 +2040,21 @@ export async function deleteJournal(journalId) {
     }
 
     try {
-        // Check if it's a localStorage journal (starts with 'local-')
+        // Check if it's a local journal (starts with 'local-')
         if (journalId.startsWith('local-')) {
-            // Delete from localStorage
+            // Delete from this device
             try {
-                const localJournals = JSON.parse(localStorage.getItem('localJournals') || '[]');
+                const localJournals = readLocalJournals();
                 const updatedJournals = localJournals.filter(j => j.id !== journalId);
-                localStorage.setItem('localJournals', JSON.stringify(updatedJournals));
+                writeLocalJournals(updatedJournals);
+
+                // It was never uploaded, so drop the queued upload and its translations
+                const syncKey = localJournals.find(j => j.id === journalId)?.syncKey;
+                if (syncKey) {
+                    await discardOperation(syncKey);
+                    pendingJournals.delete(journalId);
+                }
+                moveLocalTranslations(journalId, null);
 
                 // Remove from userJournals array immediately for instant UI update
                 userJournals = userJournals.filter(j => j.id !== journalId);
@@ -1220,14 +2063,32 @@ export async function deleteJournal(journalId) {
                 showMessage('Journal deleted successfully', 'success');
                 return;
             } catch (localError) {
-                console.error('Error deleting from localStorage:', localError);
+                console.error('Error deleting local journal:', localError);
                 showMessage('Error deleting journal from local storage', 'error');
                 return;
             }
         }
 
-        // Try to delete from Firestore
-        await deleteDoc(doc(db, 'journals', journalId));
+        // Offline: queue the deletion and remove the journal from view now
+        if (shouldQueueWrites()) {
+            const queued = await enqueueOperation('deleteJournal', { journalId });
+            if (!queued.success) {
+                throw new Error(queued.error || 'Failed to queue deletion');
+            }
+
+            userJournals = userJournals.filter(j => j.id !== journalId);
+            allJournals = allJournals.filter(j => j.id !== journalId);
+            displayCombinedJournals();
+
+            showMessage('Journal deleted. The deletion will sync when you are back online.', 'success');
+            return;
+        }
+
+        // Delete from the storage backend
+        const result = await removeJournal(journalId);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to delete journal');
+        }
 
         // Remove from userJournals array immediately for instant UI update
         userJournals = userJournals.filter(j => j.id !== journalId);
@@ -1308,7 +2169,7 @@ function displayFilteredCombinedJournals(journals) {
         const escapedContentText = contentText.replace(/&/g, '&amp;').replace(/"/g, '"').replace(/</g, '<').replace(/>/g, '>');
 
         return `
-        <article class="journal-card attractive-journal-card" data-journal-id="${journal.id}" style="--card-theme: ${theme}">
+        <article class="journal-card attractive-journal-card" data-journal-id="${journal.id}" data-author-id="${journal.userId || ''}" style="--card-theme: ${theme}">
             <div class="journal-card-gradient"></div>
             <div class="journal-card-content">
                 <header class="journal-header">
@@ -1335,6 +2196,8 @@ function displayFilteredCombinedJournals(journals) {
                             <i class="fas fa-user"></i> Your Post
                         </span>
                     ` : ''}
+                    ${isOwner ? renderPendingBadge(journal.id) : ''}
+                    ${renderPrivateBadge(journal)}
                 </header>
 
                 <div class="journal-excerpt" data-tts="${escapedContentText}">
@@ -1348,6 +2211,8 @@ function displayFilteredCombinedJournals(journals) {
                     </div>
                 ` : ''}
 
+                ${isOwner ? renderInsightsPanel(journal.id) : ''}
+
                 <div class="journal-card-actions">
                     ${isOwner ? `
                         <button class="btn btn-edit journal-action-btn" data-action="edit" data-journal-id="${journal.id}" aria-label="Edit journal">
@@ -1486,25 +2351,59 @@ function debounce(func, wait) {
 }
 
 /**
- * Save journal to localStorage as fallback when Firestore is unavailable
+ * Get a journal saved on this device
+ */
+function getLocalJournal(journalId) {
+    try {
+        return readLocalJournals().find(j => j.id === journalId) || null;
+    } catch (error) {
+        console.error('Error reading local journals:', error);
+        return null;
+    }
+}
+
+/**
+ * Read the journals saved on this device (none while encryption is locked)
+ */
+function readLocalJournals() {
+    return JSON.parse(readSecureItem(LOCAL_JOURNALS_KEY) || '[]');
+}
+
+/**
+ * Write the journals saved on this device
+ * Throws an error with code 'vault-locked' while encryption is locked
+ */
+function writeLocalJournals(journals) {
+    writeSecureItem(LOCAL_JOURNALS_KEY, JSON.stringify(journals));
+}
+
+/**
+ * Generate a document ID for a new journal
+ */
+function generateJournalId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Save journal on this device as fallback when the storage backend is unavailable
  */
-function saveJournalToLocalStorage(journal) {
+function saveLocalJournal(journal) {
     try {
-        const localJournals = JSON.parse(localStorage.getItem('localJournals') || '[]');
+        const localJournals = readLocalJournals();
         const existingIndex = localJournals.findIndex(j => j.id === journal.id);
 
         if (existingIndex >= 0) {
-            // Update existing
-            localJournals[existingIndex] = { ...journal, updatedAt: new Date() };
+            // Update existing (keeping fields such as createdAt and syncKey)
+            localJournals[existingIndex] = { ...localJournals[existingIndex], ...journal, updatedAt: new Date() };
         } else {
             // Add new
             localJournals.push(journal);
         }
 
-        localStorage.setItem('localJournals', JSON.stringify(localJournals));
-        console.log('Journal saved to localStorage:', journal.id);
+        writeLocalJournals(localJournals);
+        console.log('Journal saved on this device:', journal.id);
     } catch (error) {
-        console.error('Failed to save journal to localStorage:', error);
+        console.error('Failed to save journal on this device:', error);
     }
 }
 
@@ -0,0 +1,570 @@
+/**
+ * Local Data Module
+ * Keeps the app's larger local data (drafts, offline journals, translations,
+ * time stats fallback) in IndexedDB instead of localStorage
+ *
+ * Features:
+ * - Same synchronous get/set/remove as localStorage, from an in-memory copy
+ *   loaded by initLocalStore(); writes go to IndexedDB in order behind it
+ * - A write saves what it changed (per key of a JSON object, per id in a list
+ *   of records) on top of the stored copy, so tabs writing the same item keep
+ *   each other's changes
+ * - Moves the existing localStorage keys to IndexedDB on first load
+ * - Failed writes (e.g. storage full) are kept in memory, reported to
+ *   listeners and retried, and leaving the page asks for confirmation
+ * - Changes not saved yet when the page is closed are copied to localStorage
+ *   (which is written at once) and saved on the next load
+ * - Changes made in another tab are picked up (BroadcastChannel)
+ * - Falls back to localStorage when IndexedDB is not available
+ */
+
+import { idbGetAll, idbGet, withStore, isIndexedDBAvailable } from './idb.js';
+
+const STORE = 'localData';
+const CHANNEL_NAME = 'journal_local_data';
+
+// localStorage keys moved to IndexedDB (exact names, and prefixes for per-user keys)
+const LOCAL_ITEMS = ['journal_drafts', 'localJournals', 'journalTranslations'];
+const LOCAL_ITEM_PREFIXES = ['tracker_time_stats_', 'journal_drafts_', 'localJournals_'];
+
+// A write whose item keeps changing in other tabs is saved as it is after this many tries
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Changes not saved when a page was closed: { [pageId]: { [name]: { before, after } } }
+const BACKUP_KEY = 'local_store_unsaved';
+const pageId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+const cache = new Map();
+// Items written before the stored copies were loaded (they are newer)
+const touched = new Set();
+// Items whose last write failed: { [name]: error }
+const failedItems = new Map();
+// Changes not saved yet (queued or failed), in order: { [name]: [update] }
+// where update(storedValue) returns the new value (null removes the item)
+const unsavedUpdates = new Map();
+// Items another tab changed while this tab was saving them (read once saved)
+const missedChanges = new Set();
+// Value of each item before its unsaved changes, for the backup made at unload
+// (not kept for updateLocalItem changes, e.g. encrypted items)
+const unsavedBase = new Map();
+const listeners = new Set();
+
+let readyPromise = null;
+let ready = false;
+let useLocalStorage = false;
+let writeQueue = Promise.resolve();
+let channel = null;
+// The page is being closed: writes go to the backup as well
+let unloading = false;
+// This page has changes in the backup
+let backedUp = false;
+
+/**
+ * Load the stored items (and move them out of localStorage the first time)
+ * Safe to call more than once; resolves when the items can be read
+ */
+export function initLocalStore() {
+    if (readyPromise) return readyPromise;
+
+    readyPromise = loadItems()
+        .catch(error => console.error('Error loading local data:', error))
+        .then(() => {
+            ready = true;
+            restoreBackup();
+            listenForOtherTabs();
+            window.addEventListener('beforeunload', handleBeforeUnload);
+            window.addEventListener('pagehide', handlePageHide);
+            window.addEventListener('pageshow', handlePageShow);
+        });
+    return readyPromise;
+}
+
+/**
+ * Check whether a localStorage key is kept by this module
+ */
+export function isLocalItem(name) {
+    return LOCAL_ITEMS.includes(name) || LOCAL_ITEM_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+async function loadItems() {
+    const legacy = readLegacyItems();
+
+    if (!isIndexedDBAvailable()) {
+        useLocalStorage = true;
+        fillCache(legacy);
+        return;
+    }
+
+    try {
+        (await idbGetAll(STORE)).forEach(record => {
+            if (!touched.has(record.name)) cache.set(record.name, record.value);
+        });
+
+        // Values still in localStorage were written by an older version of
+        // the app (or never moved), so they are the newest. Changes made on
+        // this page before loading are saved on top of them.
+        const names = Object.keys(legacy);
+        if (names.length > 0) {
+            const updatedAt = Date.now();
+            await withStore(STORE, 'readwrite', store => {
+                names.forEach(name => store.put({ name, value: legacy[name], updatedAt }));
+            });
+            fillCache(legacy);
+            names.forEach(name => localStorage.removeItem(name));
+            console.log('Moved', names.length, 'items from localStorage to IndexedDB');
+        }
+    } catch (error) {
+        console.warn('Keeping local data in localStorage:', error);
+        useLocalStorage = true;
+        fillCache(legacy);
+    }
+}
+
+function readLegacyItems() {
+    const items = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const name = localStorage.key(i);
+        if (isLocalItem(name)) items[name] = localStorage.getItem(name);
+    }
+    return items;
+}
+
+function fillCache(items) {
+    Object.entries(items).forEach(([name, value]) => {
+        if (!touched.has(name)) cache.set(name, value);
+    });
+}
+
+/**
+ * Read an item (like localStorage.getItem)
+ */
+export function getLocalItem(name) {
+    if (!ready && !touched.has(name)) return localStorage.getItem(name);
+    return cache.get(name) ?? null;
+}
+
+/**
+ * Write an item (like localStorage.setItem)
+ * It is readable right away; saving happens in the background, and a failure
+ * is reported to listeners ({ type: 'error' }) instead of being thrown
+ */
+export function setLocalItem(name, value) {
+    const changes = getItemChanges(getLocalItem(name), String(value));
+    if (!unsavedBase.has(name)) unsavedBase.set(name, getLocalItem(name));
+    cache.set(name, String(value));
+    touched.add(name);
+    queueUpdate(name, stored => applyItemChanges(stored, changes));
+    if (unloading) writeBackup();
+}
+
+export function removeLocalItem(name) {
+    const changes = getItemChanges(getLocalItem(name), null);
+    if (!unsavedBase.has(name)) unsavedBase.set(name, getLocalItem(name));
+    cache.delete(name);
+    touched.add(name);
+    queueUpdate(name, stored => applyItemChanges(stored, changes));
+    if (unloading) writeBackup();
+}
+
+/**
+ * Change an item from its latest stored value (which may come from another tab)
+ * update(storedValue) returns, or resolves with, the new value (null removes
+ * the item). getLocalItem returns the new value once it is saved.
+ */
+export function updateLocalItem(name, update) {
+    // The new value is only known once saved, so it can't go in the backup
+    unsavedBase.delete(name);
+    touched.add(name);
+    queueUpdate(name, update);
+}
+
+/**
+ * Check whether an item has changes that are not saved yet
+ */
+export function isSavingLocalItem(name) {
+    return unsavedUpdates.has(name);
+}
+
+/**
+ * Listen for changes
+ * fn({ type, name, error?, quota? }): type is 'change' (changed in another
+ * tab), 'error' (could not be saved; quota is true when storage is full) or
+ * 'saved' (saved after an earlier failure)
+ * Returns an unsubscribe function
+ */
+export function addLocalStoreListener(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+function notify(event) {
+    listeners.forEach(fn => {
+        try {
+            fn(event);
+        } catch (error) {
+            console.error('Local data listener error:', error);
+        }
+    });
+}
+
+/**
+ * What changed between two values of an item, to save on top of the stored copy
+ * JSON objects change per key and lists of records ({ id, ... }) per id;
+ * anything else is replaced as a whole.
+ * Returns { value, type?, entries? } (entries: [key, value or undefined when removed])
+ */
+export function getItemChanges(before, after) {
+    const previous = parseRecords(before);
+    const next = parseRecords(after);
+    const type = next?.type || previous?.type;
+
+    if ((after !== null && !next) || (before !== null && !previous) ||
+        (previous && next && previous.type !== next.type) || !type) {
+        return { value: after };
+    }
+
+    const oldRecords = previous?.records || new Map();
+    const newRecords = next?.records || new Map();
+    const entries = [];
+    newRecords.forEach((record, key) => {
+        if (JSON.stringify(record) !== JSON.stringify(oldRecords.get(key))) entries.push([key, record]);
+    });
+    oldRecords.forEach((record, key) => {
+        if (!newRecords.has(key)) entries.push([key, undefined]);
+    });
+
+    return { value: after, type, entries };
+}
+
+/**
+ * Apply changes (see getItemChanges) to a stored value
+ * Returns the new value, or null when nothing is left of a removed item
+ */
+export function applyItemChanges(stored, changes) {
+    const current = parseRecords(stored);
+    if (!changes.type || !current || current.type !== changes.type) return changes.value;
+
+    const records = new Map(current.records);
+    changes.entries.forEach(([key, record]) => {
+        if (record === undefined) {
+            records.delete(key);
+        } else {
+            records.set(key, record);
+        }
+    });
+
+    if (records.size === 0 && changes.value === null) return null;
+    return JSON.stringify(changes.type === 'list' ? [...records.values()] : Object.fromEntries(records));
+}
+
+/**
+ * Read a value as keyed records: { type: 'object' | 'list', records: Map }
+ * Null when it is not a JSON object or a list of records with ids
+ */
+function parseRecords(value) {
+    if (value === null) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+
+    if (Array.isArray(parsed)) {
+        if (!parsed.every(record => record && typeof record === 'object' && record.id != null)) return null;
+        return { type: 'list', records: new Map(parsed.map(record => [record.id, record])) };
+    }
+    if (parsed && typeof parsed === 'object') {
+        return { type: 'object', records: new Map(Object.entries(parsed)) };
+    }
+    return null;
+}
+
+/**
+ * Queue a change to an item, saved after the writes queued before it
+ */
+function queueUpdate(name, update) {
+    unsavedUpdates.set(name, [...(unsavedUpdates.get(name) || []), update]);
+    persistItem(name);
+}
+
+function persistItem(name) {
+    writeQueue = writeQueue.then(() => saveItem(name));
+    return writeQueue;
+}
+
+async function saveItem(name) {
+    // Changes made before loading go on top of the stored (and moved) copies
+    await initLocalStore();
+
+    const updates = unsavedUpdates.get(name);
+    if (!updates) return; // Saved with an earlier write
+
+    let value;
+    try {
+        value = await writeUpdates(name, updates);
+    } catch (error) {
+        const quota = isQuotaError(error);
+        console.error(quota ? 'Storage is full, could not save' : 'Error saving', name, error);
+        failedItems.set(name, error);
+        notify({ type: 'error', name, error, quota });
+        return;
+    }
+
+    const later = unsavedUpdates.get(name).slice(updates.length);
+    if (later.length > 0) {
+        unsavedUpdates.set(name, later);
+    } else {
+        unsavedUpdates.delete(name);
+        unsavedBase.delete(name);
+        if (unloading || backedUp) writeBackup();
+        // Show the saved copy, with what other tabs changed in the meantime
+        if (showStoredValue(name, value)) notify({ type: 'change', name });
+    }
+
+    if (failedItems.delete(name)) {
+        notify({ type: 'saved', name });
+    }
+    if (channel) channel.postMessage({ name });
+
+    if (!isSavingLocalItem(name) && missedChanges.delete(name)) {
+        readChangedItem(name);
+    }
+}
+
+/**
+ * Apply changes to the stored copy of an item and save the result
+ * Read and written again when another tab saved the item in between
+ * Resolves with the saved value
+ */
+async function writeUpdates(name, updates) {
+    for (let attempt = 1; ; attempt++) {
+        const stored = await readStoredValue(name);
+        let value = stored;
+        for (const update of updates) {
+            value = (await update(value)) ?? null;
+        }
+
+        const check = attempt < MAX_WRITE_ATTEMPTS;
+        if (await writeStoredValue(name, value, check ? stored : undefined)) return value;
+    }
+}
+
+async function readStoredValue(name) {
+    if (useLocalStorage) return localStorage.getItem(name);
+    return (await idbGet(STORE, name))?.value ?? null;
+}
+
+/**
+ * Save a value (null removes it) unless the stored copy is no longer expected
+ * Resolves false when it changed
+ */
+function writeStoredValue(name, value, expected) {
+    if (useLocalStorage) {
+        if (expected !== undefined && localStorage.getItem(name) !== expected) return false;
+        if (value === null) {
+            localStorage.removeItem(name);
+        } else {
+            localStorage.setItem(name, value);
+        }
+        return true;
+    }
+
+    // Checked and written in one transaction so other tabs can't interleave
+    return withStore(STORE, 'readwrite', store => new Promise((resolve, reject) => {
+        const request = store.get(name);
+        request.onsuccess = () => {
+            if (expected !== undefined && (request.result?.value ?? null) !== expected) {
+                resolve(false);
+                return;
+            }
+            try {
+                if (value === null) {
+                    store.delete(name);
+                } else {
+                    store.put({ name, value, updatedAt: Date.now() });
+                }
+                resolve(true);
+            } catch (error) {
+                reject(error);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Put a stored value in the in-memory copy
+ * Returns true when it differs from what this tab had
+ */
+function showStoredValue(name, value) {
+    if ((cache.get(name) ?? null) === value) return false;
+    if (value === null) {
+        cache.delete(name);
+    } else {
+        cache.set(name, value);
+    }
+    return true;
+}
+
+/**
+ * Try the failed writes again (e.g. after freeing up space)
+ * Resolves with the number of items still not saved
+ */
+export async function retryFailedWrites() {
+    [...failedItems.keys()].forEach(persistItem);
+    await writeQueue;
+    return failedItems.size;
+}
+
+/**
+ * Check whether some items are only in memory because saving failed
+ */
+export function hasUnsavedItems() {
+    return failedItems.size > 0;
+}
+
+/**
+ * Wait for the queued writes
+ */
+export function flushLocalStore() {
+    return writeQueue;
+}
+
+/**
+ * Check whether an error means the storage quota is used up
+ */
+export function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' ||
+        error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error?.code === 22;
+}
+
+/**
+ * Follow items changed in another tab
+ */
+function listenForOtherTabs() {
+    if (useLocalStorage) {
+        window.addEventListener('storage', (event) => {
+            if (!event.key || !isLocalItem(event.key)) return;
+            handleOtherTabChange(event.key);
+        });
+        return;
+    }
+
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+        if (data?.name) handleOtherTabChange(data.name);
+    };
+}
+
+function handleOtherTabChange(name) {
+    // This tab's changes are saved on top of it; read it once they are
+    if (isSavingLocalItem(name)) {
+        missedChanges.add(name);
+        return;
+    }
+    readChangedItem(name);
+}
+
+/**
+ * Read an item another tab changed
+ */
+async function readChangedItem(name) {
+    try {
+        const value = await readStoredValue(name);
+        // This tab may have written it while it was being read
+        if (isSavingLocalItem(name)) {
+            missedChanges.add(name);
+            return;
+        }
+        if (showStoredValue(name, value)) notify({ type: 'change', name });
+    } catch (error) {
+        console.error('Error reading', name, 'changed in another tab:', error);
+    }
+}
+
+/**
+ * Copy the changes not saved yet to localStorage
+ * IndexedDB writes started while the page is closing may never finish,
+ * while localStorage is written before this returns.
+ */
+function writeBackup() {
+    const changes = {};
+    unsavedBase.forEach((before, name) => {
+        changes[name] = { before, after: cache.get(name) ?? null };
+    });
+
+    try {
+        const backup = readBackup();
+        if (unsavedBase.size > 0) {
+            backup[pageId] = changes;
+        } else {
+            delete backup[pageId];
+        }
+
+        if (Object.keys(backup).length > 0) {
+            localStorage.setItem(BACKUP_KEY, JSON.stringify(backup));
+        } else {
+            localStorage.removeItem(BACKUP_KEY);
+        }
+        backedUp = unsavedBase.size > 0;
+    } catch (error) {
+        console.error('Error keeping unsaved local data:', error);
+    }
+}
+
+function readBackup() {
+    try {
+        return JSON.parse(localStorage.getItem(BACKUP_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save the changes closed pages left in the backup
+ * Applied on top of the stored copies, so changes that were saved after
+ * all are not undone
+ */
+function restoreBackup() {
+    const backup = readBackup();
+    localStorage.removeItem(BACKUP_KEY);
+
+    let count = 0;
+    Object.values(backup).forEach(items => {
+        Object.entries(items || {}).forEach(([name, { before = null, after = null } = {}]) => {
+            if (!isLocalItem(name)) return;
+            const value = applyItemChanges(getLocalItem(name), getItemChanges(before, after));
+            if (value === getLocalItem(name)) return;
+            if (value === null) {
+                removeLocalItem(name);
+            } else {
+                setLocalItem(name, value);
+            }
+            count++;
+        });
+    });
+    if (count > 0) console.log('Saving', count, 'items left unsaved when a page was closed');
+}
+
+function handlePageHide() {
+    unloading = true;
+    if (unsavedBase.size > 0) writeBackup();
+}
+
+function handlePageShow(event) {
+    // Back from the back/forward cache: the queued writes carry on
+    if (event.persisted) unloading = false;
+}
+
+function handleBeforeUnload(event) {
+    if (failedItems.size === 0) return;
+
+    // Only kept in memory: leaving the page would lose it
+    event.preventDefault();
+    event.returnValue = '';
+}
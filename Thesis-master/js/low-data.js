@@ -0,0 +1,184 @@
+/**
+ * Low-Data Mode Module
+ * Cuts down data use on slow connections
+ *
+ * Features:
+ * - Automatic when the measured connection is slow (or the browser asks to
+ *   save data); can also be forced on or off in the accessibility panel
+ * - Skips the icon font and font preconnects on the next page load
+ * - Other modules load less while active: the journal feed comes in pages,
+ *   translations and stats refreshes wait, speed checks run less often
+ * - Turns off card gradients and animations
+ * - "Low-data mode" indicator while active
+ */
+
+import { addNetworkListener, getNetworkStatus, setSpeedCheckInterval } from './network.js';
+
+// LocalStorage keys
+const STORAGE_KEYS = {
+    // 'auto' | 'on' | 'off'
+    PREFERENCE: 'low_data_mode',
+    // Last state, read by the inline script in each page's <head>
+    ACTIVE: 'low_data_active'
+};
+
+// Qualities (see network.js) that switch automatic mode on, and those that
+// switch it back off; 'fair' keeps the current state so it doesn't flip-flop
+const LOW_QUALITIES = ['slow', 'verySlow'];
+const GOOD_QUALITIES = ['good', 'excellent'];
+
+const NORMAL_SPEED_CHECK_INTERVAL = 60000;
+const LOW_DATA_SPEED_CHECK_INTERVAL = 5 * 60000;
+
+let preference = readPreference();
+let active = localStorage.getItem(STORAGE_KEYS.ACTIVE) === 'true';
+// What automatic mode decided last (kept up to date even while forced)
+let autoActive = preference === 'auto' && active;
+let indicator = null;
+const listeners = new Set();
+
+/**
+ * Read the saved preference
+ */
+function readPreference() {
+    const saved = localStorage.getItem(STORAGE_KEYS.PREFERENCE);
+    return ['on', 'off'].includes(saved) ? saved : 'auto';
+}
+
+// Initialize Low-Data Mode
+export function initLowDataMode() {
+    createIndicator();
+    addNetworkListener(handleNetworkChange);
+    updateAutoActive();
+    applyLowDataMode(decideActive(), true);
+
+    console.log('Low-data mode initialized:', preference, active ? '(active)' : '(inactive)');
+}
+
+/**
+ * Update the automatic decision from the browser's data saver and the
+ * measured connection quality
+ */
+function updateAutoActive() {
+    const { quality } = getNetworkStatus();
+
+    if (navigator.connection?.saveData || LOW_QUALITIES.includes(quality)) {
+        autoActive = true;
+    } else if (GOOD_QUALITIES.includes(quality)) {
+        autoActive = false;
+    }
+    // Not measured yet, offline or 'fair': keep the last decision
+}
+
+/**
+ * Decide whether low-data mode should be on
+ */
+function decideActive() {
+    if (preference === 'on') return true;
+    if (preference === 'off') return false;
+    return autoActive;
+}
+
+/**
+ * Re-evaluate when the measured quality changes
+ */
+function handleNetworkChange({ changed }) {
+    if (!changed.includes('quality')) return;
+    updateAutoActive();
+    applyLowDataMode(decideActive());
+}
+
+/**
+ * Switch low-data mode on or off and notify listeners
+ */
+function applyLowDataMode(nextActive, force = false) {
+    if (nextActive === active && !force) return;
+
+    const wasActive = active;
+    active = nextActive;
+    localStorage.setItem(STORAGE_KEYS.ACTIVE, String(active));
+
+    document.body.classList.toggle('low-data-mode', active);
+    if (indicator) indicator.hidden = !active;
+
+    setSpeedCheckInterval(active ? LOW_DATA_SPEED_CHECK_INTERVAL : NORMAL_SPEED_CHECK_INTERVAL);
+
+    // Styles skipped while active are loaded once it turns off
+    if (!active) loadDeferredLinks();
+
+    if (active !== wasActive) {
+        console.log('Low-data mode', active ? 'on' : 'off');
+        listeners.forEach(listener => {
+            try {
+                listener(active);
+            } catch (error) {
+                console.error('Error in low-data listener:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Load the stylesheets and preconnects the page skipped in low-data mode
+ * (listed in window.lowDataDeferredLinks by the page's inline <head> script)
+ */
+function loadDeferredLinks() {
+    (window.lowDataDeferredLinks || []).forEach(attributes => {
+        if (document.head.querySelector(`link[href="${attributes.href}"]`)) return;
+
+        const link = document.createElement('link');
+        Object.assign(link, attributes);
+        document.head.appendChild(link);
+    });
+}
+
+/**
+ * Create the "Low-data mode" indicator
+ */
+function createIndicator() {
+    indicator = document.getElementById('low-data-indicator');
+    if (indicator) return;
+
+    indicator = document.createElement('div');
+    indicator.id = 'low-data-indicator';
+    indicator.className = 'low-data-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.setAttribute('data-tts', 'Low-data mode is on');
+    indicator.title = 'Loading less to save data. Change this in the accessibility panel.';
+    indicator.hidden = true;
+    indicator.innerHTML = `<span aria-hidden="true">⇣</span> <span data-i18n="Low-data mode">Low-data mode</span>`;
+    document.body.appendChild(indicator);
+}
+
+/**
+ * Check if low-data mode is active
+ */
+export function isLowDataMode() {
+    return active;
+}
+
+/**
+ * Get the preference: 'auto', 'on' or 'off'
+ */
+export function getLowDataPreference() {
+    return preference;
+}
+
+/**
+ * Set the preference: 'auto', 'on' or 'off'
+ */
+export function setLowDataPreference(value) {
+    preference = ['on', 'off'].includes(value) ? value : 'auto';
+    localStorage.setItem(STORAGE_KEYS.PREFERENCE, preference);
+    applyLowDataMode(decideActive());
+}
+
+/**
+ * Subscribe to low-data mode turning on or off
+ * listener(active) is called on each change
+ * Returns an unsubscribe function
+ */
+export function addLowDataListener(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
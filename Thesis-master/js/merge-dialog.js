@@ -0,0 +1,168 @@
+/**
+ * Merge Dialog Module
+ * Lets the user resolve a journal edited in two places (devices, tabs or offline)
+ *
+ * Features:
+ * - Shown inside the journal modal in place of the form
+ * - Side-by-side diff of title, content and tags (server copy vs. your version)
+ * - Keep yours, keep the server copy, or merge field by field
+ */
+
+import { diffWords, renderDiffSide } from './diff.js';
+
+// Fields compared in the dialog
+const MERGE_FIELDS = [
+    { name: 'title', label: 'Title' },
+    { name: 'content', label: 'Content' },
+    { name: 'tags', label: 'Tags' }
+];
+
+/**
+ * Get a field as text for comparing
+ */
+function fieldText(journal, field) {
+    const value = journal[field];
+    if (Array.isArray(value)) return value.join(', ');
+    return value || '';
+}
+
+/**
+ * Show the merge dialog in a modal
+ *
+ * mine / server: { title, content, tags } of both versions
+ * Resolves with { choice: 'mine' | 'server' | 'merge', journal: { title, content, tags } },
+ * or null when the dialog is cancelled or the modal is closed
+ */
+export function showMergeDialog(modal, { mine, server }) {
+    const modalContent = modal.querySelector('.modal') || modal;
+    const form = modalContent.querySelector('form');
+
+    modalContent.querySelector('.merge-dialog')?.remove();
+
+    const dialog = document.createElement('section');
+    dialog.className = 'merge-dialog';
+    dialog.setAttribute('aria-labelledby', 'mergeDialogTitle');
+    dialog.innerHTML = `
+        <div class="modal-body">
+            <h3 id="mergeDialogTitle" tabindex="-1" data-tts="This journal was changed somewhere else. Choose which version to keep.">
+                <i class="fas fa-code-branch"></i> This journal was changed somewhere else
+            </h3>
+            <p class="merge-intro">Compare the versions and choose what to keep. Removed words are
+                <del class="diff-removed">struck out</del>, added words are <ins class="diff-added">highlighted</ins>.</p>
+            ${MERGE_FIELDS.map(field => renderFieldRow(field, mine, server)).join('')}
+        </div>
+        <div class="modal-footer merge-actions">
+            <button type="button" class="btn btn-secondary" data-merge="cancel">Cancel</button>
+            <button type="button" class="btn btn-secondary" data-merge="server">Keep server copy</button>
+            <button type="button" class="btn btn-secondary" data-merge="mine">Keep mine</button>
+            <button type="button" class="btn btn-primary" data-merge="merge">Merge selected</button>
+        </div>
+    `;
+
+    if (form) form.hidden = true;
+    modalContent.appendChild(dialog);
+    dialog.querySelector('#mergeDialogTitle').focus();
+
+    return new Promise(resolve => {
+        // Closing the modal (close button, backdrop) cancels the merge
+        const observer = new MutationObserver(() => {
+            if (modal.hidden) finish(null);
+        });
+        observer.observe(modal, { attributes: true, attributeFilter: ['hidden'] });
+
+        function finish(result) {
+            observer.disconnect();
+            dialog.remove();
+            if (form) form.hidden = false;
+            resolve(result);
+        }
+
+        dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-merge]');
+            if (!button) return;
+
+            switch (button.dataset.merge) {
+                case 'cancel':
+                    finish(null);
+                    break;
+                case 'server':
+                    finish({ choice: 'server', journal: pickFields(server) });
+                    break;
+                case 'mine':
+                    finish({ choice: 'mine', journal: pickFields(mine) });
+                    break;
+                case 'merge':
+                    finish({ choice: 'merge', journal: mergeSelected(dialog, mine, server) });
+                    break;
+            }
+        });
+    });
+}
+
+/**
+ * Render one field: both versions side by side and the choice for the merge
+ */
+function renderFieldRow(field, mine, server) {
+    const serverText = fieldText(server, field.name);
+    const mineText = fieldText(mine, field.name);
+
+    if (serverText === mineText) {
+        return `
+            <div class="merge-field unchanged">
+                <h4>${field.label}</h4>
+                <p class="merge-same">Same in both versions</p>
+            </div>
+        `;
+    }
+
+    const parts = diffWords(serverText, mineText);
+    return `
+        <fieldset class="merge-field">
+            <legend>${field.label}</legend>
+            <div class="merge-columns">
+                <div class="merge-column">
+                    <h5>Server copy</h5>
+                    <div class="merge-text">${renderDiffSide(parts, 'before')}</div>
+                </div>
+                <div class="merge-column">
+                    <h5>Your version</h5>
+                    <div class="merge-text">${renderDiffSide(parts, 'after')}</div>
+                </div>
+            </div>
+            <div class="merge-choice">
+                <label><input type="radio" name="merge-${field.name}" value="server"> Use server copy</label>
+                <label><input type="radio" name="merge-${field.name}" value="mine" checked> Use mine</label>
+                ${field.name === 'tags' ? `<label><input type="radio" name="merge-tags" value="both"> Keep tags from both</label>` : ''}
+            </div>
+        </fieldset>
+    `;
+}
+
+/**
+ * Take the fields the dialog compares
+ */
+function pickFields(journal) {
+    return {
+        title: journal.title || '',
+        content: journal.content || '',
+        tags: journal.tags || []
+    };
+}
+
+/**
+ * Build the merged journal from the per-field choices
+ */
+function mergeSelected(dialog, mine, server) {
+    const merged = pickFields(mine);
+
+    MERGE_FIELDS.forEach(field => {
+        const choice = dialog.querySelector(`input[name="merge-${field.name}"]:checked`)?.value;
+        if (choice === 'server') {
+            merged[field.name] = pickFields(server)[field.name];
+        } else if (choice === 'both') {
+            merged.tags = Array.from(new Set([...(server.tags || []), ...(mine.tags || [])]));
+        }
+    });
+
+    return merged;
+}
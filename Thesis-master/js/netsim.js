@@ -0,0 +1,106 @@
+/**
+ * Network Simulator Module (development only)
+ * Panel for testing the offline and slow-network paths without unplugging
+ *
+ * Open any page with ?netsim=1 to show it (it stays on for the tab until
+ * ?netsim=0). Loaded by network.js only when enabled.
+ *
+ * Features:
+ * - Force offline: the app behaves as if the browser went offline
+ * - Add latency to the speed checks and every Firestore call
+ * - Fail a percentage of Firestore calls (as 'unavailable' errors)
+ * - Pin the reported speed tier (drives low-data mode and the indicator)
+ */
+
+import { getNetworkSimulation, setNetworkSimulation } from './network.js';
+
+const SPEED_TIERS = [
+    { value: '', label: 'Measured' },
+    { value: 'excellent', label: 'Excellent' },
+    { value: 'good', label: 'Good' },
+    { value: 'fair', label: 'Fair' },
+    { value: 'slow', label: 'Slow' },
+    { value: 'verySlow', label: 'Very slow' }
+];
+
+let panel = null;
+
+// Initialize Network Simulator
+export function initNetworkSimulator() {
+    if (document.getElementById('netsim-panel')) return;
+
+    panel = document.createElement('details');
+    panel.id = 'netsim-panel';
+    panel.className = 'netsim-panel';
+    panel.open = true;
+    panel.innerHTML = `
+        <summary>Network simulator</summary>
+        <form class="netsim-form">
+            <label class="netsim-row">
+                <input type="checkbox" name="offline">
+                Force offline
+            </label>
+            <label class="netsim-row">
+                Latency
+                <input type="number" name="latencyMs" min="0" max="30000" step="100"> ms
+            </label>
+            <label class="netsim-row">
+                Fail Firestore calls
+                <input type="range" name="failureRate" min="0" max="100" step="5">
+                <output name="failureRateOutput"></output>
+            </label>
+            <label class="netsim-row">
+                Speed tier
+                <select name="speedTier">
+                    ${SPEED_TIERS.map(tier => `<option value="${tier.value}">${tier.label}</option>`).join('')}
+                </select>
+            </label>
+            <button type="reset" class="btn btn-secondary">Reset</button>
+        </form>
+    `;
+    document.body.appendChild(panel);
+
+    const form = panel.querySelector('form');
+    fillForm(form, getNetworkSimulation());
+
+    form.addEventListener('input', () => {
+        form.elements.failureRateOutput.value = `${form.elements.failureRate.value}%`;
+    });
+    form.addEventListener('change', () => applyForm(form));
+    form.addEventListener('reset', (event) => {
+        event.preventDefault();
+        setNetworkSimulation({ offline: false, latencyMs: 0, failureRate: 0, speedTier: '' });
+        fillForm(form, getNetworkSimulation());
+    });
+
+    console.log('Network simulator enabled');
+}
+
+/**
+ * Show the current settings in the form
+ */
+function fillForm(form, settings) {
+    form.elements.offline.checked = settings.offline;
+    form.elements.latencyMs.value = settings.latencyMs;
+    form.elements.failureRate.value = settings.failureRate;
+    form.elements.failureRateOutput.value = `${settings.failureRate}%`;
+    form.elements.speedTier.value = settings.speedTier;
+    panel.classList.toggle('active', isSimulating(settings));
+}
+
+/**
+ * Apply the form's settings
+ */
+function applyForm(form) {
+    setNetworkSimulation({
+        offline: form.elements.offline.checked,
+        latencyMs: form.elements.latencyMs.value,
+        failureRate: form.elements.failureRate.value,
+        speedTier: form.elements.speedTier.value
+    });
+    fillForm(form, getNetworkSimulation());
+}
+
+function isSimulating({ offline, latencyMs, failureRate, speedTier }) {
+    return offline || latencyMs > 0 || failureRate > 0 || Boolean(speedTier);
+}
@@ -4,11 +4,29 @@
  * 
  * Features:
  * - Show online/offline status
- * - Display actual connection speed in kbps
+ * - Measure connection speed by downloading a same-origin probe file of known
+ *   size (probe/speed-probe.bin), smoothed over the last few measurements
+ * - Use navigator.connection as a hint where the browser provides it
+ * - Report how confident the speed estimate is
  * - Show connection quality with visual indicators
  * - Handle connection changes
+ * - Replay the offline outbox when the connection returns (see sync.js)
+ * - Notify other modules of status, quality, latency, speed and backend
+ *   changes (addNetworkListener)
+ * - Track whether the sync service (Firestore) is actually reachable from the
+ *   outcomes of real operations, separately from the browser's online state,
+ *   and show "Sync service degraded" when saves are being kept on this device
+ * - Log transitions, measurements and failures for the diagnostics panel
+ *   (see diagnostics.js)
+ * - Developer network simulator (?netsim=1, see netsim.js): force offline,
+ *   add latency, fail a share of Firestore calls or pin the speed tier; the
+ *   rest of the app sees the simulated network through this module
  */
 
+import { initSync, syncOutbox, enqueueOperation, setBackendReachable, addSyncListener, setForcedOffline } from './sync.js';
+import { addStorageOperationListener, getStorageBackendName, setRemoteFaults } from './storage.js';
+import { recordDiagnostic, initDiagnosticsPanel } from './diagnostics.js';
+
 let networkIndicator;
 
 // Speed thresholds (kbps)
@@ -20,9 +38,103 @@ const SPEED_THRESHOLDS = {
     verySlow: { min: 0, color: '#dc3545' }
 };
 
+// Speed probe: a static file served next to the pages. Override it with
+// initNetworkStatus(id, { probeUrl, probeSizeBytes }), configureSpeedProbe()
+// or localStorage 'network_probe_url' (e.g. to point at a local static server).
+const DEFAULT_PROBE_URL = 'probe/speed-probe.bin';
+const DEFAULT_PROBE_SIZE_BYTES = 65536;
+const PROBE_TIMEOUT = 10000;
+
+// Downloads smaller or faster than this cannot be timed accurately
+const MIN_PROBE_BYTES = 16384;
+const MIN_TRANSFER_MS = 50;
+
+// Rolling window of speed measurements
+const SPEED_WINDOW_SIZE = 5;
+const SPEED_SAMPLE_MAX_AGE = 10 * 60 * 1000;
+
+let probeConfig = {
+    url: localStorage.getItem('network_probe_url') || DEFAULT_PROBE_URL,
+    sizeBytes: DEFAULT_PROBE_SIZE_BYTES
+};
+let speedSamples = [];
+let speedTestInProgress = false;
+
+// Periodic speed check (lengthened in low-data mode, see setSpeedCheckInterval)
+const DEFAULT_SPEED_CHECK_INTERVAL = 60000;
+let speedCheckTimer = null;
+
+// Modules subscribed to status changes (see addNetworkListener)
+const networkListeners = new Set();
+
+// Fields compared to decide whether listeners are notified
+const WATCHED_FIELDS = ['status', 'quality', 'latency', 'speed', 'backend'];
+
+// Backend health, from the outcomes of Firestore operations (see storage.js)
+// 'unknown' | 'ok' | 'degraded' | 'unreachable' | 'rejected'
+const BACKEND_LATENCY_WINDOW = 10;
+const BACKEND_SLOW_MS = 3000;
+const BACKEND_UNREACHABLE_FAILURES = 2;
+
+// Error codes meaning the request never got a proper answer from the server
+const TRANSPORT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'internal', 'unknown', 'cancelled', 'TypeError'];
+// Error codes meaning the server answered but refused the request
+const REJECTED_ERROR_CODES = ['permission-denied', 'unauthenticated', 'resource-exhausted'];
+
+const BACKEND_MESSAGES = {
+    degraded: {
+        text: 'Sync service degraded',
+        title: 'The sync service is responding slowly or failing intermittently. Saves may take longer.'
+    },
+    unreachable: {
+        text: 'Sync service unreachable - saves kept on this device',
+        title: 'The sync service cannot be reached although you are online. Changes are saved on this device and uploaded when it is back.'
+    },
+    rejected: {
+        text: 'Sync blocked by permissions',
+        title: 'The sync service refused the request. Try logging out and back in.'
+    }
+};
+
+// Network simulator (development only): ?netsim=1 turns it on for this tab,
+// ?netsim=0 turns it off; settings last for the tab session
+const SIMULATOR_FLAG_KEY = 'netsim_enabled';
+const SIMULATION_KEY = 'netsim_settings';
+const DEFAULT_SIMULATION = { offline: false, latencyMs: 0, failureRate: 0, speedTier: '' };
+
+// Speed reported for each pinned tier (kbps, inside the SPEED_THRESHOLDS bands)
+const SIMULATED_TIER_SPEEDS = {
+    excellent: 2000,
+    good: 700,
+    fair: 300,
+    slow: 100,
+    verySlow: 30
+};
+
+let simulation = { ...DEFAULT_SIMULATION };
+
+// Connection part of the indicator's label (the sync service state is appended)
+let connectionLabel = 'Checking connection';
+
+let backendHealth = {
+    state: 'unknown',
+    latencies: [],
+    consecutiveFailures: 0,
+    stalled: 0,
+    rejected: false,
+    lastError: null
+};
+
 // Initialize Network Status Module
-export function initNetworkStatus(indicatorId = 'network-indicator') {
+export function initNetworkStatus(indicatorId = 'network-indicator', options = {}) {
     networkIndicator = document.getElementById(indicatorId);
+
+    if (isSimulatorEnabled()) {
+        setNetworkSimulation(readSavedSimulation(), true);
+        import('./netsim.js').then(({ initNetworkSimulator }) => initNetworkSimulator());
+    }
+
+    configureSpeedProbe({ url: options.probeUrl, sizeBytes: options.probeSizeBytes });
     
     // Always create or update the indicator with our full structure
     createNetworkIndicator();
@@ -30,12 +142,37 @@ export function initNetworkStatus(indicatorId = 'network-indicator') {
     // Listen for online/offline events
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
+
+    // Measurements from a previous network no longer apply
+    navigator.connection?.addEventListener?.('change', () => {
+        speedSamples = [];
+        monitorConnectionSpeed();
+    });
     
     // Initial status check
     checkNetworkStatus();
     
     // Periodic speed check (every 60 seconds)
-    setInterval(monitorConnectionSpeed, 60000);
+    setSpeedCheckInterval(DEFAULT_SPEED_CHECK_INTERVAL);
+    
+    // Start replaying writes queued while offline
+    initSync();
+
+    // Judge the sync service by how its operations turn out
+    addStorageOperationListener(handleStorageOperation);
+
+    // Log uploads from the outbox that did not go through
+    addSyncListener(({ type, operation, error }) => {
+        if (type !== 'retry' && type !== 'failed') return;
+        recordDiagnostic('sync-failed', {
+            operation: operation.type,
+            error: String(error),
+            attempts: operation.attempts,
+            permanent: type === 'failed'
+        });
+    });
+
+    initDiagnosticsPanel(networkIndicator, getDiagnosticsSnapshot);
     
     console.log('Network status module initialized');
 }
@@ -61,7 +198,9 @@ function createNetworkIndicator() {
                 <div class="signal-bar" data-speed="4"></div>
             </div>
             <div class="network-info">
+                <span class="network-speed"></span>
                 <span class="network-quality">Checking...</span>
+                <span class="network-sync" hidden></span>
             </div>
         `;
         document.body.appendChild(networkIndicator);
@@ -76,7 +215,9 @@ function createNetworkIndicator() {
                 <div class="signal-bar" data-speed="4"></div>
             </div>
             <div class="network-info">
+                <span class="network-speed"></span>
                 <span class="network-quality">Checking...</span>
+                <span class="network-sync" hidden></span>
             </div>
         `;
     }
@@ -86,15 +227,19 @@ function createNetworkIndicator() {
  * Handle Online Event
  */
 function handleOnline() {
+    // The simulator keeps the app offline until it is switched off there
+    if (!isOnline()) return;
+
     console.log('Network connection restored');
-    updateNetworkStatus('online', 'good', 0, 0);
+    recordDiagnostic('online');
+    updateNetworkStatus('online', 'unknown', 0, 0);
     showMessage('Connection restored!', 'success');
     
     // Immediately test speed when coming back online
     monitorConnectionSpeed();
     
-    // Try to sync any pending data
-    syncPendingData();
+    // Upload anything queued while offline
+    syncOutbox();
 }
 
 /**
@@ -102,6 +247,10 @@ function handleOnline() {
  */
 function handleOffline() {
     console.log('Network connection lost');
+    recordDiagnostic('offline');
+    speedSamples = [];
+    // Failures while offline say nothing about the sync service
+    resetBackendHealth();
     updateNetworkStatus('offline', 'none', 0, 0);
     showMessage('You are offline. Some features may be limited.', 'warning');
 }
@@ -110,9 +259,7 @@ function handleOffline() {
  * Check Network Status
  */
 function checkNetworkStatus() {
-    const isOnline = navigator.onLine;
-    
-    if (isOnline) {
+    if (isOnline()) {
         monitorConnectionSpeed();
     } else {
         updateNetworkStatus('offline', 'none', 0, 0);
@@ -123,103 +270,225 @@ function checkNetworkStatus() {
  * Monitor Connection Speed and Latency
  */
 async function monitorConnectionSpeed() {
-    if (!navigator.onLine) {
+    if (!isOnline()) {
         updateNetworkStatus('offline', 'none', 0, 0);
         return;
     }
-    
+
+    // One measurement at a time (the interval and online event can overlap)
+    if (speedTestInProgress) return;
+    speedTestInProgress = true;
+
     try {
-        // Measure latency first
-        const latency = await measureLatency();
-        
-        // Then measure download speed
-        const speed = await measureDownloadSpeed();
-        
-        // Determine quality based on speed
-        let quality = getConnectionQuality(speed);
-        
-        updateNetworkStatus('online', quality, speed, latency);
-        
-    } catch (error) {
-        console.log('Speed test failed:', error.message);
-        // Estimate speed from latency as fallback
         const latency = await measureLatency();
-        const estimatedSpeed = estimateSpeedFromLatency(latency);
-        const quality = getConnectionQuality(estimatedSpeed);
-        updateNetworkStatus('online', quality, estimatedSpeed, latency);
+        recordDiagnostic('latency', { ms: latency });
+        // A pinned speed tier makes the download pointless
+        const sample = simulation.speedTier ? null : await measureDownloadSpeed();
+        if (sample) {
+            speedSamples.push(sample);
+            recordDiagnostic('speed', { kbps: sample.kbps, reliable: sample.reliable });
+        }
+
+        // Went offline (or was forced offline) while measuring
+        if (!isOnline()) return;
+
+        const estimate = getSpeedEstimate();
+        const quality = estimate.speed > 0 ? getConnectionQuality(estimate.speed) : 'unknown';
+        updateNetworkStatus('online', quality, estimate.speed, latency ?? estimate.rtt, estimate);
+    } finally {
+        speedTestInProgress = false;
     }
 }
 
 /**
- * Measure network latency (ping) in milliseconds
+ * Change how often the connection speed is measured (milliseconds)
+ */
+export function setSpeedCheckInterval(interval) {
+    clearInterval(speedCheckTimer);
+    speedCheckTimer = setInterval(monitorConnectionSpeed, interval);
+}
+
+/**
+ * Configure the speed probe
+ * url: a static file of known size, fetched for each measurement
+ * sizeBytes: its size, used to check the file was served unchanged
+ */
+export function configureSpeedProbe({ url, sizeBytes } = {}) {
+    if (url) probeConfig.url = url;
+    if (sizeBytes) probeConfig.sizeBytes = sizeBytes;
+    speedSamples = [];
+}
+
+/**
+ * Probe URL with a cache-busting parameter
+ */
+function getProbeUrl() {
+    const url = new URL(probeConfig.url, document.baseURI);
+    url.searchParams.set('t', Date.now());
+    return url.href;
+}
+
+/**
+ * Measure network latency (round trip to the probe endpoint) in milliseconds
+ * Returns null when it cannot be measured
  */
 async function measureLatency() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
     const startTime = performance.now();
 
     try {
-        // Create AbortController for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-        const response = await fetch('https://www.gstatic.com/generate_204', {
+        if (simulation.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, simulation.latencyMs));
+        }
+        const response = await fetch(getProbeUrl(), {
             method: 'HEAD',
-            mode: 'no-cors',
             cache: 'no-store',
             signal: controller.signal
         });
+        if (!response.ok) throw new Error(`Probe returned ${response.status}`);
 
-        clearTimeout(timeoutId);
-        const endTime = performance.now();
-        return Math.round(endTime - startTime);
+        return Math.round(performance.now() - startTime);
     } catch (error) {
-        // Return estimated latency based on typical values
-        return Math.floor(Math.random() * 100) + 50;
+        console.log('Latency check failed:', error.message);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
     }
 }
 
 /**
- * Measure download speed in kbps
+ * Measure download speed by fetching the probe file
+ * Returns a sample { kbps, bytes, durationMs, reliable, at } or null on failure.
+ * Slow downloads are cut off at the timeout and measured from the bytes
+ * received so far.
  */
 async function measureDownloadSpeed() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
     const startTime = performance.now();
-    const testSizeBytes = 10240; // 10KB test
-    
+    let headersTime = startTime;
+    let bytes = 0;
+
     try {
-        // Create an Image to test download speed
-        const img = new Image();
-        img.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7?t=' + Date.now();
-        
-        await new Promise((resolve, reject) => {
-            img.onload = resolve;
-            img.onerror = reject;
-            setTimeout(() => reject(new Error('Timeout')), 10000);
-        });
-        
-        const endTime = performance.now();
-        const durationSeconds = (endTime - startTime) / 1000;
-        
-        // Calculate speed: (bits) / (seconds) / 1000 = kbps
-        const speedKbps = Math.round((testSizeBytes * 8) / durationSeconds / 1000);
-        
-        // Clamp to reasonable values
-        return Math.min(Math.max(speedKbps, 0), 10000);
-        
+        const response = await fetch(getProbeUrl(), { cache: 'no-store', signal: controller.signal });
+        if (!response.ok) throw new Error(`Probe returned ${response.status}`);
+        headersTime = performance.now();
+
+        if (response.body && response.body.getReader) {
+            const reader = response.body.getReader();
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                bytes += value.byteLength;
+            }
+        } else {
+            bytes = (await response.arrayBuffer()).byteLength;
+        }
+
+        if (bytes !== probeConfig.sizeBytes) {
+            console.warn(`Speed probe is ${bytes} bytes, expected ${probeConfig.sizeBytes}`);
+        }
     } catch (error) {
-        // If download test fails, estimate based on latency
-        const latency = await measureLatency();
-        return estimateSpeedFromLatency(latency);
+        // A timed-out download still measured the bytes it received
+        if (error.name !== 'AbortError' || bytes < MIN_PROBE_BYTES) {
+            console.log('Speed test failed:', error.message);
+            return null;
+        }
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const endTime = performance.now();
+
+    // Time the body transfer only, so latency does not count against speed.
+    // Bodies that arrive almost at once are timed from the request instead,
+    // which undercounts speed, so they are not treated as reliable.
+    let durationMs = endTime - headersTime;
+    let reliable = bytes >= MIN_PROBE_BYTES;
+    if (durationMs < MIN_TRANSFER_MS) {
+        durationMs = Math.max(endTime - startTime, 1);
+        reliable = false;
     }
+
+    return {
+        kbps: Math.round((bytes * 8) / durationMs),
+        bytes,
+        durationMs: Math.round(durationMs),
+        reliable,
+        at: Date.now()
+    };
 }
 
 /**
- * Estimate speed from latency when direct measurement fails
+ * Browser's own estimate from navigator.connection (Chrome, Edge, Android)
+ * Returns { kbps, rtt } or null
  */
-function estimateSpeedFromLatency(latency) {
-    if (latency < 50) return Math.floor(Math.random() * 2000) + 2000; // Excellent
-    if (latency < 100) return Math.floor(Math.random() * 1000) + 1000; // Very Good
-    if (latency < 200) return Math.floor(Math.random() * 500) + 500; // Good
-    if (latency < 500) return Math.floor(Math.random() * 200) + 200; // Fair
-    return Math.floor(Math.random() * 100) + 50; // Slow
+function getConnectionHint() {
+    const connection = navigator.connection;
+    if (!connection || !connection.downlink) return null;
+
+    return {
+        // downlink is in Mbps
+        kbps: Math.round(connection.downlink * 1000),
+        rtt: connection.rtt || null
+    };
+}
+
+/**
+ * Combine recent probe samples and the browser's estimate
+ * Returns { speed, rtt, confidence: 'high' | 'medium' | 'low' | 'none', source, samples }
+ */
+function getSpeedEstimate() {
+    if (simulation.speedTier) {
+        return { speed: SIMULATED_TIER_SPEEDS[simulation.speedTier], rtt: null, confidence: 'high', source: 'simulated', samples: 0 };
+    }
+
+    const now = Date.now();
+    speedSamples = speedSamples
+        .filter(sample => now - sample.at <= SPEED_SAMPLE_MAX_AGE)
+        .slice(-SPEED_WINDOW_SIZE);
+
+    const hint = getConnectionHint();
+
+    if (speedSamples.length === 0) {
+        if (hint) {
+            return { speed: hint.kbps, rtt: hint.rtt, confidence: 'low', source: 'connection', samples: 0 };
+        }
+        return { speed: 0, rtt: null, confidence: 'none', source: 'none', samples: 0 };
+    }
+
+    // The median ignores a single unusually fast or slow sample
+    const sorted = speedSamples.map(sample => sample.kbps).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const speed = sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+
+    const spread = speed > 0 ? (sorted[sorted.length - 1] - sorted[0]) / speed : Infinity;
+    const allReliable = speedSamples.every(sample => sample.reliable);
+
+    let confidence = 'medium';
+    if (speedSamples.length >= 3 && allReliable && spread <= 0.5) {
+        confidence = 'high';
+    } else if (!allReliable && speedSamples.length < 3) {
+        confidence = 'low';
+    }
+
+    // A large disagreement with the browser's estimate lowers confidence
+    // (its downlink is capped at 10 Mbps, so only check below that)
+    if (hint && hint.kbps < 10000 && confidence !== 'low') {
+        const ratio = speed / hint.kbps;
+        if (ratio > 4 || ratio < 0.25) {
+            confidence = confidence === 'high' ? 'medium' : 'low';
+        }
+    }
+
+    return {
+        speed,
+        rtt: hint?.rtt || null,
+        confidence,
+        source: 'probe',
+        samples: speedSamples.length
+    };
 }
 
 /**
@@ -235,8 +504,19 @@ function getConnectionQuality(speed) {
 
 /**
  * Update Network Status Display with Speed
+ * estimate: { confidence, source, samples } from getSpeedEstimate()
  */
-function updateNetworkStatus(status, quality, speed, latency) {
+function updateNetworkStatus(status, quality, speed, latency, estimate = null) {
+    setNetworkStatus({
+        status,
+        quality,
+        speed,
+        latency,
+        confidence: estimate?.confidence || 'none',
+        source: estimate?.source || 'none',
+        backend: backendHealth.state
+    });
+
     if (!networkIndicator) return;
     
     const signalBars = networkIndicator.querySelectorAll('.signal-bar');
@@ -275,21 +555,300 @@ function updateNetworkStatus(status, quality, speed, latency) {
         }
     } else {
         if (speedElement) {
-            speedElement.textContent = formatSpeed(speed);
+            // "~" marks a rough estimate (browser hint or too few measurements)
+            const approximate = estimate?.confidence === 'low' ? '~' : '';
+            speedElement.textContent = speed > 0 ? approximate + formatSpeed(speed) : '';
         }
         if (qualityElement) {
-            qualityElement.textContent = speed > 0 ? quality.charAt(0).toUpperCase() + quality.slice(1) : 'Checking...';
+            let qualityText = 'Checking...';
+            if (speed > 0) {
+                qualityText = quality.charAt(0).toUpperCase() + quality.slice(1);
+            } else if (estimate?.confidence === 'none') {
+                qualityText = 'Speed unknown';
+            }
+            qualityElement.textContent = qualityText;
             const color = SPEED_THRESHOLDS[quality]?.color || '#6c757d';
             qualityElement.style.color = color;
         }
     }
     
     // Update ARIA label
-    const ariaText = status === 'offline' ? 'Offline' : quality + ' connection - ' + formatSpeed(speed);
-    networkIndicator.setAttribute('aria-label', ariaText);
-    
+    let ariaText = 'Offline';
+    if (status !== 'offline') {
+        ariaText = speed > 0
+            ? `${quality} connection - ${formatSpeed(speed)} (${estimate?.confidence || 'low'} confidence)`
+            : 'Online - connection speed unknown';
+    }
+    connectionLabel = ariaText;
+    networkIndicator.title = estimate && estimate.samples > 0
+        ? `Measured ${estimate.samples} time(s), ${estimate.confidence} confidence${latency ? `, ${latency} ms latency` : ''}`
+        : ariaText;
+
+    updateSyncIndicator();
+}
+
+/**
+ * Record the outcome of a Firestore operation (see storage.js)
+ */
+function handleStorageOperation({ backend, method, outcome, durationMs, code, stalled }) {
+    // Failures while offline say nothing about the sync service
+    if (backend !== 'firestore' || !isOnline()) return;
+
+    if (outcome !== 'success') {
+        recordDiagnostic('request-failed', { method, outcome, code, durationMs });
+    }
+
+    if (outcome === 'stalled') {
+        backendHealth.stalled++;
+    } else {
+        // A stalled operation is reported a second time when it settles
+        if (stalled && backendHealth.stalled > 0) backendHealth.stalled--;
+
+        if (outcome === 'success') {
+            backendHealth.latencies = [...backendHealth.latencies, durationMs].slice(-BACKEND_LATENCY_WINDOW);
+            backendHealth.consecutiveFailures = 0;
+            // The server answers again; an operation that never settles must
+            // not keep the state degraded
+            backendHealth.stalled = 0;
+            backendHealth.rejected = false;
+            backendHealth.lastError = null;
+        } else if (REJECTED_ERROR_CODES.includes(code)) {
+            backendHealth.rejected = true;
+            backendHealth.lastError = code;
+        } else if (TRANSPORT_ERROR_CODES.includes(code) || !code) {
+            backendHealth.consecutiveFailures++;
+            backendHealth.lastError = code || 'unknown';
+        } else {
+            // Conflicts, missing documents etc. are answers: the server is reachable
+            backendHealth.consecutiveFailures = 0;
+        }
+    }
+
+    const state = getBackendState();
+    if (state !== backendHealth.state) {
+        console.log('Sync service:', state, `(${method} ${outcome}${code ? ' ' + code : ''})`);
+        setBackendState(state);
+    }
+}
+
+/**
+ * Forget the recorded outcomes (the next operations decide the state again)
+ */
+function resetBackendHealth() {
+    backendHealth.latencies = [];
+    backendHealth.consecutiveFailures = 0;
+    backendHealth.stalled = 0;
+    backendHealth.rejected = false;
+    backendHealth.lastError = null;
+    if (backendHealth.state !== 'unknown') setBackendState('unknown');
+}
+
+/**
+ * Decide the backend state from the recorded outcomes
+ */
+function getBackendState() {
+    const { latencies, consecutiveFailures, stalled, rejected } = backendHealth;
+
+    if (rejected) return 'rejected';
+    if (consecutiveFailures >= BACKEND_UNREACHABLE_FAILURES) return 'unreachable';
+    if (consecutiveFailures > 0 || stalled > 0) return 'degraded';
+    if (latencies.length === 0) return 'unknown';
+
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return median > BACKEND_SLOW_MS ? 'degraded' : 'ok';
+}
+
+/**
+ * Apply a new backend state: tell sync.js, notify listeners, update the indicator
+ */
+function setBackendState(state) {
+    const previousState = backendHealth.state;
+    backendHealth.state = state;
+    recordDiagnostic('backend', { state });
+
+    // While unreachable, writes go to the outbox instead of hanging
+    setBackendReachable(state !== 'unreachable');
+
+    setNetworkStatus({ ...getNetworkStatus(), backend: state });
+    updateSyncIndicator();
+
+    if (state === 'ok' && ['unreachable', 'degraded'].includes(previousState)) {
+        if (previousState === 'unreachable') showMessage('Sync service is back.', 'success');
+        syncOutbox();
+    } else if (state === 'unreachable') {
+        showMessage('Cannot reach the sync service. Changes are saved on this device for now.', 'warning');
+    }
+}
+
+/**
+ * Show or hide the sync service line in the indicator
+ */
+function updateSyncIndicator() {
+    if (!networkIndicator) return;
+
+    const syncElement = networkIndicator.querySelector('.network-sync');
+    // Offline is already shown by the indicator itself
+    const message = isOnline() ? BACKEND_MESSAGES[backendHealth.state] : null;
+
+    networkIndicator.classList.toggle('backend-degraded', Boolean(message));
+    networkIndicator.setAttribute('aria-label', message ? `${connectionLabel} - ${message.text}` : connectionLabel);
+    if (!syncElement) return;
+
+    syncElement.hidden = !message;
+    syncElement.textContent = message ? message.text : '';
+    syncElement.title = message ? message.title : '';
+}
+
+/**
+ * Get the sync service health
+ * Returns { state, latency, failures, lastError }; latency is the median of
+ * recent successful operations in ms (0 when none)
+ */
+export function getBackendHealth() {
+    const sorted = [...backendHealth.latencies].sort((a, b) => a - b);
+    return {
+        state: backendHealth.state,
+        latency: sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0,
+        failures: backendHealth.consecutiveFailures,
+        lastError: backendHealth.lastError
+    };
+}
+
+/**
+ * Current connection state for the diagnostics panel and report
+ */
+function getDiagnosticsSnapshot() {
+    const status = getNetworkStatus();
+    const backend = getBackendHealth();
+    return {
+        'Status': status.status,
+        'Quality': status.quality,
+        'Speed': status.speed > 0 ? `${formatSpeed(status.speed)} (${status.confidence} confidence, ${status.source})` : 'unknown',
+        'Latency': status.latency ? `${status.latency} ms` : 'unknown',
+        'Storage': getStorageBackendName(),
+        'Sync service': `${backend.state}${backend.latency ? `, ${backend.latency} ms` : ''}${backend.lastError ? `, last error ${backend.lastError}` : ''}`,
+        ...(isSimulatorEnabled() && { 'Simulator': describeSimulation() })
+    };
+}
+
+/**
+ * Check if the network simulator is turned on for this tab (?netsim=1)
+ */
+function isSimulatorEnabled() {
+    try {
+        const fromUrl = new URLSearchParams(window.location.search).get('netsim');
+        if (fromUrl !== null) {
+            sessionStorage.setItem(SIMULATOR_FLAG_KEY, String(fromUrl === '1'));
+            if (fromUrl !== '1') sessionStorage.removeItem(SIMULATION_KEY);
+        }
+        return sessionStorage.getItem(SIMULATOR_FLAG_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+function readSavedSimulation() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SIMULATION_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function describeSimulation() {
+    const { offline, latencyMs, failureRate, speedTier } = simulation;
+    const parts = [];
+    if (offline) parts.push('forced offline');
+    if (latencyMs) parts.push(`+${latencyMs} ms`);
+    if (failureRate) parts.push(`${failureRate}% Firestore failures`);
+    if (speedTier) parts.push(`speed pinned to ${speedTier}`);
+    return parts.join(', ') || 'no changes';
+}
+
+/**
+ * Change the simulated network conditions (used by the netsim.js panel)
+ * settings: { offline, latencyMs, failureRate (percent), speedTier ('' for measured) }
+ * Other modules see the result through the usual status, listeners and
+ * storage operations.
+ */
+export function setNetworkSimulation(settings, initial = false) {
+    const previous = simulation;
+    simulation = {
+        offline: Boolean(settings.offline ?? previous.offline),
+        latencyMs: Math.max(0, Number(settings.latencyMs ?? previous.latencyMs) || 0),
+        failureRate: Math.min(100, Math.max(0, Number(settings.failureRate ?? previous.failureRate) || 0)),
+        speedTier: SIMULATED_TIER_SPEEDS[settings.speedTier ?? previous.speedTier] ? (settings.speedTier ?? previous.speedTier) : ''
+    };
+    sessionStorage.setItem(SIMULATION_KEY, JSON.stringify(simulation));
+
+    setForcedOffline(simulation.offline);
+    setRemoteFaults({
+        offline: simulation.offline,
+        latencyMs: simulation.latencyMs,
+        failureRate: simulation.failureRate
+    });
+
+    // Before initNetworkStatus finishes, its own first check picks this up
+    if (initial) return;
+
+    console.log('Network simulation:', describeSimulation());
+
+    if (simulation.offline && !previous.offline) {
+        handleOffline();
+    } else if (!simulation.offline && previous.offline) {
+        handleOnline();
+    } else if (simulation.speedTier !== previous.speedTier || simulation.latencyMs !== previous.latencyMs) {
+        speedSamples = [];
+        monitorConnectionSpeed();
+    }
+}
+
+/**
+ * Get the simulated network conditions (see setNetworkSimulation)
+ */
+export function getNetworkSimulation() {
+    return { ...simulation };
+}
+
+/**
+ * Store the status for other modules and notify listeners of changes
+ */
+function setNetworkStatus(current) {
+    const previous = getNetworkStatus();
+
     // Store status globally for other modules
-    window.networkStatus = { status, quality, speed, latency };
+    window.networkStatus = current;
+
+    const changed = WATCHED_FIELDS.filter(field => current[field] !== previous[field]);
+    if (changed.length === 0) return;
+
+    networkListeners.forEach(listener => {
+        try {
+            listener({ current, previous, changed });
+        } catch (error) {
+            console.error('Error in network listener:', error);
+        }
+    });
+}
+
+/**
+ * Subscribe to network status changes
+ * listener({ current, previous, changed }) is called when any of status,
+ * quality, latency, speed or backend (see getBackendHealth) changes; current/previous are getNetworkStatus()
+ * objects and changed lists the fields that differ.
+ * Returns an unsubscribe function
+ */
+export function addNetworkListener(listener) {
+    networkListeners.add(listener);
+    return () => removeNetworkListener(listener);
+}
+
+/**
+ * Unsubscribe from network status changes
+ */
+export function removeNetworkListener(listener) {
+    networkListeners.delete(listener);
 }
 
 /**
@@ -322,58 +881,34 @@ function showMessage(message, type) {
 }
 
 /**
- * Sync Pending Data (when coming back online)
+ * Queue an Operation for Sync (when offline)
+ * type: 'createJournal', 'updateJournal', 'deleteJournal' or 'saveTimeSpent'
+ * Returns { success, key } (see sync.js enqueueOperation)
  */
-async function syncPendingData() {
-    const pendingData = localStorage.getItem('pendingSync');
-    
-    if (pendingData) {
-        try {
-            const data = JSON.parse(pendingData);
-            console.log('Syncing pending data:', data);
-            
-            localStorage.removeItem('pendingSync');
-            showMessage('Syncing your data...', 'info');
-            
-            console.log('Data synced successfully');
-        } catch (error) {
-            console.error('Error syncing data:', error);
-        }
-    }
-}
-
-/**
- * Queue Data for Sync (when offline)
- */
-export function queueForSync(key, data) {
-    try {
-        const pendingData = localStorage.getItem('pendingSync') || '{}';
-        const parsed = JSON.parse(pendingData);
-        
-        parsed[key] = {
-            data,
-            timestamp: Date.now()
-        };
-        
-        localStorage.setItem('pendingSync', JSON.stringify(parsed));
-        console.log('Data queued for sync:', key);
-    } catch (error) {
-        console.error('Error queuing data for sync:', error);
-    }
+export function queueForSync(type, payload) {
+    return enqueueOperation(type, payload);
 }
 
 /**
  * Get Current Network Status
  */
 export function getNetworkStatus() {
-    return window.networkStatus || { status: navigator.onLine ? 'online' : 'offline', quality: 'unknown', speed: 0, latency: 0 };
+    return window.networkStatus || {
+        status: isOnline() ? 'online' : 'offline',
+        quality: 'unknown',
+        speed: 0,
+        latency: 0,
+        confidence: 'none',
+        source: 'none',
+        backend: backendHealth.state
+    };
 }
 
 /**
- * Check if Online
+ * Check if Online (false while the network simulator forces offline)
  */
 export function isOnline() {
-    return navigator.onLine;
+    return navigator.onLine && !simulation.offline;
 }
 
 /**
@@ -0,0 +1,154 @@
+/**
+ * PWA Module
+ * Registers the service worker (sw.js) and keeps journals for offline reading
+ *
+ * Features:
+ * - Register the service worker so the app can be installed and used offline
+ * - "A new version is available" prompt when an update is deployed
+ * - Keep the most recently viewed journals in the Cache API for offline reading
+ */
+
+// Cache shared with sw.js (the worker keeps it across versions)
+const RECENT_JOURNALS_CACHE = 'recent-journals';
+const RECENT_JOURNALS_LIMIT = 20;
+
+let updateBanner = null;
+let reloading = false;
+
+// Initialize PWA Module
+export function initPWA(scriptUrl = './sw.js') {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers are not supported in this browser');
+        return;
+    }
+
+    // Reload once the new version has taken over
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(scriptUrl);
+            watchForUpdates(registration);
+            console.log('Service worker registered:', registration.scope);
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    });
+}
+
+/**
+ * Show the update prompt when a new worker is installed and waiting
+ */
+function watchForUpdates(registration) {
+    // An update may already be waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            }
+        });
+    });
+}
+
+/**
+ * Show the "new version available" banner
+ */
+function showUpdateBanner(worker) {
+    updateBanner?.remove();
+
+    updateBanner = document.createElement('div');
+    updateBanner.className = 'update-banner';
+    updateBanner.setAttribute('role', 'status');
+    updateBanner.setAttribute('aria-live', 'polite');
+    updateBanner.innerHTML = `
+        <span data-i18n="A new version is available" data-tts="A new version is available">A new version is available</span>
+        <button type="button" class="btn btn-primary update-banner-reload" data-i18n="Reload">Reload</button>
+        <button type="button" class="update-banner-dismiss" aria-label="Dismiss">&times;</button>
+    `;
+
+    updateBanner.querySelector('.update-banner-reload').addEventListener('click', () => {
+        // The page reloads on controllerchange
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    updateBanner.querySelector('.update-banner-dismiss').addEventListener('click', () => {
+        updateBanner.remove();
+        updateBanner = null;
+    });
+
+    document.body.appendChild(updateBanner);
+}
+
+/**
+ * Cache key for a journal
+ */
+function journalCacheKey(journalId) {
+    return new URL(`recent-journals/${encodeURIComponent(journalId)}`, document.baseURI).href;
+}
+
+/**
+ * Keep a journal for offline reading
+ * The least recently viewed journals are dropped beyond the limit.
+ */
+export async function rememberJournal(journal) {
+    if (!('caches' in window) || !journal?.id || journal.id.startsWith('sample-')) return;
+
+    const createdAt = journal.createdAt?.toDate ? journal.createdAt.toDate().toISOString() : journal.createdAt;
+    const stored = {
+        id: journal.id,
+        userId: journal.userId || null,
+        title: journal.title || '',
+        content: journal.content || '',
+        tags: journal.tags || [],
+        createdAt: createdAt || null,
+        viewedAt: new Date().toISOString()
+    };
+
+    try {
+        const cache = await caches.open(RECENT_JOURNALS_CACHE);
+        const key = journalCacheKey(journal.id);
+
+        // Delete first so the journal moves to the end (most recent)
+        await cache.delete(key);
+        await cache.put(key, new Response(JSON.stringify(stored), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+
+        const keys = await cache.keys();
+        const excess = keys.slice(0, Math.max(0, keys.length - RECENT_JOURNALS_LIMIT));
+        await Promise.all(excess.map(request => cache.delete(request)));
+    } catch (error) {
+        console.error('Error caching journal for offline reading:', error);
+    }
+}
+
+/**
+ * Get the journals kept for offline reading, most recently viewed first
+ */
+export async function getRecentJournals() {
+    if (!('caches' in window)) return [];
+
+    try {
+        const cache = await caches.open(RECENT_JOURNALS_CACHE);
+        const keys = await cache.keys();
+        const journals = await Promise.all(keys.map(async request => {
+            const response = await cache.match(request);
+            return response ? response.json() : null;
+        }));
+        return journals.filter(Boolean).reverse();
+    } catch (error) {
+        console.error('Error reading cached journals:', error);
+        return [];
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * Storage Quota Module
+ * Watches how much of the browser's storage the site uses, so saving on this
+ * device never stops without the user knowing
+ *
+ * Features:
+ * - Checks usage with navigator.storage.estimate() on load, every few minutes
+ *   and whenever saving fails (see local-store.js)
+ * - Banner when usage passes WARNING_RATIO, and while changes could not be saved
+ * - "Free up space" dialog with the cleanups other modules register
+ *   (registerStorageCleanup), e.g. old translations and expired drafts
+ * - Asks the browser to keep the site's data when space runs low
+ *   (navigator.storage.persist)
+ */
+
+import { addLocalStoreListener, hasUnsavedItems, retryFailedWrites } from './local-store.js';
+
+const CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Failed writes check again, but not more often than this
+const MIN_CHECK_GAP = 10000;
+const WARNING_RATIO = 0.8;
+const CRITICAL_RATIO = 0.95;
+// Level dismissed for this session ('warning' or 'critical')
+const DISMISSED_KEY = 'storage_warning_dismissed';
+
+// { [id]: { id, label, measure, run, checked } }
+const cleanups = new Map();
+
+let banner = null;
+let modal = null;
+let latestEstimate = null;
+let lastCheckAt = 0;
+let quotaFailure = false;
+
+/**
+ * Start watching storage usage
+ */
+export function initStorageQuota() {
+    if (banner) return;
+
+    createBanner();
+
+    addLocalStoreListener(({ type, quota }) => {
+        if (type === 'error') {
+            quotaFailure = quotaFailure || quota;
+            checkStorageUsage({ throttle: true });
+        } else if (type === 'saved' && !hasUnsavedItems()) {
+            quotaFailure = false;
+        }
+        renderBanner();
+    });
+
+    checkStorageUsage();
+    setInterval(() => checkStorageUsage(), CHECK_INTERVAL);
+}
+
+/**
+ * Ask the browser how much storage is used
+ * Returns { usage, quota, ratio } (null when the browser can't tell)
+ */
+export async function checkStorageUsage({ throttle = false } = {}) {
+    if (!navigator.storage?.estimate) return null;
+    if (throttle && Date.now() - lastCheckAt < MIN_CHECK_GAP) return latestEstimate;
+    lastCheckAt = Date.now();
+
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        latestEstimate = { usage, quota, ratio: quota > 0 ? usage / quota : 0 };
+    } catch (error) {
+        console.error('Error checking storage usage:', error);
+        return latestEstimate;
+    }
+
+    if (latestEstimate.ratio >= WARNING_RATIO) {
+        console.warn('Storage', Math.round(latestEstimate.ratio * 100) + '% full');
+        requestPersistence();
+    }
+    renderBanner();
+    return latestEstimate;
+}
+
+/**
+ * Offer a way to free up space in the cleanup dialog
+ * cleanup: {
+ *   id, label,
+ *   measure(): { count, bytes } what would be removed, or { unavailable: reason },
+ *   run(): removes it, resolves with the number of items removed,
+ *   checked: ticked by default (default true)
+ * }
+ * Returns an unregister function
+ */
+export function registerStorageCleanup(cleanup) {
+    cleanups.set(cleanup.id, { checked: true, ...cleanup });
+    return () => cleanups.delete(cleanup.id);
+}
+
+/**
+ * Ask the browser not to clear the site's data when the device runs low on space
+ * Resolves true when it will be kept
+ */
+export async function requestPersistence() {
+    if (!navigator.storage?.persist) return false;
+
+    try {
+        if (await navigator.storage.persisted()) return true;
+        const persisted = await navigator.storage.persist();
+        console.log('Persistent storage', persisted ? 'granted' : 'not granted');
+        return persisted;
+    } catch (error) {
+        console.error('Error requesting persistent storage:', error);
+        return false;
+    }
+}
+
+/**
+ * Current warning level: 'unsaved' | 'critical' | 'warning' | null
+ */
+function getLevel() {
+    if (hasUnsavedItems()) return 'unsaved';
+    if (!latestEstimate) return null;
+    if (latestEstimate.ratio >= CRITICAL_RATIO) return 'critical';
+    if (latestEstimate.ratio >= WARNING_RATIO) return 'warning';
+    return null;
+}
+
+function createBanner() {
+    banner = document.getElementById('storage-warning');
+    if (banner) return;
+
+    banner = document.createElement('div');
+    banner.id = 'storage-warning';
+    banner.className = 'storage-warning';
+    banner.setAttribute('role', 'alert');
+    banner.hidden = true;
+    document.body.appendChild(banner);
+
+    banner.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-storage-action]')?.dataset.storageAction;
+        if (action === 'cleanup') showStorageCleanup();
+        if (action === 'dismiss') {
+            sessionStorage.setItem(DISMISSED_KEY, getLevel());
+            renderBanner();
+        }
+    });
+}
+
+function renderBanner() {
+    if (!banner) return;
+
+    const level = getLevel();
+    const dismissed = sessionStorage.getItem(DISMISSED_KEY);
+    // A dismissed warning comes back when it gets worse
+    if (!level || dismissed === level || (dismissed === 'critical' && level === 'warning')) {
+        banner.hidden = true;
+        return;
+    }
+
+    let message;
+    if (level === 'unsaved') {
+        message = quotaFailure
+            ? 'Storage on this device is full. Your latest changes are only kept until you leave this page.'
+            : 'Some changes could not be saved on this device. They are only kept until you leave this page.';
+    } else {
+        message = `Storage on this device is ${Math.round(latestEstimate.ratio * 100)}% full ` +
+            `(${formatBytes(latestEstimate.usage)} of ${formatBytes(latestEstimate.quota)}). ` +
+            'Free up space before drafts and offline journals can no longer be saved.';
+    }
+
+    banner.className = `storage-warning ${level}`;
+    banner.setAttribute('data-tts', message);
+    banner.innerHTML = `
+        <i class="fas ${level === 'warning' ? 'fa-hdd' : 'fa-exclamation-triangle'}"></i>
+        <span class="storage-warning-text">${message}</span>
+        <button type="button" class="btn btn-primary btn-sm" data-storage-action="cleanup" data-tts="Free up space">Free up space</button>
+        ${level === 'unsaved' ? '' : `
+            <button type="button" class="storage-warning-dismiss" data-storage-action="dismiss" aria-label="Dismiss">&times;</button>
+        `}
+    `;
+    banner.hidden = false;
+}
+
+/**
+ * Show the cleanup dialog
+ */
+export async function showStorageCleanup() {
+    if (!modal) createModal();
+
+    modal.hidden = false;
+    modal.style.display = 'block';
+    modal.setAttribute('aria-hidden', 'false');
+    await renderCleanup();
+    modal.querySelector('.modal-close').focus();
+}
+
+function closeCleanup() {
+    modal.hidden = true;
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+}
+
+function createModal() {
+    modal = document.createElement('div');
+    modal.id = 'storageCleanupModal';
+    modal.className = 'modal-backdrop storage-cleanup-backdrop';
+    modal.hidden = true;
+    modal.innerHTML = `
+        <div class="modal storage-cleanup-modal" role="dialog" aria-modal="true" aria-labelledby="storageCleanupTitle">
+            <div class="modal-header">
+                <h2 class="modal-title" id="storageCleanupTitle"><i class="fas fa-broom"></i> Free up space</h2>
+                <button type="button" class="modal-close" aria-label="Close">&times;</button>
+            </div>
+            <form class="storage-cleanup-form" novalidate></form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeCleanup);
+    modal.addEventListener('click', (event) => {
+        if (event.target === modal) closeCleanup();
+    });
+    modal.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeCleanup();
+    });
+    modal.querySelector('form').addEventListener('submit', handleCleanupSubmit);
+    modal.querySelector('form').addEventListener('click', (event) => {
+        if (event.target.closest('[data-storage-action="cancel"]')) closeCleanup();
+    });
+}
+
+/**
+ * Fill the dialog with the usage and what each cleanup would remove
+ */
+async function renderCleanup(result = '') {
+    const form = modal.querySelector('form');
+    const estimate = await checkStorageUsage();
+    const items = await Promise.all([...cleanups.values()].map(async cleanup => {
+        try {
+            return { cleanup, size: await cleanup.measure() };
+        } catch (error) {
+            console.error('Error measuring', cleanup.id, error);
+            return { cleanup, size: { unavailable: 'Could not be measured' } };
+        }
+    }));
+
+    const percent = estimate ? Math.round(estimate.ratio * 100) : null;
+
+    form.innerHTML = `
+        <div class="modal-body">
+            ${estimate ? `
+                <div class="storage-usage">
+                    <div class="storage-usage-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+                        aria-valuenow="${percent}"><span style="width: ${Math.min(percent, 100)}%"></span></div>
+                    <p>${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${percent}%)</p>
+                </div>
+            ` : '<p>This browser does not say how much storage is left.</p>'}
+            ${result ? `<p class="storage-cleanup-result" role="status">${escapeHtml(result)}</p>` : ''}
+            <ul class="storage-cleanup-list">
+                ${items.map(({ cleanup, size }) => renderCleanupItem(cleanup, size)).join('') ||
+                    '<li>Nothing to clean up on this page.</li>'}
+            </ul>
+            <p class="form-text">Journals waiting to upload and drafts you are still writing are never removed.</p>
+        </div>
+        <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-storage-action="cancel">Close</button>
+            <button type="submit" class="btn btn-primary" data-tts="Free up space"
+                ${items.some(({ size }) => size?.count > 0) ? '' : 'disabled'}>Free up space</button>
+        </div>
+    `;
+}
+
+function renderCleanupItem(cleanup, size) {
+    const available = size && !size.unavailable;
+    const empty = available && size.count === 0;
+    const detail = !available
+        ? escapeHtml(size?.unavailable || 'Not available')
+        : empty ? 'Nothing to remove' : `${size.count} · ${formatBytes(size.bytes)}`;
+
+    return `
+        <li class="storage-cleanup-item">
+            <label>
+                <input type="checkbox" name="cleanup" value="${escapeHtml(cleanup.id)}"
+                    ${available && !empty && cleanup.checked ? 'checked' : ''} ${available && !empty ? '' : 'disabled'}>
+                <span>${escapeHtml(cleanup.label)}</span>
+            </label>
+            <small>${detail}</small>
+        </li>
+    `;
+}
+
+/**
+ * Run the ticked cleanups, then save what could not be saved before
+ */
+async function handleCleanupSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const chosen = [...form.querySelectorAll('input[name="cleanup"]:checked')]
+        .map(input => cleanups.get(input.value))
+        .filter(Boolean);
+    if (chosen.length === 0) return;
+
+    form.querySelector('[type="submit"]').disabled = true;
+
+    let removed = 0;
+    for (const cleanup of chosen) {
+        try {
+            removed += await cleanup.run() || 0;
+        } catch (error) {
+            console.error('Error running cleanup', cleanup.id, error);
+        }
+    }
+
+    const unsaved = await retryFailedWrites();
+    console.log('Storage cleanup removed', removed, 'items');
+    await renderCleanup(unsaved > 0
+        ? `Removed ${removed} items, but some changes still could not be saved.`
+        : `Removed ${removed} items.`);
+    renderBanner();
+}
+
+/**
+ * Format a size in bytes (e.g. "1.2 MB")
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
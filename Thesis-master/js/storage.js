@@ -0,0 +1,209 @@
+/**
+ * Storage Module
+ * Selects the persistence backend used by the rest of the application
+ *
+ * Every adapter implements the same operations and returns the same shapes:
+ * - Journals: createJournal (optionally with a caller-chosen ID), updateJournal,
+ *   deleteJournal, getJournal, getUserJournals, getAllJournals (newest first,
+ *   optionally a page: { limit, after } where after is the last journal seen).
+ *   Journals carry a version; updateJournal with a base version throws an
+ *   error with code 'conflict' (and the current copy) if it has moved on.
+ *   updateJournal takes an optional operation ID so a replayed edit is applied once
+ * - Profiles: getUserProfile, saveUserProfile
+ * - Encryption settings: getVaultSettings, saveVaultSettings (kept apart from
+ *   the profile, which other users can read; see vault.js)
+ * - Time tracking: saveTimeSpent (one record per user and local calendar day,
+ *   with optional per-activity categories and the timezone the day was first
+ *   recorded in),
+ *   getTimeEntries (optionally by { from, to } day keys), mergeStrayTimeEntries.
+ *   saveTimeSpent takes an optional operation ID so replayed saves count once
+ * - Reading analytics: recordJournalStats (adds to counters, optionally under
+ *   an operation ID and reader like saveTimeSpent), getJournalStats
+ * - Drafts synced across devices: saveUserDraft, getUserDrafts, deleteUserDraft
+ *   (keyed by the draft key, see draft.js)
+ *
+ * Adapters throw on failure; firebase-config.js wraps them in the
+ * { success, ... } results used by the UI modules.
+ *
+ * Firestore operations are timed and their outcomes reported to
+ * addStorageOperationListener listeners (network.js tracks backend health
+ * from them).
+ *
+ * Backends:
+ * - firestore: Cloud Firestore (default when Firebase initializes)
+ * - local: IndexedDB on this device (offline, tests, or forced with ?storage=local)
+ */
+
+import { createFirestoreAdapter } from './firestore-adapter.js';
+import { createIndexedDBAdapter } from './indexeddb-adapter.js';
+
+// LocalStorage key for a persisted backend preference
+const BACKEND_PREFERENCE_KEY = 'storage_backend';
+
+let activeAdapter = null;
+let localAdapter = null;
+
+// An operation still running after this long is reported as stalled
+// (Firestore writes wait silently for the server when it is unreachable)
+const OPERATION_STALL_MS = 10000;
+
+// Listeners told about each remote operation's outcome
+const operationListeners = new Set();
+
+// Faults injected into remote operations by the network simulator
+// (see network.js setNetworkSimulation)
+let remoteFaults = { offline: false, latencyMs: 0, failureRate: 0 };
+
+/**
+ * Read the requested backend from the URL (?storage=local) or localStorage
+ */
+function getRequestedBackend() {
+    try {
+        const fromUrl = new URLSearchParams(window.location.search).get('storage');
+        if (fromUrl) return fromUrl;
+        return localStorage.getItem(BACKEND_PREFERENCE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Initialize Storage
+ * Picks the Firestore adapter when a database is available, IndexedDB otherwise
+ */
+export function initStorage(db) {
+    const requested = getRequestedBackend();
+
+    if (db && requested !== 'local') {
+        activeAdapter = instrumentAdapter(createFirestoreAdapter(db));
+    } else {
+        activeAdapter = getLocalAdapter();
+    }
+
+    console.log('Storage backend selected:', activeAdapter.name);
+    return activeAdapter;
+}
+
+/**
+ * Get the active storage adapter
+ */
+export function getStorage() {
+    if (!activeAdapter) {
+        activeAdapter = getLocalAdapter();
+    }
+    return activeAdapter;
+}
+
+/**
+ * Get the on-device (IndexedDB) adapter regardless of the active backend
+ */
+export function getLocalAdapter() {
+    if (!localAdapter) {
+        localAdapter = createIndexedDBAdapter();
+    }
+    return localAdapter;
+}
+
+/**
+ * Replace the active adapter (used by tests and the backend preference)
+ */
+export function setStorageAdapter(adapter) {
+    activeAdapter = adapter && adapter.name === 'firestore' ? instrumentAdapter(adapter) : adapter;
+}
+
+/**
+ * Get the name of the active backend ('firestore' or 'indexeddb')
+ */
+export function getStorageBackendName() {
+    return getStorage().name;
+}
+
+/**
+ * Wrap every adapter method to report its outcome
+ * Listeners get { backend, method, outcome: 'success' | 'error' | 'stalled',
+ * durationMs, code, stalled } (code is the error code, e.g. 'permission-denied');
+ * a stalled operation is reported again when it finally settles, with
+ * stalled: true.
+ */
+function instrumentAdapter(adapter) {
+    const instrumented = { ...adapter };
+
+    Object.entries(adapter).forEach(([method, operation]) => {
+        if (typeof operation !== 'function') return;
+
+        instrumented[method] = async (...args) => {
+            const startedAt = performance.now();
+            let stalled = false;
+            const report = (outcome, code = null) => notifyOperationListeners({
+                backend: adapter.name,
+                method,
+                outcome,
+                durationMs: Math.round(performance.now() - startedAt),
+                code,
+                stalled
+            });
+            const stallTimer = setTimeout(() => {
+                report('stalled');
+                stalled = true;
+            }, OPERATION_STALL_MS);
+
+            try {
+                await applyRemoteFaults(method);
+                const result = await operation.apply(adapter, args);
+                report('success');
+                return result;
+            } catch (error) {
+                report('error', error.code || error.name || null);
+                throw error;
+            } finally {
+                clearTimeout(stallTimer);
+            }
+        };
+    });
+
+    return instrumented;
+}
+
+/**
+ * Delay or fail a remote operation as configured by setRemoteFaults
+ * Failures look like Firestore's own (code 'unavailable')
+ */
+async function applyRemoteFaults(method) {
+    const { offline, latencyMs, failureRate } = remoteFaults;
+
+    if (latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+    if (offline || Math.random() * 100 < failureRate) {
+        const error = new Error(`Simulated failure of ${method}${offline ? ' (offline)' : ''}`);
+        error.code = 'unavailable';
+        throw error;
+    }
+}
+
+/**
+ * Inject faults into remote operations (development only)
+ * { offline, latencyMs, failureRate } - failureRate is a percentage
+ */
+export function setRemoteFaults(faults) {
+    remoteFaults = { ...remoteFaults, ...faults };
+}
+
+function notifyOperationListeners(event) {
+    operationListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Error in storage operation listener:', error);
+        }
+    });
+}
+
+/**
+ * Subscribe to remote storage operation outcomes (see instrumentAdapter)
+ * Returns an unsubscribe function
+ */
+export function addStorageOperationListener(listener) {
+    operationListeners.add(listener);
+    return () => operationListeners.delete(listener);
+}
@@ -0,0 +1,582 @@
+/**
+ * Offline Sync Module
+ * Durable outbox for writes made while offline (or while the backend was unreachable)
+ *
+ * Features:
+ * - Operations are stored in IndexedDB and survive reloads and closed tabs
+ * - Replayed in the order they were queued when the connection returns
+ * - Retries with exponential backoff for temporary failures
+ * - Idempotency keys so an operation replayed twice is applied once
+ * - Per-operation failure reporting (listeners and a summary message)
+ * - Journal edits based on an outdated version are kept for the user to merge
+ * - Only one tab replays at a time (see tab-leader.js)
+ * - With encryption on, queued journal text is sealed (see vault.js) and
+ *   replay waits until encryption is unlocked
+ *
+ * Supported operations: createJournal, updateJournal, deleteJournal, saveTimeSpent,
+ * recordJournalStats
+ */
+
+import {
+    auth,
+    onAuthStateChanged,
+    createJournal,
+    updateJournal,
+    removeJournal,
+    saveTimeSpent,
+    recordJournalStats
+} from './firebase-config.js';
+import { idbGetAll, idbPut, idbDelete, withStore } from './idb.js';
+import { createTabLeader } from './tab-leader.js';
+import { getStorageBackendName } from './storage.js';
+import { addVaultListener, isVaultUnlocked, sealQueuedFields, openQueuedFields } from './vault.js';
+
+// LocalStorage key of the old queue (network.js queueForSync), migrated on start
+const LEGACY_QUEUE_KEY = 'pendingSync';
+
+// Delay before the first retry; doubles with every failed attempt
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Attempts before an operation is reported as failed
+const MAX_ATTEMPTS = 8;
+
+// A write that hangs this long counts as a temporary failure
+const OPERATION_TIMEOUT = 15000;
+
+// False while the backend is unreachable though the browser is online
+// (set by network.js from real operation outcomes)
+let backendReachable = true;
+
+// True while the network simulator forces offline (see network.js)
+let forcedOffline = false;
+
+// Error codes that will not go away by retrying (Firestore codes)
+const PERMANENT_ERROR_CODES = [
+    'permission-denied',
+    'invalid-argument',
+    'not-found',
+    'already-exists',
+    'failed-precondition',
+    'out-of-range',
+    'unimplemented',
+    'data-loss'
+];
+
+// How each operation is applied; key is the operation's idempotency key
+const OPERATION_HANDLERS = {
+    createJournal: (payload, key) =>
+        createJournal(payload.userId, payload.title, payload.content, payload.tags, payload.id || key,
+            payload.isPrivate ? { isPrivate: true, sealed: payload.sealed } : {}),
+    updateJournal: (payload, key) =>
+        updateJournal(payload.journalId, payload.updates, payload.baseVersion ?? null, key),
+    // Deleting twice has the same effect as deleting once
+    deleteJournal: (payload) => removeJournal(payload.journalId),
+    saveTimeSpent: (payload, key) =>
+        saveTimeSpent(payload.userId, payload.duration, payload.date, payload.categories, key),
+    recordJournalStats: (payload, key) => recordJournalStats(payload.journalId, payload.counters, key)
+};
+
+const listeners = new Set();
+let syncLeader = null;
+let currentSync = null;
+let retryTimer = null;
+let initialized = false;
+
+/**
+ * Generate an idempotency key (also usable as a Firestore document ID)
+ */
+export function generateOperationKey() {
+    return 'op-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Get the delay before the next attempt (with some jitter so tabs and
+ * devices don't retry in lockstep)
+ */
+function getRetryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Tell listeners what happened to an operation
+ */
+function notifyListeners(event) {
+    listeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Error in sync listener:', error);
+        }
+    });
+}
+
+/**
+ * Initialize Offline Sync
+ * Replays the outbox on start, when the user signs in and when retries are due
+ * (network.js triggers a sync when the connection returns)
+ */
+export function initSync() {
+    if (initialized) return;
+    initialized = true;
+
+    syncLeader = createTabLeader('sync_outbox', {
+        onLeadershipChange: (isLeader) => {
+            if (isLeader) syncOutbox();
+        },
+        onMessage: (message) => {
+            // Another tab queued an operation; this tab replays it if it leads
+            if (message.type === 'queued') scheduleRetry();
+        }
+    });
+
+    try {
+        onAuthStateChanged(auth, async (user) => {
+            if (user) {
+                await migrateLegacyQueue(user.uid);
+                syncLeader.start();
+            } else {
+                syncLeader.stop();
+                clearTimeout(retryTimer);
+                retryTimer = null;
+            }
+        });
+    } catch (error) {
+        console.error('Error setting up sync auth listener:', error);
+    }
+
+    addVaultListener(({ type }) => {
+        // Turned on in this tab (other tabs stay locked)
+        if (type === 'enabled' && isVaultUnlocked()) sealQueuedJournals();
+        // Journals queued while locked can be opened and uploaded now
+        if (type === 'unlocked') syncOutbox();
+    });
+
+    console.log('Offline sync initialized');
+}
+
+/**
+ * Check if writes should go straight to the outbox
+ * True when offline (or the backend is unreachable) and the backend is remote
+ * (IndexedDB works offline)
+ */
+export function shouldQueueWrites() {
+    return (!isConnected() || !backendReachable) && getStorageBackendName() === 'firestore';
+}
+
+/**
+ * Check the browser is online (and not forced offline by the simulator)
+ */
+function isConnected() {
+    return navigator.onLine && !forcedOffline;
+}
+
+/**
+ * Treat the browser as offline (used by the network simulator, see network.js)
+ */
+export function setForcedOffline(offline) {
+    forcedOffline = offline;
+}
+
+/**
+ * Record whether the remote backend is reachable (see network.js)
+ * Queued operations keep being retried with backoff either way, so the
+ * replay notices when it comes back.
+ */
+export function setBackendReachable(reachable) {
+    backendReachable = reachable;
+}
+
+/**
+ * Queue an operation for the backend
+ * key: idempotency key chosen by the caller (e.g. for a write that was also
+ * sent directly and may still land)
+ * Returns { success, key } where key is the operation's idempotency key
+ */
+export async function enqueueOperation(type, payload, key = generateOperationKey()) {
+    if (!OPERATION_HANDLERS[type]) {
+        return { success: false, error: 'Unknown operation: ' + type };
+    }
+
+    const userId = payload.userId || auth?.currentUser?.uid;
+    if (!userId) {
+        return { success: false, error: 'Please log in to save changes' };
+    }
+
+    const operation = {
+        key,
+        type,
+        payload,
+        userId,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now()
+    };
+
+    try {
+        await idbPut('outbox', operation);
+        console.log('Operation queued for sync:', type, operation.key);
+
+        if (syncLeader) syncLeader.broadcast({ type: 'queued' });
+        scheduleRetry();
+        return { success: true, key: operation.key };
+    } catch (error) {
+        console.error('Error queuing operation:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Replay queued operations for the signed-in user, oldest first
+ * A temporary failure stops the run (so later operations keep their order)
+ * and schedules a retry; a permanent failure is reported and skipped.
+ * Returns { success, synced, failed: [{ key, type, error }], conflicts }
+ */
+export function syncOutbox() {
+    // Join a run that is already in progress
+    if (!currentSync) {
+        currentSync = runSync()
+            .catch(error => {
+                console.error('Error syncing outbox:', error);
+                return { success: false, error: error.message, synced: 0, failed: [] };
+            })
+            .finally(() => {
+                currentSync = null;
+            });
+    }
+    return currentSync;
+}
+
+async function runSync() {
+    const userId = auth?.currentUser?.uid;
+    if (!userId) {
+        return { success: false, error: 'Not logged in', synced: 0, failed: [] };
+    }
+    if (!isConnected()) {
+        return { success: false, error: 'Offline', synced: 0, failed: [] };
+    }
+    if (syncLeader && !syncLeader.checkLeadership()) {
+        // Another tab replays the outbox
+        return { success: true, synced: 0, failed: [] };
+    }
+
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    const operations = await getQueuedOperations(userId);
+    const failed = [];
+    let synced = 0;
+    let conflicts = 0;
+    let waitingForUnlock = false;
+
+    for (const operation of operations) {
+        if (operation.status !== 'pending') continue;
+        if (operation.nextAttemptAt > Date.now()) break;
+
+        const result = await applyOperation(operation);
+
+        if (result.code === 'vault-locked') {
+            // Sealed while encryption was on; replayed once it is unlocked
+            waitingForUnlock = true;
+            break;
+        }
+
+        if (result.success) {
+            await idbDelete('outbox', operation.seq);
+            synced++;
+            notifyListeners({ type: 'applied', operation, result });
+            continue;
+        }
+
+        operation.attempts++;
+        operation.lastError = result.error || 'Unknown error';
+
+        if (result.code === 'conflict') {
+            // Changed elsewhere since the edit was made; the user decides (see merge-dialog.js)
+            operation.status = 'conflict';
+            await idbPut('outbox', operation);
+            conflicts++;
+            notifyListeners({ type: 'conflict', operation, error: operation.lastError, serverJournal: result.serverJournal });
+            continue;
+        }
+
+        if (PERMANENT_ERROR_CODES.includes(result.code) || operation.attempts >= MAX_ATTEMPTS) {
+            operation.status = 'failed';
+            await idbPut('outbox', operation);
+            failed.push({ key: operation.key, type: operation.type, error: operation.lastError });
+            notifyListeners({ type: 'failed', operation, error: operation.lastError });
+            continue;
+        }
+
+        operation.nextAttemptAt = Date.now() + getRetryDelay(operation.attempts);
+        await idbPut('outbox', operation);
+        notifyListeners({ type: 'retry', operation, error: operation.lastError });
+        break;
+    }
+
+    if (!waitingForUnlock) scheduleRetry();
+    reportSyncResult(synced, failed, conflicts);
+    return { success: failed.length === 0 && conflicts === 0, synced, failed, conflicts };
+}
+
+/**
+ * Apply one operation with a timeout
+ */
+async function applyOperation(operation) {
+    const payload = await openPayload(operation);
+    if (!payload) {
+        return { success: false, error: 'Encryption is locked', code: 'vault-locked' };
+    }
+
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve({
+            success: false,
+            error: 'The server did not respond in time',
+            code: 'deadline-exceeded'
+        }), OPERATION_TIMEOUT);
+    });
+
+    try {
+        return await Promise.race([
+            OPERATION_HANDLERS[operation.type](payload, operation.key),
+            timeout
+        ]);
+    } catch (error) {
+        return { success: false, error: error.message, code: error.code };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Get an operation's payload with its sealed journal text decrypted
+ * Null while encryption is locked
+ */
+export async function openPayload({ type, payload }) {
+    if (type === 'createJournal') return openQueuedFields(payload);
+    if (type === 'updateJournal') {
+        const updates = await openQueuedFields(payload.updates);
+        return updates && { ...payload, updates };
+    }
+    return payload;
+}
+
+/**
+ * Seal the text of journals queued before encryption was turned on
+ */
+async function sealQueuedJournals() {
+    try {
+        const operations = await idbGetAll('outbox');
+        for (const operation of operations) {
+            if (operation.type === 'createJournal' && !operation.payload.sealedText) {
+                operation.payload = await sealQueuedFields(operation.payload);
+            } else if (operation.type === 'updateJournal' && !operation.payload.updates?.sealedText) {
+                operation.payload = { ...operation.payload, updates: await sealQueuedFields(operation.payload.updates) };
+            } else {
+                continue;
+            }
+            await idbPut('outbox', operation);
+        }
+    } catch (error) {
+        console.error('Error encrypting queued journals:', error);
+    }
+}
+
+/**
+ * Schedule the next replay for when the earliest pending operation is due
+ */
+async function scheduleRetry() {
+    const userId = auth?.currentUser?.uid;
+    if (!userId || (syncLeader && !syncLeader.isLeader())) return;
+
+    let pending;
+    try {
+        pending = (await getQueuedOperations(userId)).filter(op => op.status === 'pending');
+    } catch (error) {
+        console.error('Error reading outbox:', error);
+        return;
+    }
+    if (pending.length === 0) return;
+
+    const delay = Math.max(0, pending[0].nextAttemptAt - Date.now());
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        syncOutbox();
+    }, delay);
+}
+
+/**
+ * Get a user's queued operations in queue order
+ */
+async function getQueuedOperations(userId) {
+    const operations = await idbGetAll('outbox', 'userId', userId);
+    return operations.sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Get the signed-in user's queued operations (pending and failed)
+ * types: optional list of operation types to include
+ */
+export async function getOutboxItems(types = null) {
+    const userId = auth?.currentUser?.uid;
+    if (!userId) return [];
+
+    try {
+        const operations = await getQueuedOperations(userId);
+        return types ? operations.filter(op => types.includes(op.type)) : operations;
+    } catch (error) {
+        console.error('Error reading outbox:', error);
+        return [];
+    }
+}
+
+/**
+ * Retry a failed operation
+ */
+export async function retryOperation(key) {
+    const operation = await findOperation(key);
+    if (!operation) return { success: false, error: 'Operation not found' };
+
+    operation.status = 'pending';
+    operation.attempts = 0;
+    operation.nextAttemptAt = Date.now();
+    await idbPut('outbox', operation);
+    return syncOutbox();
+}
+
+/**
+ * Change a queued operation before it is replayed (e.g. a journal created
+ * offline and edited again before reconnecting)
+ */
+export async function updateOperationPayload(key, changes) {
+    const operation = await findOperation(key);
+    if (!operation) return { success: false, error: 'Operation not found' };
+
+    operation.payload = { ...operation.payload, ...changes };
+    await idbPut('outbox', operation);
+    return { success: true };
+}
+
+/**
+ * Remove an operation from the outbox without applying it
+ */
+export async function discardOperation(key) {
+    const operation = await findOperation(key);
+    if (!operation) return { success: false, error: 'Operation not found' };
+
+    await idbDelete('outbox', operation.seq);
+    return { success: true };
+}
+
+/**
+ * Find an operation by its idempotency key
+ */
+function findOperation(key) {
+    return withStore('outbox', 'readonly', store => new Promise((resolve, reject) => {
+        const request = store.index('key').get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Listen for sync progress
+ * listener({ type: 'applied' | 'retry' | 'failed' | 'conflict', operation, result?, error?, serverJournal? })
+ * Returns a function that removes the listener
+ */
+export function addSyncListener(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Move the old localStorage queue into the outbox
+ * Entries that are not a known operation are kept as failed so they are
+ * reported instead of dropped.
+ */
+async function migrateLegacyQueue(userId) {
+    let legacy;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_QUEUE_KEY) || 'null');
+    } catch (error) {
+        console.error('Error reading legacy sync queue:', error);
+        return;
+    }
+    if (!legacy) return;
+
+    try {
+        for (const [key, entry] of Object.entries(legacy)) {
+            const data = entry?.data || {};
+            const known = !!OPERATION_HANDLERS[data.type];
+
+            await idbPut('outbox', {
+                key: generateOperationKey(),
+                type: known ? data.type : key,
+                payload: known ? data.payload : data,
+                userId,
+                status: known ? 'pending' : 'failed',
+                attempts: 0,
+                lastError: known ? null : 'Unknown operation from an older version',
+                createdAt: entry?.timestamp || Date.now(),
+                nextAttemptAt: Date.now()
+            });
+        }
+
+        localStorage.removeItem(LEGACY_QUEUE_KEY);
+        console.log('Migrated legacy sync queue:', Object.keys(legacy).length, 'entries');
+    } catch (error) {
+        console.error('Error migrating legacy sync queue:', error);
+    }
+}
+
+/**
+ * Describe an operation for messages
+ */
+function describeOperation(type) {
+    switch (type) {
+        case 'createJournal': return 'new journal';
+        case 'updateJournal': return 'journal edit';
+        case 'deleteJournal': return 'journal deletion';
+        case 'saveTimeSpent': return 'tracked time';
+        case 'recordJournalStats': return 'reading stats';
+        default: return type;
+    }
+}
+
+/**
+ * Summarize a sync run for the user
+ */
+function reportSyncResult(synced, failed, conflicts) {
+    if (conflicts > 0) {
+        showMessage(`${conflicts} offline edit${conflicts === 1 ? ' conflicts' : 's conflict'} with newer changes. Open the journal to review.`, 'warning');
+    } else if (failed.length > 0) {
+        const details = failed.map(item => `${describeOperation(item.type)} (${item.error})`).join(', ');
+        showMessage(`Could not upload ${failed.length} offline change${failed.length === 1 ? '' : 's'}: ${details}`, 'error');
+    } else if (synced > 0) {
+        showMessage(`Uploaded ${synced} offline change${synced === 1 ? '' : 's'}`, 'success');
+    }
+}
+
+/**
+ * Show message notification
+ */
+function showMessage(message, type) {
+    document.querySelectorAll('.message').forEach(el => el.remove());
+
+    const messageElement = document.createElement('div');
+    messageElement.className = 'message message-' + type;
+    messageElement.setAttribute('role', 'alert');
+    messageElement.setAttribute('aria-live', 'polite');
+    messageElement.textContent = message;
+
+    document.body.appendChild(messageElement);
+
+    setTimeout(() => {
+        messageElement.remove();
+    }, 5000);
+}
@@ -0,0 +1,171 @@
+/**
+ * Tab Leader Module
+ * Elects a single leader among open tabs of the same site
+ *
+ * Features:
+ * - Leader lease in localStorage, renewed by a heartbeat
+ * - Immediate hand-over when the leader tab closes or resigns
+ * - Tab-to-tab messages over BroadcastChannel (localStorage events as fallback)
+ *
+ * Used by the time tracker so only one tab accumulates and saves time.
+ */
+
+// How long a lease is valid without renewal
+const LEASE_DURATION = 5000;
+
+// How often the leader renews (and followers check) the lease
+const HEARTBEAT_INTERVAL = 2000;
+
+/**
+ * Generate an ID for this tab
+ */
+function generateTabId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Create a tab leader elector
+ *
+ * name: identifies the election (separate names elect separate leaders)
+ * options:
+ * - onLeadershipChange(isLeader, lastConfirmedAt): called when this tab gains or
+ *   loses leadership; lastConfirmedAt is when this tab last held a valid lease
+ * - onMessage(message): called with messages broadcast by other tabs
+ */
+export function createTabLeader(name, options = {}) {
+    const tabId = generateTabId();
+    const leaseKey = name + '_leader';
+    const messageKey = name + '_message';
+
+    let isLeader = false;
+    let lastConfirmedAt = 0;
+    let heartbeatTimer = null;
+    let channel = null;
+
+    function readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(leaseKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function setLeader(value) {
+        if (isLeader === value) return;
+        isLeader = value;
+        console.log('Tab', tabId, value ? 'is now the leader for' : 'is no longer the leader for', name);
+        if (options.onLeadershipChange) options.onLeadershipChange(value, lastConfirmedAt);
+    }
+
+    // Take or renew the lease when it is free, expired or already ours
+    // If two tabs claim at once, the loser notices on its next heartbeat
+    function checkLease() {
+        const now = Date.now();
+        const lease = readLease();
+
+        if (!lease || lease.expires < now || lease.tabId === tabId) {
+            localStorage.setItem(leaseKey, JSON.stringify({ tabId, expires: now + LEASE_DURATION }));
+            lastConfirmedAt = now;
+            setLeader(true);
+        } else {
+            setLeader(false);
+        }
+    }
+
+    function handleMessage(message) {
+        if (!message || message.from === tabId) return;
+
+        if (message.type === 'resign') {
+            // The leader left; elect a new one right away
+            checkLease();
+            return;
+        }
+
+        if (options.onMessage) options.onMessage(message);
+    }
+
+    function handleStorage(event) {
+        if (event.key === messageKey && event.newValue) {
+            try {
+                handleMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error reading tab message:', error);
+            }
+        }
+    }
+
+    function handleUnload() {
+        resign();
+    }
+
+    function resign() {
+        const lease = readLease();
+        if (lease && lease.tabId === tabId) {
+            localStorage.removeItem(leaseKey);
+        }
+        if (isLeader) {
+            broadcast({ type: 'resign' });
+        }
+        isLeader = false;
+    }
+
+    function broadcast(message) {
+        const envelope = { ...message, from: tabId, sentAt: Date.now() };
+        try {
+            if (channel) {
+                channel.postMessage(envelope);
+            } else {
+                localStorage.setItem(messageKey, JSON.stringify(envelope));
+            }
+        } catch (error) {
+            console.error('Error broadcasting tab message:', error);
+        }
+    }
+
+    return {
+        tabId,
+
+        start() {
+            if (heartbeatTimer) return;
+
+            if (typeof BroadcastChannel !== 'undefined') {
+                channel = new BroadcastChannel(name);
+                channel.onmessage = (event) => handleMessage(event.data);
+            } else {
+                window.addEventListener('storage', handleStorage);
+            }
+            window.addEventListener('pagehide', handleUnload);
+
+            checkLease();
+            heartbeatTimer = setInterval(checkLease, HEARTBEAT_INTERVAL);
+        },
+
+        // Resign and stop taking part (does not call onLeadershipChange)
+        stop() {
+            if (!heartbeatTimer) return;
+
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+            resign();
+
+            window.removeEventListener('pagehide', handleUnload);
+            window.removeEventListener('storage', handleStorage);
+            if (channel) {
+                channel.close();
+                channel = null;
+            }
+        },
+
+        broadcast,
+
+        // Re-check the lease now (e.g. before writing) and return whether this tab leads
+        checkLeadership() {
+            if (heartbeatTimer) checkLease();
+            return isLeader;
+        },
+
+        isLeader() {
+            return isLeader;
+        }
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Time Export Module
+ * Exports tracked time as per-day CSV or JSON for a chosen date range
+ *
+ * Features:
+ * - Every day in the range (days without usage are 0)
+ * - Seconds per day plus a per-activity breakdown (e.g. reading, writing)
+ *   when entries carry categories
+ * - Works with the storage backend or the localStorage fallback
+ */
+
+import { loadTimeEntries } from './tracker.js';
+import { getUserTimeZone, toDateKey, addDays } from './time-utils.js';
+
+// Default range when the form opens
+const DEFAULT_RANGE_DAYS = 30;
+
+// Initialize Export Form
+export function initTimeExport(formId = 'time-export-form') {
+    const form = document.getElementById(formId);
+    if (!form) return;
+
+    const today = toDateKey(new Date(), getUserTimeZone());
+    form.from.value = addDays(today, -(DEFAULT_RANGE_DAYS - 1));
+    form.to.value = today;
+    form.from.max = today;
+    form.to.max = today;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitBtn = form.querySelector('button[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+
+        const result = await exportTimeHistory(form.from.value, form.to.value, form.format.value);
+        if (result.success) {
+            showMessage(`Exported ${result.dayCount} days`, 'success');
+        } else {
+            showMessage(result.error, 'error');
+        }
+
+        if (submitBtn) submitBtn.disabled = false;
+    });
+}
+
+/**
+ * Export tracked time for a range of day keys and download it
+ * format: 'csv' or 'json'
+ */
+export async function exportTimeHistory(from, to, format = 'csv') {
+    if (!from || !to || from > to) {
+        return { success: false, error: 'Please choose a valid date range' };
+    }
+
+    try {
+        const entries = await loadTimeEntries({ from, to });
+        const report = buildTimeReport(entries, from, to);
+        const fileName = `time-history_${from}_${to}.${format}`;
+
+        if (format === 'json') {
+            downloadFile(fileName, JSON.stringify(report, null, 2), 'application/json');
+        } else {
+            downloadFile(fileName, toCSV(report), 'text/csv');
+        }
+
+        return { success: true, dayCount: report.days.length };
+    } catch (error) {
+        console.error('Error exporting time history:', error);
+        return { success: false, error: 'Could not export time history' };
+    }
+}
+
+/**
+ * Build a per-day report from stored entries
+ * Entries for the same day (e.g. from several documents) are added together.
+ * Returns { from, to, timeZone, exportedAt, totalSeconds, categories, days }
+ */
+export function buildTimeReport(entries, from, to) {
+    const byDate = {};
+    const categoryNames = new Set();
+
+    entries.forEach(entry => {
+        if (entry.date < from || entry.date > to) return;
+
+        const day = byDate[entry.date] || (byDate[entry.date] = { seconds: 0, categories: {} });
+        day.seconds += entry.totalSeconds || 0;
+
+        Object.entries(entry.categories || {}).forEach(([name, seconds]) => {
+            categoryNames.add(name);
+            day.categories[name] = (day.categories[name] || 0) + (seconds || 0);
+        });
+    });
+
+    const categories = Array.from(categoryNames).sort();
+    const days = [];
+    let totalSeconds = 0;
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const day = byDate[date] || { seconds: 0, categories: {} };
+        const row = { date, seconds: day.seconds };
+
+        if (categories.length > 0) {
+            row.categories = {};
+            categories.forEach(name => {
+                row.categories[name] = day.categories[name] || 0;
+            });
+        }
+
+        totalSeconds += day.seconds;
+        days.push(row);
+    }
+
+    return {
+        from,
+        to,
+        timeZone: getUserTimeZone(),
+        exportedAt: new Date().toISOString(),
+        totalSeconds,
+        categories,
+        days
+    };
+}
+
+/**
+ * Convert a report to CSV (one row per day)
+ */
+export function toCSV(report) {
+    const header = ['date', 'seconds', 'minutes', ...report.categories.map(name => `${name}_seconds`)];
+    const rows = report.days.map(day => [
+        day.date,
+        day.seconds,
+        (day.seconds / 60).toFixed(1),
+        ...report.categories.map(name => day.categories[name])
+    ]);
+
+    return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV value when needed
+ */
+function escapeCSV(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download text content as a file
+ */
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Show message notification
+ */
+function showMessage(message, type) {
+    document.querySelectorAll('.message').forEach(el => el.remove());
+
+    const messageElement = document.createElement('div');
+    messageElement.className = 'message message-' + type;
+    messageElement.setAttribute('role', 'alert');
+    messageElement.setAttribute('aria-live', 'polite');
+    messageElement.textContent = message;
+
+    document.body.appendChild(messageElement);
+
+    setTimeout(() => {
+        messageElement.remove();
+    }, 5000);
+}
@@ -0,0 +1,220 @@
+/**
+ * Time Utilities Module
+ * Calendar helpers shared by the time tracker and storage functions
+ *
+ * Features:
+ * - Calendar day keys (YYYY-MM-DD) in the user's timezone
+ * - ISO week boundaries (weeks start on Monday)
+ * - Daily/weekly/monthly/yearly bucketing of per-day entries
+ * - Per-day series with zero-filled gaps for charts
+ * - Splitting time ranges at local midnight
+ */
+
+/**
+ * Get the user's IANA timezone (e.g. "Asia/Dhaka")
+ */
+export function getUserTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+/**
+ * Get the calendar day key (YYYY-MM-DD) of a date in a timezone
+ */
+export function toDateKey(date = new Date(), timeZone = getUserTimeZone()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Parse a day key into a UTC Date (midnight UTC of that calendar day)
+ * Only used for calendar arithmetic, never for display
+ */
+function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a UTC calendar Date back into a day key
+ */
+function formatDateKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add (or subtract) whole days to a day key
+ */
+export function addDays(dateKey, days) {
+    const date = parseDateKey(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateKey(date);
+}
+
+/**
+ * Get the Monday that starts the ISO week containing a day key
+ */
+export function getISOWeekStart(dateKey) {
+    const date = parseDateKey(dateKey);
+    const dayOfWeek = date.getUTCDay() || 7; // Sunday = 7
+    return addDays(dateKey, 1 - dayOfWeek);
+}
+
+/**
+ * Get the start and end day keys of each stats period
+ */
+export function getPeriodRanges(now = new Date(), timeZone = getUserTimeZone()) {
+    const today = toDateKey(now, timeZone);
+    const [year, month] = today.split('-');
+
+    return {
+        daily: { start: today, end: today },
+        weekly: { start: getISOWeekStart(today), end: today },
+        monthly: { start: `${year}-${month}-01`, end: today },
+        yearly: { start: `${year}-01-01`, end: today }
+    };
+}
+
+/**
+ * Get the earliest day key needed to fill every period
+ * (the ISO week can start in the previous year)
+ */
+export function getStatsRangeStart(ranges) {
+    return [ranges.weekly.start, ranges.yearly.start].sort()[0];
+}
+
+/**
+ * Build a zero-filled per-day series between two day keys (inclusive)
+ */
+export function buildDailySeries(entries, startKey, endKey) {
+    const secondsByDay = {};
+    entries.forEach(entry => {
+        if (!entry.date) return;
+        secondsByDay[entry.date] = (secondsByDay[entry.date] || 0) + (entry.totalSeconds || 0);
+    });
+
+    const series = [];
+    for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+        series.push({ date: key, seconds: secondsByDay[key] || 0 });
+    }
+    return series;
+}
+
+/**
+ * Split a time range (millisecond timestamps) into seconds per calendar day
+ * in a timezone, so a session crossing midnight counts towards both days.
+ * Day boundaries are found by search, so DST changes are handled.
+ * Returns [{ date, seconds }] in order
+ */
+export function splitRangeByDay(startMs, endMs, timeZone = getUserTimeZone()) {
+    const parts = [];
+    let cursor = startMs;
+
+    while (cursor < endMs) {
+        const date = toDateKey(new Date(cursor), timeZone);
+        let boundary = endMs;
+
+        if (toDateKey(new Date(endMs), timeZone) !== date) {
+            // Find the first millisecond of the next day
+            let low = cursor;
+            let high = endMs;
+            while (high - low > 1) {
+                const middle = Math.floor((low + high) / 2);
+                if (toDateKey(new Date(middle), timeZone) === date) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            boundary = high;
+        }
+
+        parts.push({ date, seconds: (boundary - cursor) / 1000 });
+        cursor = boundary;
+    }
+
+    return parts;
+}
+
+/**
+ * Share whole seconds out in proportion to weights ({ key: weight })
+ * Uses largest remainders so the parts add up to exactly the given seconds.
+ * Returns { key: seconds } without zero entries
+ */
+export function apportionSeconds(seconds, weights) {
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (seconds <= 0 || totalWeight <= 0) return {};
+
+    const parts = Object.entries(weights).map(([key, weight]) => {
+        const exact = seconds * weight / totalWeight;
+        return { key, seconds: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    // Hand out the seconds lost to rounding, largest remainders first
+    let leftover = seconds - parts.reduce((sum, part) => sum + part.seconds, 0);
+    parts.sort((a, b) => b.remainder - a.remainder);
+    for (let i = 0; leftover > 0; i = (i + 1) % parts.length, leftover--) {
+        parts[i].seconds++;
+    }
+
+    const result = {};
+    parts.forEach(part => {
+        if (part.seconds > 0) result[part.key] = part.seconds;
+    });
+    return result;
+}
+
+/**
+ * Add per-activity seconds ({ writing, reading, ... }) into a running total
+ */
+export function addCategorySeconds(target, categories) {
+    Object.entries(categories || {}).forEach(([name, seconds]) => {
+        target[name] = (target[name] || 0) + (seconds || 0);
+    });
+    return target;
+}
+
+/**
+ * Bucket per-day entries ({ date, totalSeconds, categories? }) into period totals
+ * Returns { daily, weekly, monthly, yearly, total, series, categories }
+ * where categories holds per-activity seconds for each period
+ */
+export function bucketTimeEntries(entries, now = new Date(), timeZone = getUserTimeZone()) {
+    const ranges = getPeriodRanges(now, timeZone);
+    const stats = {
+        daily: 0,
+        weekly: 0,
+        monthly: 0,
+        yearly: 0,
+        total: 0,
+        categories: { daily: {}, weekly: {}, monthly: {}, yearly: {}, total: {} }
+    };
+
+    entries.forEach(entry => {
+        const seconds = entry.totalSeconds || 0;
+        stats.total += seconds;
+        addCategorySeconds(stats.categories.total, entry.categories);
+
+        ['daily', 'weekly', 'monthly', 'yearly'].forEach(period => {
+            const range = ranges[period];
+            if (entry.date >= range.start && entry.date <= range.end) {
+                stats[period] += seconds;
+                addCategorySeconds(stats.categories[period], entry.categories);
+            }
+        });
+    });
+
+    stats.series = buildDailySeries(entries, getStatsRangeStart(ranges), ranges.daily.end);
+    return stats;
+}
@@ -4,26 +4,45 @@
  * 
  * Features:
  * - Track daily, weekly, monthly, yearly usage
- * - Store data in Firestore or localStorage (fallback)
+ * - Store data through the storage backend, or on this device as fallback
+ *   (IndexedDB, see local-store.js)
  * - Display statistics
  * - Real-time tracking with periodic saves
  * - Persist cumulative totals across sessions
+ * - Pause while the user is idle (see idle.js)
+ * - Only one tab accumulates time; other tabs mirror it (see tab-leader.js)
+ * - Split time by activity: writing, reading, browsing, auth
+ * - Time is saved per local calendar day (sessions crossing midnight are split)
+ * - Saves when the connection drops or returns, and uploads time kept in the
+ *   local fallback once back online
+ * - Reloads stats less often in low-data mode (see low-data.js)
  */
 
 // Import from firebase-config
 import {
     auth,
     onAuthStateChanged,
-    db,
-    collection,
-    doc,
-    getDoc,
-    getDocs,
-    updateDoc,
-    setDoc,
-    serverTimestamp,
-    firebaseInitialized
+    saveTimeSpent,
+    getTimeStats,
+    getTimeEntries,
+    migrateTimeEntries
 } from './firebase-config.js';
+import { enqueueOperation, shouldQueueWrites } from './sync.js';
+import {
+    bucketTimeEntries,
+    getUserTimeZone,
+    toDateKey,
+    addDays,
+    addCategorySeconds,
+    apportionSeconds,
+    getPeriodRanges,
+    splitRangeByDay
+} from './time-utils.js';
+import { createIdleDetector, DEFAULT_IDLE_THRESHOLD } from './idle.js';
+import { createTabLeader } from './tab-leader.js';
+import { addNetworkListener } from './network.js';
+import { isLowDataMode } from './low-data.js';
+import { initLocalStore, getLocalItem, setLocalItem } from './local-store.js';
 
 // Time tracking state
 let trackingInterval = null;
@@ -31,29 +50,86 @@ let totalTrackedSeconds = 0;
 let currentSessionSeconds = 0;
 let isTracking = false;
 let statsInterval = null;
+let statsRefreshInterval = null;
 let sessionStartTime = null;
 let lastSaveTime = null;
+let continuousSince = null;
 let currentUserId = null;
+let latestStats = null;
+let latestStatsLoadedAt = 0;
+let idleDetector = null;
+let idlePausedAt = null;
+let defaultIdleThreshold = DEFAULT_IDLE_THRESHOLD;
+
+// Multi-tab state: the leader tab tracks and saves, followers mirror its session
+let tabLeader = null;
+let isLeaderTab = false;
+let mirroredSession = null;
+let sessionBroadcastInterval = null;
+let lastActivityForwarded = 0;
+
+// How often followers forward user activity to the leader
+const ACTIVITY_FORWARD_INTERVAL = 2000;
+
+// Activity categories and their display names
+const ACTIVITY_CATEGORIES = {
+    writing: 'Writing',
+    reading: 'Reading',
+    browsing: 'Browsing',
+    auth: 'Signing in'
+};
+
+// Activity split state: milliseconds per category since the last save
+let categoryMs = {};
+let lastCategorySampleAt = null;
+let forwardedCategory = null;
 
 // DOM Elements
 let timeTrackerDisplay = null;
 let statsContainer = null;
 
+// How often stats are reloaded from storage in low-data mode (the display
+// still counts up from the last load in between)
+const LOW_DATA_STATS_INTERVAL = 5 * 60 * 1000;
+
 // LocalStorage keys
 const STORAGE_KEYS = {
     SESSION_START: 'tracker_session_start',
     SESSION_PENDING: 'tracker_pending_seconds',
-    TIME_STATS: 'tracker_time_stats'
+    LAST_ACTIVE: 'tracker_last_active',
+    IDLE_THRESHOLD: 'tracker_idle_threshold',
+    TIME_STATS: 'tracker_time_stats',
+    // Suffixed with the user ID
+    TIME_MIGRATED: 'tracker_time_migrated_'
 };
 
 // Initialize Time Tracking
-export function initTimeTracker(displayId = 'time-display', statsId = 'time-stats') {
+// options.idleThreshold: default idle threshold in milliseconds (a saved preference wins)
+export function initTimeTracker(displayId = 'time-display', statsId = 'time-stats', options = {}) {
     console.log('Initializing time tracker...');
     
     // Get DOM elements
     timeTrackerDisplay = document.getElementById(displayId);
     statsContainer = document.getElementById(statsId);
     
+    if (options.idleThreshold > 0) {
+        defaultIdleThreshold = options.idleThreshold;
+    }
+    
+    // Pause tracking when the user stops interacting with the page
+    idleDetector = createIdleDetector({
+        threshold: getIdleThreshold(),
+        onIdle: handleIdle,
+        onActive: handleActive,
+        onActivity: forwardActivity
+    });
+    
+    // Elect one tab to accumulate time so open tabs don't add it twice
+    tabLeader = createTabLeader('time_tracker', {
+        onLeadershipChange: handleLeadershipChange,
+        onMessage: handleTabMessage
+    });
+    
     // Setup authentication listener
     setupAuthListener();
     
@@ -61,7 +137,10 @@ export function initTimeTracker(displayId = 'time-display', statsId = 'time-stat
     document.addEventListener('visibilitychange', handleVisibilityChange);
     
     // Setup beforeunload listener
-    window.addEventListener('beforeunload', saveCurrentSession);
+    window.addEventListener('beforeunload', () => saveCurrentSession());
+    
+    // Save and upload when the connection drops or returns
+    addNetworkListener(handleNetworkChange);
     
     console.log('Time tracker initialized successfully');
 }
@@ -79,11 +158,14 @@ function setupAuthListener() {
                 currentUserId = user.uid;
                 console.log('Starting time tracking for user:', user.uid);
                 
-                // Restore session from localStorage
-                restoreSession();
-                
-                // Start tracking
-                startTracking();
+                // Start tracking in the leader tab, mirror it in the others
+                if (idleDetector) idleDetector.start();
+                if (tabLeader) {
+                    tabLeader.start();
+                } else {
+                    restoreSession();
+                    startTracking();
+                }
                 
                 // Load cumulative time stats
                 // Small delay to ensure auth is fully ready
@@ -94,7 +176,12 @@ function setupAuthListener() {
                 // User is logged out
                 console.log('User logged out - stopping tracking');
                 currentUserId = null;
+                if (idleDetector) idleDetector.stop();
+                hideIdlePrompt();
                 stopTracking();
+                stopSessionBroadcast();
+                if (tabLeader) tabLeader.stop();
+                isLeaderTab = false;
                 resetDisplay();
             }
         });
@@ -105,17 +192,21 @@ function setupAuthListener() {
 
 /**
  * Restore session from localStorage (for current session timer)
+ * A session last active longer ago than the idle threshold starts fresh
  */
 function restoreSession() {
     const storedStartTime = localStorage.getItem(STORAGE_KEYS.SESSION_START);
     const pendingSeconds = parseInt(localStorage.getItem(STORAGE_KEYS.SESSION_PENDING) || '0');
+    const lastActive = parseInt(localStorage.getItem(STORAGE_KEYS.LAST_ACTIVE) || storedStartTime || '0');
+    const isStale = Date.now() - lastActive > getIdleThreshold();
     
-    if (storedStartTime) {
+    if (storedStartTime && !isStale) {
         // Calculate elapsed time since last page load
         const elapsed = Math.floor((Date.now() - parseInt(storedStartTime)) / 1000);
         currentSessionSeconds = pendingSeconds + elapsed;
         sessionStartTime = parseInt(storedStartTime);
-        lastSaveTime = sessionStartTime;
+        // Time before this page load was saved by the previous page
+        lastSaveTime = Date.now();
         console.log('Session restored - elapsed:', elapsed, 'seconds, pending:', pendingSeconds, 'current session:', currentSessionSeconds);
     } else {
         // New session - start fresh timer
@@ -134,57 +225,118 @@ function savePendingSession() {
     if (sessionStartTime) {
         localStorage.setItem(STORAGE_KEYS.SESSION_START, sessionStartTime.toString());
         localStorage.setItem(STORAGE_KEYS.SESSION_PENDING, currentSessionSeconds.toString());
+        localStorage.setItem(STORAGE_KEYS.LAST_ACTIVE, getActiveUntil().toString());
     }
 }
 
 /**
- * Save time stats to localStorage (fallback when Firestore not available)
- * This saves the FULL current session time, not just the delta
+ * Save time stats on this device (fallback when the storage backend fails)
+ * Keeps a per-day map so periods can be bucketed like backend entries:
+ * { days: { 'YYYY-MM-DD': seconds }, categories: { 'YYYY-MM-DD': { writing, ... } }, total, lastUpdated }
  */
-function saveTimeStatsToLocalStorage(sessionTotalSeconds) {
+async function saveLocalTimeStats(seconds, date, categories = {}) {
     if (!currentUserId) return;
     
     try {
+        await initLocalStore();
         const storageKey = STORAGE_KEYS.TIME_STATS + '_' + currentUserId;
-        const storedStats = JSON.parse(localStorage.getItem(storageKey) || '{}');
+        const storedStats = JSON.parse(getLocalItem(storageKey) || '{}');
+        const days = storedStats.days || {};
+        
+        const dayCategories = storedStats.categories || {};
         
-        // We add the full sessionTotalSeconds to accumulate properly
-        const addAmount = sessionTotalSeconds;
+        days[date] = (days[date] || 0) + seconds;
+        dayCategories[date] = addCategorySeconds(dayCategories[date] || {}, categories);
         
-        // Update stored stats (accumulate)
         const newStats = {
-            daily: (storedStats.daily || 0) + addAmount,
-            weekly: (storedStats.weekly || 0) + addAmount,
-            monthly: (storedStats.monthly || 0) + addAmount,
-            yearly: (storedStats.yearly || 0) + addAmount,
-            total: (storedStats.total || 0) + addAmount,
+            days,
+            categories: dayCategories,
+            // Totals saved before per-day tracking only count towards "total"
+            legacyTotal: storedStats.days ? (storedStats.legacyTotal || 0) : (storedStats.total || 0),
+            total: (storedStats.total || 0) + seconds,
             lastUpdated: new Date().toISOString()
         };
         
-        localStorage.setItem(storageKey, JSON.stringify(newStats));
-        console.log('Stats saved to localStorage - Added:', addAmount, 'seconds, New total:', newStats.total);
+        setLocalItem(storageKey, JSON.stringify(newStats));
+        console.log('Stats saved on this device - Added:', seconds, 'seconds, New total:', newStats.total);
     } catch (error) {
-        console.error('Error saving stats to localStorage:', error);
+        console.error('Error saving stats on this device:', error);
     }
 }
 
 /**
- * Load time stats from localStorage (fallback when Firestore not available)
+ * Read the stats record kept on this device for the current user
  */
-function loadTimeStatsFromLocalStorage() {
+async function readLocalStatsRecord() {
+    if (!currentUserId) return null;
+    
+    await initLocalStore();
+    const storageKey = STORAGE_KEYS.TIME_STATS + '_' + currentUserId;
+    const storedStats = getLocalItem(storageKey);
+    return storedStats ? JSON.parse(storedStats) : null;
+}
+
+/**
+ * Convert a local stats record into per-day entries ({ date, totalSeconds, categories })
+ */
+function getLocalTimeEntries(record) {
+    return Object.entries(record?.days || {}).map(([date, totalSeconds]) => ({
+        date,
+        totalSeconds,
+        categories: record.categories?.[date] || {}
+    }));
+}
+
+/**
+ * Upload time kept in the local fallback to the storage backend
+ * Uploaded days are removed from the record one at a time, so an interrupted
+ * upload is not repeated. Totals from before per-day tracking stay local.
+ * Returns the number of seconds uploaded
+ */
+async function flushLocalTimeStats() {
+    const record = await readLocalStatsRecord();
+    if (!record?.days) return 0;
+    
+    const storageKey = STORAGE_KEYS.TIME_STATS + '_' + currentUserId;
+    let uploaded = 0;
+    
+    for (const [date, seconds] of Object.entries(record.days)) {
+        if (seconds > 0) {
+            const result = await saveTimeSpent(currentUserId, seconds, date, record.categories?.[date] || {});
+            if (!result.success) break;
+        }
+        
+        delete record.days[date];
+        if (record.categories) delete record.categories[date];
+        record.total = Math.max(0, (record.total || 0) - seconds);
+        setLocalItem(storageKey, JSON.stringify(record));
+        uploaded += seconds;
+    }
+    
+    if (uploaded > 0) {
+        console.log('Uploaded', uploaded, 'seconds from the local fallback');
+    }
+    return uploaded;
+}
+
+/**
+ * Load time stats kept on this device (fallback when the storage backend fails)
+ * Returns the same { daily, weekly, monthly, yearly, total, series } shape as getTimeStats
+ */
+async function loadLocalTimeStats() {
     if (!currentUserId) return null;
     
     try {
-        const storageKey = STORAGE_KEYS.TIME_STATS + '_' + currentUserId;
-        const storedStats = localStorage.getItem(storageKey);
+        const record = await readLocalStatsRecord();
         
-        if (storedStats) {
-            const stats = JSON.parse(storedStats);
-            console.log('Stats loaded from localStorage:', stats);
+        if (record) {
+            const stats = bucketTimeEntries(getLocalTimeEntries(record), new Date(), getUserTimeZone());
+            stats.total += record.days ? (record.legacyTotal || 0) : (record.total || 0);
+            console.log('Stats loaded from this device:', stats);
             return stats;
         }
     } catch (error) {
-        console.error('Error loading stats from localStorage:', error);
+        console.error('Error loading stats from this device:', error);
     }
     
     return null;
@@ -198,6 +350,10 @@ function startTracking() {
     
     isTracking = true;
     
+    // Continuous use restarts after a pause (idle, logout or leader hand-over)
+    continuousSince = Date.now();
+    lastCategorySampleAt = Date.now();
+    
     // Initialize session start time if not set
     if (!sessionStartTime) {
         sessionStartTime = Date.now();
@@ -211,24 +367,26 @@ function startTracking() {
     trackingInterval = setInterval(updateTimeDisplay, 1000);
     
     // Save to storage every 30 seconds
-    statsInterval = setInterval(saveCurrentSession, 30000);
+    statsInterval = setInterval(savePeriodically, 30000);
     
     // Update stats display every 5 seconds
     if (statsContainer) {
-        setInterval(updateStatsDisplay, 5000);
+        statsRefreshInterval = setInterval(updateStatsDisplay, 5000);
     }
 }
 
 /**
  * Stop Time Tracking
+ * endTime: when the tracked time ends (the start of the idle stretch when pausing for idleness)
  */
-function stopTracking() {
+function stopTracking(endTime = getActiveUntil()) {
     if (!isTracking) return;
     
-    isTracking = false;
-    
     // Save session to storage before stopping
-    saveCurrentSession();
+    saveCurrentSession(endTime);
+    
+    isTracking = false;
+    lastCategorySampleAt = null;
     
     // Save pending to localStorage
     savePendingSession();
@@ -243,6 +401,11 @@ function stopTracking() {
         statsInterval = null;
     }
     
+    if (statsRefreshInterval) {
+        clearInterval(statsRefreshInterval);
+        statsRefreshInterval = null;
+    }
+    
     console.log('Time tracking stopped, current session:', currentSessionSeconds, 'seconds');
 }
 
@@ -254,13 +417,367 @@ function handleVisibilityChange() {
         // Tab is hidden, save pending time
         savePendingSession();
     } else {
-        // Tab is visible, resume tracking
-        if (auth && auth.currentUser) {
+        // Tab is visible, resume tracking (unless paused until the user is back)
+        if (auth && auth.currentUser && isLeaderTab && !idlePausedAt) {
             startTracking();
         }
     }
 }
 
+/**
+ * Handle this tab gaining or losing tracker leadership
+ */
+function handleLeadershipChange(isLeader, lastConfirmedAt) {
+    isLeaderTab = isLeader;
+    
+    if (isLeader) {
+        if (!currentUserId) return;
+        
+        // Continue the session the previous leader was showing
+        if (mirroredSession) {
+            currentSessionSeconds = mirroredSession.currentSessionSeconds;
+            sessionStartTime = Date.now() - currentSessionSeconds * 1000;
+            lastSaveTime = Date.now();
+            localStorage.setItem(STORAGE_KEYS.SESSION_START, sessionStartTime.toString());
+            mirroredSession = null;
+        } else {
+            restoreSession();
+        }
+        
+        hideIdlePrompt();
+        startTracking();
+        startSessionBroadcast();
+        migrateTimeEntriesOnce(currentUserId);
+    } else {
+        // Another tab took over; stop counting from when this tab last held the lease
+        stopTracking(Math.min(getActiveUntil(), lastConfirmedAt));
+        stopSessionBroadcast();
+        idlePausedAt = null;
+        hideIdlePrompt();
+    }
+}
+
+/**
+ * Handle the connection going offline or coming back (leader tab only)
+ * Offline: save now, so the time goes to the outbox before the tab may close.
+ * Online: save, upload the local fallback and reload the stats.
+ */
+async function handleNetworkChange({ current, previous, changed }) {
+    if (!changed.includes('status') || !isLeaderTab || !currentUserId) return;
+    
+    if (current.status === 'offline') {
+        await saveCurrentSession();
+        return;
+    }
+    if (previous.status !== 'offline') return;
+    
+    await saveCurrentSession();
+    const uploaded = await flushLocalTimeStats();
+    await loadTimeStats();
+    if (uploaded > 0 && tabLeader) {
+        tabLeader.broadcast({ type: 'saved' });
+    }
+}
+
+/**
+ * Merge the user's stray time entries into the per-day schema
+ * Runs once per user and device (retried on the next start if it fails)
+ */
+async function migrateTimeEntriesOnce(userId) {
+    const key = STORAGE_KEYS.TIME_MIGRATED + userId;
+    if (localStorage.getItem(key)) return;
+    
+    const result = await migrateTimeEntries(userId);
+    if (!result.success) return;
+    
+    localStorage.setItem(key, new Date().toISOString());
+    if (result.merged > 0) {
+        await loadTimeStats();
+        if (tabLeader) tabLeader.broadcast({ type: 'saved' });
+    }
+}
+
+/**
+ * Handle messages from other tracker tabs
+ */
+function handleTabMessage(message) {
+    if (message.type === 'activity') {
+        // A follower tab saw the user, so they are not idle
+        if (isLeaderTab && idleDetector) idleDetector.recordActivity();
+        if (message.category) forwardedCategory = message.category;
+        return;
+    }
+    
+    if (isLeaderTab) return;
+    
+    if (message.type === 'session') {
+        mirroredSession = message;
+        currentSessionSeconds = message.currentSessionSeconds;
+        totalTrackedSeconds = currentSessionSeconds;
+        
+        if (timeTrackerDisplay) {
+            timeTrackerDisplay.textContent = formatTime(currentSessionSeconds);
+        }
+        if (message.idle) {
+            showIdlePrompt();
+        } else {
+            hideIdlePrompt();
+        }
+        displayTimeStats(latestStats || {
+            daily: 0,
+            weekly: 0,
+            monthly: 0,
+            yearly: 0,
+            total: 0
+        });
+    } else if (message.type === 'saved') {
+        loadTimeStats();
+    }
+}
+
+/**
+ * Forward user activity in a follower tab to the leader (throttled)
+ */
+function forwardActivity(now) {
+    if (isLeaderTab || !tabLeader || !currentUserId) return;
+    
+    // Forward right away when the leader is paused so it resumes promptly
+    const isPaused = mirroredSession && mirroredSession.idle;
+    if (!isPaused && now - lastActivityForwarded < ACTIVITY_FORWARD_INTERVAL) return;
+    
+    lastActivityForwarded = now;
+    tabLeader.broadcast({ type: 'activity', category: detectActivityCategory() });
+}
+
+/**
+ * Check if a modal backdrop is open
+ */
+function isModalOpen(modalId) {
+    const modal = document.getElementById(modalId);
+    return !!modal && !modal.hidden;
+}
+
+/**
+ * Classify what the user is doing in this tab
+ * writing: the journal editor is open; reading: a journal is expanded on screen
+ * or open in the read-more modal; auth: the sign-in page; browsing: anything else
+ */
+function detectActivityCategory() {
+    if (/auth\.html$/.test(window.location.pathname)) return 'auth';
+    if (isModalOpen('journalModal')) return 'writing';
+    if (isModalOpen('readMoreModal')) return 'reading';
+    
+    const expanded = Array.from(document.querySelectorAll('.journal-excerpt.expanded'));
+    const isReadingOnScreen = expanded.some(element => {
+        const rect = element.getBoundingClientRect();
+        return rect.bottom > 0 && rect.top < window.innerHeight;
+    });
+    return isReadingOnScreen ? 'reading' : 'browsing';
+}
+
+/**
+ * Get the current activity category
+ * The visible tab decides: this one, or the follower tab that last forwarded activity
+ */
+function getCurrentActivityCategory() {
+    if (document.hidden && forwardedCategory) return forwardedCategory;
+    return detectActivityCategory();
+}
+
+/**
+ * Add the time since the last sample to the current activity category
+ */
+function sampleActivityCategory() {
+    const now = Date.now();
+    if (lastCategorySampleAt) {
+        const category = getCurrentActivityCategory();
+        categoryMs[category] = (categoryMs[category] || 0) + (now - lastCategorySampleAt);
+    }
+    lastCategorySampleAt = now;
+}
+
+/**
+ * Split seconds across categories in proportion to the sampled time
+ * Rounded so the parts add up to exactly the given seconds
+ */
+function splitSecondsByCategory(seconds, sampledMs) {
+    if (seconds <= 0) return {};
+    
+    const totalMs = Object.values(sampledMs).reduce((sum, ms) => sum + ms, 0);
+    if (totalMs <= 0) return { [getCurrentActivityCategory()]: seconds };
+    
+    return apportionSeconds(seconds, sampledMs);
+}
+
+/**
+ * Broadcast the leader's session to follower tabs every second
+ */
+function startSessionBroadcast() {
+    if (sessionBroadcastInterval || !tabLeader) return;
+    
+    broadcastSession();
+    sessionBroadcastInterval = setInterval(broadcastSession, 1000);
+}
+
+/**
+ * Stop broadcasting the session
+ */
+function stopSessionBroadcast() {
+    if (sessionBroadcastInterval) {
+        clearInterval(sessionBroadcastInterval);
+        sessionBroadcastInterval = null;
+    }
+}
+
+/**
+ * Send the current session state to follower tabs
+ */
+function broadcastSession() {
+    if (!isLeaderTab || !sessionStartTime) return;
+    
+    if (isTracking) {
+        currentSessionSeconds = Math.floor((Date.now() - sessionStartTime) / 1000);
+    }
+    
+    tabLeader.broadcast({
+        type: 'session',
+        currentSessionSeconds,
+        lastSaveTime,
+        continuousSeconds: getContinuousSeconds(),
+        idle: !!idlePausedAt
+    });
+}
+
+/**
+ * Get the idle threshold in milliseconds (saved preference or default)
+ */
+export function getIdleThreshold() {
+    const stored = parseInt(localStorage.getItem(STORAGE_KEYS.IDLE_THRESHOLD) || '0');
+    return stored > 0 ? stored : defaultIdleThreshold;
+}
+
+/**
+ * Set and persist the idle threshold in milliseconds
+ */
+export function setIdleThreshold(milliseconds) {
+    if (!(milliseconds > 0)) return;
+    
+    localStorage.setItem(STORAGE_KEYS.IDLE_THRESHOLD, milliseconds.toString());
+    if (idleDetector) idleDetector.setThreshold(milliseconds);
+    console.log('Idle threshold set to', milliseconds / 1000, 'seconds');
+}
+
+/**
+ * Get the time of the last user activity
+ */
+function getLastActivityTime() {
+    return idleDetector ? idleDetector.getLastActivity() : Date.now();
+}
+
+/**
+ * Get the time tracked activity runs until
+ * Now, unless the user has been inactive for longer than the idle threshold
+ */
+function getActiveUntil() {
+    const now = Date.now();
+    const lastActivity = getLastActivityTime();
+    return now - lastActivity < getIdleThreshold() ? now : lastActivity;
+}
+
+/**
+ * Handle the user becoming idle
+ * Saves time up to the last activity, pauses tracking and asks if they are still there
+ */
+function handleIdle(idleSince) {
+    if (!isTracking || !sessionStartTime) return;
+    
+    console.log('User idle since', new Date(idleSince).toISOString(), '- pausing time tracking');
+    idlePausedAt = Math.max(idleSince, sessionStartTime);
+    
+    // The idle stretch is not part of the session
+    currentSessionSeconds = Math.floor((idlePausedAt - sessionStartTime) / 1000);
+    totalTrackedSeconds = currentSessionSeconds;
+    stopTracking(idlePausedAt);
+    
+    if (timeTrackerDisplay) {
+        timeTrackerDisplay.textContent = formatTime(currentSessionSeconds);
+    }
+    
+    showIdlePrompt();
+}
+
+/**
+ * Handle the user becoming active again after being idle
+ * Shifts the session start past the idle stretch and resumes tracking
+ */
+function handleActive(idleSince, now) {
+    if (!idlePausedAt) return;
+    
+    const idleSeconds = Math.floor((now - idlePausedAt) / 1000);
+    idlePausedAt = null;
+    hideIdlePrompt();
+    
+    if (!currentUserId || !sessionStartTime) return;
+    
+    sessionStartTime += idleSeconds * 1000;
+    lastSaveTime = now;
+    localStorage.setItem(STORAGE_KEYS.SESSION_START, sessionStartTime.toString());
+    console.log('User active again after', idleSeconds, 'idle seconds - resuming time tracking');
+    
+    startTracking();
+}
+
+/**
+ * Show the "are you still there?" prompt
+ */
+function showIdlePrompt() {
+    let prompt = document.getElementById('idle-prompt');
+    
+    if (!prompt) {
+        prompt = document.createElement('div');
+        prompt.id = 'idle-prompt';
+        prompt.className = 'idle-prompt';
+        prompt.setAttribute('role', 'alertdialog');
+        prompt.setAttribute('aria-labelledby', 'idle-prompt-title');
+        prompt.setAttribute('aria-describedby', 'idle-prompt-message');
+        prompt.innerHTML = `
+            <div class="idle-prompt-icon"><i class="fas fa-pause-circle" aria-hidden="true"></i></div>
+            <div class="idle-prompt-content">
+                <h4 id="idle-prompt-title" data-i18n="Are you still there?">Are you still there?</h4>
+                <p id="idle-prompt-message"></p>
+            </div>
+            <button type="button" class="btn btn-primary idle-prompt-resume" data-i18n="I'm still here">I'm still here</button>
+        `;
+        prompt.querySelector('.idle-prompt-resume').addEventListener('click', () => {
+            if (idleDetector) idleDetector.recordActivity();
+        });
+        prompt.hidden = true;
+        document.body.appendChild(prompt);
+    }
+    
+    // Already showing (follower tabs re-show it on every session update)
+    if (!prompt.hidden) return;
+    
+    const minutes = Math.round(getIdleThreshold() / 60000);
+    const message = `Time tracking is paused because there was no activity for ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}. It resumes as soon as you interact with the page.`;
+    const messageElement = prompt.querySelector('#idle-prompt-message');
+    messageElement.textContent = message;
+    messageElement.setAttribute('data-tts', message);
+    
+    prompt.hidden = false;
+    prompt.querySelector('.idle-prompt-resume').focus({ preventScroll: true });
+}
+
+/**
+ * Hide the "are you still there?" prompt
+ */
+function hideIdlePrompt() {
+    const prompt = document.getElementById('idle-prompt');
+    if (prompt) {
+        prompt.hidden = true;
+    }
+}
+
 /**
  * Update Time Display (current session timer)
  */
@@ -272,19 +789,20 @@ function updateTimeDisplay() {
     currentSessionSeconds = elapsed;
     totalTrackedSeconds = currentSessionSeconds;
     
+    sampleActivityCategory();
+    
     if (timeTrackerDisplay) {
         timeTrackerDisplay.textContent = formatTime(currentSessionSeconds);
     }
     
-    // Also update stats cards in real-time
-    const stats = loadTimeStatsFromLocalStorage() || {
+    // Also update stats cards in real-time from the last loaded totals
+    displayTimeStats(latestStats || {
         daily: 0,
         weekly: 0,
         monthly: 0,
         yearly: 0,
         total: 0
-    };
-    displayTimeStats(stats);
+    });
 }
 
 /**
@@ -298,21 +816,41 @@ function resetDisplay() {
     currentSessionSeconds = 0;
     sessionStartTime = null;
     lastSaveTime = null;
+    continuousSince = null;
+    categoryMs = {};
+    lastCategorySampleAt = null;
+    forwardedCategory = null;
+    idlePausedAt = null;
+    mirroredSession = null;
     totalTrackedSeconds = 0;
+    latestStats = null;
+}
+
+/**
+ * Periodic save
+ * Stops at the last activity, so an idle stretch is never stored before it
+ * is detected (it is counted if the user comes back in time)
+ */
+function savePeriodically() {
+    // A throttled background tab may have lost the lease without noticing yet
+    if (tabLeader && !tabLeader.checkLeadership()) return;
+    
+    saveCurrentSession(getLastActivityTime());
 }
 
 /**
  * Save Current Session to Storage
  * Accumulates time properly across sessions
+ * endTime: save tracked time up to this timestamp (defaults to now, or the
+ * last activity once the user has been inactive past the idle threshold)
  */
-async function saveCurrentSession() {
+async function saveCurrentSession(endTime = getActiveUntil()) {
     if (!auth || !auth.currentUser || !isTracking) return;
     
     const userId = auth.currentUser.uid;
-    const today = new Date().toISOString().split('T')[0];
     
     // Calculate duration since last save (or session start)
-    const now = Date.now();
+    const now = Math.min(endTime, Date.now());
     const timeSinceLastSave = lastSaveTime ? Math.floor((now - lastSaveTime) / 1000) : 0;
     
     if (timeSinceLastSave < 5) {
@@ -320,179 +858,266 @@ async function saveCurrentSession() {
     }
     
     const duration = timeSinceLastSave;
+    const savedFrom = lastSaveTime;
     
-    // Create stats object for this save
-    const sessionStats = {
-        daily: duration,
-        weekly: duration,
-        monthly: duration,
-        yearly: duration,
-        total: duration
-    };
+    // Update last save time before awaiting, so an idle pause or resume
+    // in the meantime is not overwritten
+    lastSaveTime = now;
     
-    // Try Firestore first, fallback to localStorage
-    try {
-        if (firebaseInitialized && db) {
-            // Save to Firestore
-            const timeRef = doc(db, 'timeSpent', userId + '_' + today);
-            const docSnap = await getDoc(timeRef);
-            
-            let existingTotal = 0;
-            if (docSnap.exists()) {
-                existingTotal = docSnap.data().totalSeconds || 0;
+    // Split the saved time by activity and start sampling afresh
+    sampleActivityCategory();
+    const categories = splitSecondsByCategory(duration, categoryMs);
+    categoryMs = {};
+    
+    // Split at local midnight so each calendar day gets its own share
+    const dayWeights = {};
+    splitRangeByDay(savedFrom, now, getUserTimeZone()).forEach(part => {
+        dayWeights[part.date] = (dayWeights[part.date] || 0) + part.seconds;
+    });
+    const secondsByDay = apportionSeconds(duration, dayWeights);
+    
+    for (const [date, seconds] of Object.entries(secondsByDay)) {
+        const dayCategories = apportionSeconds(seconds, categories);
+        
+        // Try the storage backend first, then the offline outbox, then this device
+        try {
+            if (shouldQueueWrites()) {
+                throw new Error('Offline');
             }
-            
-            const newTotal = existingTotal + duration;
-            
-            if (docSnap.exists()) {
-                await updateDoc(timeRef, {
-                    totalSeconds: newTotal,
-                    updatedAt: serverTimestamp()
-                });
-            } else {
-                await setDoc(timeRef, {
-                    userId: userId,
-                    date: today,
-                    totalSeconds: duration,
-                    createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp()
-                });
+            const result = await saveTimeSpent(userId, seconds, date, dayCategories);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to save time');
             }
             
-            console.log('Time saved to Firestore - Duration:', duration, 'seconds, Total today:', newTotal);
-        } else {
-            // Fallback to localStorage - save full current session time
-            console.log('Saving full session time to localStorage:', currentSessionSeconds, 'seconds');
-            saveTimeStatsToLocalStorage(currentSessionSeconds);
+            console.log('Time saved to storage - Date:', date, 'Duration:', seconds, 'seconds');
+        } catch (error) {
+            console.warn('Error saving time, queuing for sync:', error);
+            const queued = await enqueueOperation('saveTimeSpent', {
+                userId,
+                duration: seconds,
+                date,
+                categories: dayCategories
+            });
+            if (!queued.success) {
+                await saveLocalTimeStats(seconds, date, dayCategories);
+            }
+        }
+        
+        // Stats are reloaded less often in low-data mode; count the save locally
+        if (isLowDataMode()) {
+            addToLatestStats(date, seconds, dayCategories);
         }
-    } catch (error) {
-        console.error('Error saving time, using localStorage:', error);
-        saveTimeStatsToLocalStorage(currentSessionSeconds);
     }
     
-    // Update last save time
-    lastSaveTime = now;
+    // Let follower tabs refresh their stats
+    if (tabLeader && isLeaderTab) {
+        tabLeader.broadcast({ type: 'saved' });
+    }
 }
 
 /**
  * Load Time Statistics from Storage
- * Loads cumulative totals from Firestore or localStorage
+ * Loads calendar-period totals from the storage backend or this device
+ * Returns { daily, weekly, monthly, yearly, total, series }
  */
-async function loadTimeStats() {
+export async function loadTimeStats() {
     if (!auth || !auth.currentUser) {
         console.log('No user, skipping time stats load');
-        return;
+        return null;
     }
     
     const userId = auth.currentUser.uid;
     console.log('Loading time stats for user:', userId);
     
-    const stats = {
+    let stats = {
         daily: 0,
         weekly: 0,
         monthly: 0,
         yearly: 0,
-        total: 0
+        total: 0,
+        series: []
     };
     
-    const now = new Date();
-    const today = now.toISOString().split('T')[0];
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    const yearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-    
     try {
-        // Try Firestore first
-        if (firebaseInitialized && db) {
-            const querySnapshot = await getDocs(collection(db, 'timeSpent'));
-            
-            querySnapshot.forEach((doc) => {
-                const data = doc.data();
-                if (data.userId !== userId) return;
-                
-                const entryDate = new Date(data.date);
-                const seconds = data.totalSeconds || 0;
-                
-                stats.total += seconds;
-                
-                if (entryDate >= weekAgo) stats.weekly += seconds;
-                if (entryDate >= monthAgo) stats.monthly += seconds;
-                if (entryDate >= yearAgo) stats.yearly += seconds;
-                
-                if (data.date === today) {
-                    stats.daily += seconds;
-                }
-            });
-            
-            console.log('Time stats loaded from Firestore');
-        } else {
-            // Fallback to localStorage
-            console.log('Firebase not available, loading from localStorage');
-            const localStats = loadTimeStatsFromLocalStorage();
-            if (localStats) {
-                stats.daily = localStats.daily || 0;
-                stats.weekly = localStats.weekly || 0;
-                stats.monthly = localStats.monthly || 0;
-                stats.yearly = localStats.yearly || 0;
-                stats.total = localStats.total || 0;
-                console.log('Stats loaded from localStorage:', stats);
-            }
+        const result = await getTimeStats(userId, { timeZone: getUserTimeZone() });
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to load time stats');
         }
+        stats = result.stats;
+        console.log('Time stats loaded from storage');
     } catch (error) {
         console.error('Error loading time stats:', error);
-        // Try localStorage as fallback
-        const localStats = loadTimeStatsFromLocalStorage();
+        // Try the stats kept on this device as fallback
+        const localStats = await loadLocalTimeStats();
         if (localStats) {
-            stats.daily = localStats.daily || 0;
-            stats.weekly = localStats.weekly || 0;
-            stats.monthly = localStats.monthly || 0;
-            stats.yearly = localStats.yearly || 0;
-            stats.total = localStats.total || 0;
+            stats = localStats;
         }
     }
     
+    latestStats = stats;
+    latestStatsLoadedAt = Date.now();
     console.log('Final stats to display:', stats);
     displayTimeStats(stats);
+    return stats;
+}
+
+/**
+ * Load Usage History
+ * Per-day entries ({ date, totalSeconds }) for the last N days, oldest first,
+ * from the storage backend or the local fallback
+ */
+export async function loadUsageHistory(days = 365) {
+    if (!auth || !auth.currentUser) return [];
+    
+    const today = toDateKey(new Date(), getUserTimeZone());
+    const from = addDays(today, -(days - 1));
+    const entries = await loadTimeEntries({ from, to: today });
+    
+    return entries
+        .map(entry => ({ date: entry.date, totalSeconds: entry.totalSeconds || 0 }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Load Time Entries
+ * Stored per-day entries (with any extra fields such as categories) for a
+ * { from, to } range of day keys, from the storage backend or the local fallback
+ */
+export async function loadTimeEntries(range = {}) {
+    if (!auth || !auth.currentUser) return [];
+    
+    const { from, to } = range;
+    
+    try {
+        const result = await getTimeEntries(auth.currentUser.uid, range);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to load time entries');
+        }
+        return result.entries;
+    } catch (error) {
+        console.error('Error loading time entries, using this device:', error);
+        try {
+            return getLocalTimeEntries(await readLocalStatsRecord())
+                .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to));
+        } catch (localError) {
+            console.error('Error reading time entries from this device:', localError);
+            return [];
+        }
+    }
+}
+
+/**
+ * Add just-saved time to the last loaded stats
+ */
+function addToLatestStats(date, seconds, categories) {
+    if (!latestStats) return;
+    
+    const ranges = getPeriodRanges(new Date(), getUserTimeZone());
+    latestStats.total = (latestStats.total || 0) + seconds;
+    if (latestStats.categories?.total) addCategorySeconds(latestStats.categories.total, categories);
+    
+    ['daily', 'weekly', 'monthly', 'yearly'].forEach(period => {
+        if (date >= ranges[period].start && date <= ranges[period].end) {
+            latestStats[period] = (latestStats[period] || 0) + seconds;
+            if (latestStats.categories?.[period]) addCategorySeconds(latestStats.categories[period], categories);
+        }
+    });
 }
 
 /**
  * Update Stats Display Periodically
+ * Reloads from storage, or in low-data mode only every few minutes
  */
 function updateStatsDisplay() {
+    if (isLowDataMode() && latestStats && Date.now() - latestStatsLoadedAt < LOW_DATA_STATS_INTERVAL) {
+        displayTimeStats(latestStats);
+        return;
+    }
     loadTimeStats();
 }
 
+/**
+ * Get seconds tracked since the last save (not yet in stored totals)
+ */
+function getUnsavedSeconds() {
+    // Follower tabs use the leader's last save
+    if (!isLeaderTab && mirroredSession) {
+        if (mirroredSession.idle || !mirroredSession.lastSaveTime) return 0;
+        return Math.max(0, Math.floor((Date.now() - mirroredSession.lastSaveTime) / 1000));
+    }
+    
+    if (!isTracking || !lastSaveTime) return 0;
+    return Math.max(0, Math.floor((Date.now() - lastSaveTime) / 1000));
+}
+
 /**
  * Display Time Statistics
- * Shows cumulative stats + current session time
+ * Shows stored totals + time not yet saved from the current session
  */
 function displayTimeStats(stats) {
     const todayElement = document.getElementById('today-time');
     const weekElement = document.getElementById('week-time');
     const totalElement = document.getElementById('total-time');
+    const splitElement = document.getElementById('time-category-split');
 
-    // Add current session time to cumulative stats
-    const todayTotal = (stats.daily || 0) + currentSessionSeconds;
-    const weekTotal = (stats.weekly || 0) + currentSessionSeconds;
-    const totalAll = (stats.total || 0) + currentSessionSeconds;
+    // Stored totals already include earlier saves from this session
+    const unsavedSeconds = getUnsavedSeconds();
+    const todayTotal = (stats.daily || 0) + unsavedSeconds;
+    const weekTotal = (stats.weekly || 0) + unsavedSeconds;
+    const totalAll = (stats.total || 0) + unsavedSeconds;
+
+    // Per-activity split: stored categories + the unsaved time split as sampled so far
+    const unsavedSplit = splitSecondsByCategory(unsavedSeconds, categoryMs);
+    const todaySplit = addCategorySeconds({ ...(stats.categories?.daily || {}) }, unsavedSplit);
+    const weekSplit = addCategorySeconds({ ...(stats.categories?.weekly || {}) }, unsavedSplit);
 
     if (todayElement) {
         todayElement.textContent = formatTimeLong(todayTotal);
         // Add TTS attribute for accessibility with proper words
-        todayElement.setAttribute('data-tts', `Time spent today: ${formatTimeLongForTTS(todayTotal)}`);
+        todayElement.setAttribute('data-tts', `Time spent today: ${formatTimeLongForTTS(todayTotal)}${describeCategorySplit(todaySplit, todayTotal, true)}`);
     }
     if (weekElement) {
         weekElement.textContent = formatTimeLong(weekTotal);
         // Add TTS attribute for accessibility with proper words
-        weekElement.setAttribute('data-tts', `Time spent this week: ${formatTimeLongForTTS(weekTotal)}`);
+        weekElement.setAttribute('data-tts', `Time spent this week: ${formatTimeLongForTTS(weekTotal)}${describeCategorySplit(weekSplit, weekTotal, true)}`);
+    }
+    if (splitElement) {
+        const todayText = describeCategorySplit(todaySplit, todayTotal, false);
+        const weekText = describeCategorySplit(weekSplit, weekTotal, false);
+        splitElement.textContent = todayText || weekText
+            ? `Today${todayText || ': no activity yet'} · This week${weekText || ': no activity yet'}`
+            : '';
+        splitElement.setAttribute('data-tts', `Today${describeCategorySplit(todaySplit, todayTotal, true) || ', no activity yet'}. This week${describeCategorySplit(weekSplit, weekTotal, true) || ', no activity yet'}.`);
     }
     if (totalElement) {
         totalElement.textContent = formatTimeLong(totalAll);
         // Add TTS attribute for accessibility with proper words
         totalElement.setAttribute('data-tts', `Total time spent: ${formatTimeLongForTTS(totalAll)}`);
     }
+}
 
-    console.log('Displayed stats - Today:', formatTimeLong(todayTotal), 'Week:', formatTimeLong(weekTotal), 'Total:', formatTimeLong(totalAll));
+/**
+ * Describe a per-activity split
+ * Display: ": Writing 20m, Reading 15m"; speech: ", including writing 20 minutes and reading 15 minutes"
+ * Time saved before activities were tracked is listed as "other" (when over a minute)
+ */
+function describeCategorySplit(split, totalSeconds, forSpeech) {
+    const parts = Object.keys(ACTIVITY_CATEGORIES)
+        .filter(name => split[name] >= 60)
+        .map(name => ({ label: ACTIVITY_CATEGORIES[name], seconds: split[name] }));
+    
+    const categorized = Object.values(split).reduce((sum, seconds) => sum + seconds, 0);
+    if (parts.length > 0 && totalSeconds - categorized >= 60) {
+        parts.push({ label: 'Other', seconds: totalSeconds - categorized });
+    }
+    if (parts.length === 0) return '';
+    
+    if (forSpeech) {
+        const spoken = parts.map(part => `${part.label.toLowerCase()} ${formatTimeLongForTTS(part.seconds)}`);
+        const last = spoken.pop();
+        return `, including ${spoken.length > 0 ? spoken.join(', ') + ' and ' : ''}${last}`;
+    }
+    return ': ' + parts.map(part => `${part.label} ${formatTimeLong(part.seconds)}`).join(', ');
 }
 
 /**
@@ -558,3 +1183,39 @@ export function getTotalTrackedTime() {
     return totalTrackedSeconds;
 }
 
+/**
+ * Get seconds of continuous use (since tracking last started or resumed after a break)
+ */
+export function getContinuousSeconds() {
+    if (!isLeaderTab && mirroredSession) {
+        return mirroredSession.idle ? 0 : (mirroredSession.continuousSeconds || 0);
+    }
+    
+    if (!isTracking || !continuousSince) return 0;
+    return Math.floor((Date.now() - continuousSince) / 1000);
+}
+
+/**
+ * Get live totals: stored stats plus time not yet saved
+ * Returns { today, week, total, session, continuous } in seconds,
+ * or null until stats have loaded
+ */
+export function getLiveTimeTotals() {
+    if (!latestStats) return null;
+    
+    const unsavedSeconds = getUnsavedSeconds();
+    return {
+        today: (latestStats.daily || 0) + unsavedSeconds,
+        week: (latestStats.weekly || 0) + unsavedSeconds,
+        total: (latestStats.total || 0) + unsavedSeconds,
+        session: currentSessionSeconds,
+        continuous: getContinuousSeconds()
+    };
+}
+
+
+// Export formatters for other time displays (e.g. the usage dashboard)
+export {
+    formatTimeLong,
+    formatTimeLongForTTS
+};
@@ -0,0 +1,335 @@
+/**
+ * Usage Dashboard Module
+ * Visualizes time tracker history with inline SVG charts (no external services)
+ *
+ * Features:
+ * - GitHub-style year heatmap (one cell per day, ISO weeks as columns)
+ * - Weekly bar chart for the current ISO week
+ * - Month-over-month trend for the last 12 months
+ * - Text summaries for screen readers and TTS
+ */
+
+import { loadUsageHistory, formatTimeLong, formatTimeLongForTTS } from './tracker.js';
+import { getUserTimeZone, toDateKey, addDays, getISOWeekStart } from './time-utils.js';
+
+// DOM Elements
+let dashboardElement = null;
+let dashboardBody = null;
+
+// Refresh state
+let refreshInterval = null;
+const REFRESH_INTERVAL = 60000; // 1 minute while the dashboard is open
+
+// Enough history for 53 heatmap weeks and 12 full months
+const HISTORY_DAYS = 400;
+
+// Heatmap levels (upper bound in minutes) and colors
+const HEATMAP_LEVELS = [
+    { maxMinutes: 0, color: '#ebedf0' },
+    { maxMinutes: 15, color: '#c3cbf5' },
+    { maxMinutes: 30, color: '#97a6ee' },
+    { maxMinutes: 60, color: '#667eea' },
+    { maxMinutes: Infinity, color: '#4b3d9e' }
+];
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Initialize Usage Dashboard
+export function initUsageDashboard(dashboardId = 'usage-dashboard', bodyId = 'usage-dashboard-body') {
+    dashboardElement = document.getElementById(dashboardId);
+    dashboardBody = document.getElementById(bodyId);
+
+    if (!dashboardElement || !dashboardBody) return;
+
+    // Only load history while the dashboard is expanded
+    dashboardElement.addEventListener('toggle', () => {
+        if (dashboardElement.open) {
+            refreshUsageDashboard();
+            refreshInterval = setInterval(refreshUsageDashboard, REFRESH_INTERVAL);
+        } else if (refreshInterval) {
+            clearInterval(refreshInterval);
+            refreshInterval = null;
+        }
+    });
+
+    console.log('Usage dashboard initialized');
+}
+
+/**
+ * Reload history and redraw all charts
+ */
+export async function refreshUsageDashboard() {
+    if (!dashboardBody) return;
+
+    try {
+        const entries = await loadUsageHistory(HISTORY_DAYS);
+        renderUsageDashboard(entries);
+    } catch (error) {
+        console.error('Error refreshing usage dashboard:', error);
+        dashboardBody.innerHTML = '<p class="usage-empty">Unable to load usage history</p>';
+    }
+}
+
+/**
+ * Render all charts from per-day entries ({ date, totalSeconds })
+ */
+export function renderUsageDashboard(entries) {
+    if (!dashboardBody) return;
+
+    const today = toDateKey(new Date(), getUserTimeZone());
+    const secondsByDay = {};
+    entries.forEach(entry => {
+        secondsByDay[entry.date] = (secondsByDay[entry.date] || 0) + (entry.totalSeconds || 0);
+    });
+
+    dashboardBody.innerHTML = `
+        ${renderHeatmap(secondsByDay, today)}
+        <div class="usage-charts-row">
+            ${renderWeeklyBars(secondsByDay, today)}
+            ${renderMonthlyTrend(secondsByDay, today)}
+        </div>
+    `;
+}
+
+/**
+ * Year Heatmap
+ */
+function renderHeatmap(secondsByDay, today) {
+    const cellSize = 11;
+    const gap = 2;
+    const step = cellSize + gap;
+    const labelWidth = 28;
+    const labelHeight = 14;
+
+    const firstWeek = getISOWeekStart(addDays(today, -364));
+    const days = [];
+    for (let key = firstWeek; key <= today; key = addDays(key, 1)) {
+        days.push(key);
+    }
+    const weekCount = Math.ceil(days.length / 7);
+
+    let cells = '';
+    let monthLabels = '';
+    let lastLabelledMonth = '';
+
+    days.forEach((key, index) => {
+        const column = Math.floor(index / 7);
+        const row = index % 7;
+        const seconds = secondsByDay[key] || 0;
+        const x = labelWidth + column * step;
+        const y = labelHeight + row * step;
+
+        cells += `<rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" rx="2" fill="${getHeatmapColor(seconds)}"><title>${formatDayLabel(key)}: ${formatTimeLong(seconds)}</title></rect>`;
+
+        // Label the first column of each month
+        const month = key.substring(0, 7);
+        if (row === 0 && month !== lastLabelledMonth) {
+            lastLabelledMonth = month;
+            monthLabels += `<text x="${x}" y="10" class="usage-axis-label">${formatMonthLabel(month)}</text>`;
+        }
+    });
+
+    const dayLabels = [0, 2, 4].map(row =>
+        `<text x="0" y="${labelHeight + row * step + cellSize - 2}" class="usage-axis-label">${WEEKDAY_LABELS[row]}</text>`
+    ).join('');
+
+    const width = labelWidth + weekCount * step;
+    const height = labelHeight + 7 * step;
+
+    const legend = HEATMAP_LEVELS.map(level =>
+        `<span class="usage-legend-swatch" style="background:${level.color}"></span>`
+    ).join('');
+
+    return `
+        <section class="usage-chart usage-heatmap" aria-labelledby="usage-heatmap-title">
+            <h4 id="usage-heatmap-title">Activity over the last year</h4>
+            <div class="usage-heatmap-scroll">
+                <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="usage-heatmap-title" aria-describedby="usage-heatmap-summary">
+                    ${monthLabels}${dayLabels}${cells}
+                </svg>
+            </div>
+            <div class="usage-legend" aria-hidden="true">Less ${legend} More</div>
+            <p id="usage-heatmap-summary" class="sr-only" data-tts="${escapeAttribute(getHeatmapSummary(secondsByDay, today))}">${getHeatmapSummary(secondsByDay, today)}</p>
+        </section>
+    `;
+}
+
+function getHeatmapColor(seconds) {
+    const minutes = seconds / 60;
+    const level = HEATMAP_LEVELS.find(l => minutes <= l.maxMinutes);
+    return level.color;
+}
+
+function getHeatmapSummary(secondsByDay, today) {
+    const start = addDays(today, -364);
+    let activeDays = 0;
+    let totalSeconds = 0;
+    let bestDay = null;
+
+    for (let key = start; key <= today; key = addDays(key, 1)) {
+        const seconds = secondsByDay[key] || 0;
+        if (seconds > 0) activeDays++;
+        totalSeconds += seconds;
+        if (!bestDay || seconds > bestDay.seconds) {
+            bestDay = { key, seconds };
+        }
+    }
+
+    if (totalSeconds === 0) {
+        return 'No activity recorded in the last year.';
+    }
+    return `Active on ${activeDays} of the last 365 days, ${formatTimeLongForTTS(totalSeconds)} in total. ` +
+        `Most active day: ${formatDayLabel(bestDay.key)} with ${formatTimeLongForTTS(bestDay.seconds)}.`;
+}
+
+/**
+ * Weekly Bar Chart (current ISO week, Monday to Sunday)
+ */
+function renderWeeklyBars(secondsByDay, today) {
+    const width = 280;
+    const height = 150;
+    const chartTop = 18;
+    const chartBottom = height - 20;
+    const barWidth = 26;
+    const slot = width / 7;
+
+    const weekStart = getISOWeekStart(today);
+    const week = WEEKDAY_LABELS.map((label, index) => {
+        const key = addDays(weekStart, index);
+        return { label, name: WEEKDAY_NAMES[index], key, seconds: key <= today ? (secondsByDay[key] || 0) : 0 };
+    });
+    const maxSeconds = Math.max(60, ...week.map(day => day.seconds));
+
+    const bars = week.map((day, index) => {
+        const barHeight = Math.round((day.seconds / maxSeconds) * (chartBottom - chartTop));
+        const x = Math.round(index * slot + (slot - barWidth) / 2);
+        const y = chartBottom - barHeight;
+        const isToday = day.key === today;
+        return `
+            <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="4" class="usage-bar${isToday ? ' today' : ''}"><title>${day.name}: ${formatTimeLong(day.seconds)}</title></rect>
+            ${day.seconds > 0 ? `<text x="${x + barWidth / 2}" y="${y - 4}" text-anchor="middle" class="usage-value-label">${formatTimeLong(day.seconds)}</text>` : ''}
+            <text x="${x + barWidth / 2}" y="${height - 5}" text-anchor="middle" class="usage-axis-label">${day.label}</text>
+        `;
+    }).join('');
+
+    const summary = 'This week: ' + week
+        .filter(day => day.key <= today)
+        .map(day => `${day.name} ${formatTimeLongForTTS(day.seconds)}`)
+        .join(', ') + '.';
+
+    return `
+        <section class="usage-chart usage-weekly" aria-labelledby="usage-weekly-title">
+            <h4 id="usage-weekly-title">This week</h4>
+            <svg width="100%" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="usage-weekly-title" aria-describedby="usage-weekly-summary">
+                <line x1="0" y1="${chartBottom}" x2="${width}" y2="${chartBottom}" class="usage-axis" />
+                ${bars}
+            </svg>
+            <p id="usage-weekly-summary" class="sr-only" data-tts="${escapeAttribute(summary)}">${summary}</p>
+        </section>
+    `;
+}
+
+/**
+ * Month-over-Month Trend (last 12 months)
+ */
+function renderMonthlyTrend(secondsByDay, today) {
+    const width = 280;
+    const height = 150;
+    const chartTop = 18;
+    const chartBottom = height - 20;
+    const padding = 14;
+
+    const months = getLastMonths(today, 12).map(month => ({
+        month,
+        seconds: Object.keys(secondsByDay)
+            .filter(key => key.startsWith(month))
+            .reduce((sum, key) => sum + secondsByDay[key], 0)
+    }));
+    const maxSeconds = Math.max(60, ...months.map(m => m.seconds));
+    const stepX = (width - padding * 2) / (months.length - 1);
+
+    const points = months.map((m, index) => ({
+        ...m,
+        x: Math.round(padding + index * stepX),
+        y: Math.round(chartBottom - (m.seconds / maxSeconds) * (chartBottom - chartTop))
+    }));
+
+    const polyline = points.map(p => `${p.x},${p.y}`).join(' ');
+    const dots = points.map(p => `<circle cx="${p.x}" cy="${p.y}" r="3" class="usage-trend-point"><title>${formatMonthLabel(p.month, true)}: ${formatTimeLong(p.seconds)}</title></circle>`).join('');
+    const labels = points
+        .filter((p, index) => index % 2 === 1)
+        .map(p => `<text x="${p.x}" y="${height - 5}" text-anchor="middle" class="usage-axis-label">${formatMonthLabel(p.month)}</text>`)
+        .join('');
+
+    return `
+        <section class="usage-chart usage-trend" aria-labelledby="usage-trend-title">
+            <h4 id="usage-trend-title">Month over month</h4>
+            <svg width="100%" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="usage-trend-title" aria-describedby="usage-trend-summary">
+                <line x1="0" y1="${chartBottom}" x2="${width}" y2="${chartBottom}" class="usage-axis" />
+                <polyline points="${polyline}" class="usage-trend-line" />
+                ${dots}${labels}
+            </svg>
+            <p id="usage-trend-summary" class="sr-only" data-tts="${escapeAttribute(getTrendSummary(months))}">${getTrendSummary(months)}</p>
+        </section>
+    `;
+}
+
+function getTrendSummary(months) {
+    const current = months[months.length - 1];
+    const previous = months[months.length - 2];
+    let summary = `${formatMonthLabel(current.month, true)}: ${formatTimeLongForTTS(current.seconds)}.`;
+
+    if (previous.seconds > 0) {
+        const change = Math.round(((current.seconds - previous.seconds) / previous.seconds) * 100);
+        const direction = change >= 0 ? 'up' : 'down';
+        summary += ` That is ${direction} ${Math.abs(change)} percent from ${formatMonthLabel(previous.month, true)}.`;
+    } else {
+        summary += ` No activity was recorded in ${formatMonthLabel(previous.month, true)}.`;
+    }
+    return summary;
+}
+
+/**
+ * Get the last N month keys (YYYY-MM), oldest first
+ */
+function getLastMonths(today, count) {
+    let [year, month] = today.split('-').map(Number);
+    const months = [];
+    for (let i = 0; i < count; i++) {
+        months.unshift(`${year}-${String(month).padStart(2, '0')}`);
+        month--;
+        if (month === 0) {
+            month = 12;
+            year--;
+        }
+    }
+    return months;
+}
+
+/**
+ * Format a day key for display (e.g. "Mar 3, 2026")
+ */
+function formatDayLabel(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Format a month key for display ("Mar" or "March 2026")
+ */
+function formatMonthLabel(monthKey, long = false) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', long
+        ? { timeZone: 'UTC', year: 'numeric', month: 'long' }
+        : { timeZone: 'UTC', month: 'short' });
+}
+
+function escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
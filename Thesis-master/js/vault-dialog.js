@@ -0,0 +1,247 @@
+/**
+ * Encryption Dialog Module
+ * Passphrase dialog and toolbar button for the encryption module (vault.js)
+ *
+ * Features:
+ * - Set up encryption (passphrase entered twice) or unlock with the passphrase
+ * - Lock now, and choose how long to wait before locking when idle
+ * - Button showing whether encryption is off, locked or unlocked
+ */
+
+import {
+    getVaultState,
+    enableEncryption,
+    unlockVault,
+    lockVault,
+    loadRemoteVaultConfig,
+    getLockTimeout,
+    setLockTimeout,
+    addVaultListener,
+    LOCK_TIMEOUT_OPTIONS,
+    MIN_PASSPHRASE_LENGTH
+} from './vault.js';
+
+const BUTTON_STATES = {
+    off: { icon: 'fa-shield-alt', label: 'Encryption off', title: 'Encrypt drafts and private journals' },
+    locked: { icon: 'fa-lock', label: 'Locked', title: 'Unlock encrypted drafts and private journals' },
+    unlocked: { icon: 'fa-lock-open', label: 'Unlocked', title: 'Encryption settings' }
+};
+
+let modal = null;
+// Resolves the promise of the open dialog
+let closeDialog = null;
+
+/**
+ * Set up the encryption button (opens the dialog and shows the state)
+ */
+export function initVaultButton(buttonId = 'vaultBtn') {
+    const button = document.getElementById(buttonId);
+    if (!button) return;
+
+    const render = () => {
+        const state = BUTTON_STATES[getVaultState()];
+        button.innerHTML = `<i class="fas ${state.icon}"></i> <span>${state.label}</span>`;
+        button.title = state.title;
+        button.setAttribute('aria-label', state.title);
+        button.setAttribute('data-tts', state.title);
+        button.dataset.vaultState = getVaultState();
+    };
+
+    render();
+    addVaultListener(render);
+    button.addEventListener('click', () => showVaultDialog());
+}
+
+/**
+ * Show the encryption dialog
+ * options.reason: why it opened (e.g. "Unlock to read this journal")
+ * Resolves true when encryption is unlocked as it closes
+ */
+export async function showVaultDialog(options = {}) {
+    if (closeDialog) closeDialog();
+
+    // Set up on another device: unlock with that passphrase instead
+    if (getVaultState() === 'off') await loadRemoteVaultConfig();
+
+    if (!modal) createModal();
+    renderDialog(options.reason || '');
+
+    modal.hidden = false;
+    modal.style.display = 'block';
+    modal.setAttribute('aria-hidden', 'false');
+    modal.querySelector('input, button:not(.modal-close)')?.focus();
+
+    return new Promise(resolve => {
+        closeDialog = () => {
+            closeDialog = null;
+            modal.hidden = true;
+            modal.style.display = 'none';
+            modal.setAttribute('aria-hidden', 'true');
+            resolve(getVaultState() === 'unlocked');
+        };
+    });
+}
+
+function createModal() {
+    modal = document.createElement('div');
+    modal.id = 'vaultModal';
+    modal.className = 'modal-backdrop vault-modal-backdrop';
+    modal.hidden = true;
+    modal.innerHTML = `
+        <div class="modal vault-modal" role="dialog" aria-modal="true" aria-labelledby="vaultModalTitle">
+            <div class="modal-header">
+                <h2 class="modal-title" id="vaultModalTitle"></h2>
+                <button type="button" class="modal-close" aria-label="Close">&times;</button>
+            </div>
+            <form class="vault-form" novalidate></form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('.modal-close').addEventListener('click', () => closeDialog?.());
+    modal.addEventListener('click', (event) => {
+        if (event.target === modal) closeDialog?.();
+    });
+    modal.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeDialog?.();
+    });
+    modal.querySelector('form').addEventListener('submit', handleSubmit);
+    modal.querySelector('form').addEventListener('change', (event) => {
+        if (event.target.name === 'lockMinutes') setLockTimeout(parseInt(event.target.value, 10));
+    });
+    modal.querySelector('form').addEventListener('click', (event) => {
+        const action = event.target.closest('[data-vault-action]')?.dataset.vaultAction;
+        if (action === 'cancel') closeDialog?.();
+        if (action === 'lock') lockVault().then(() => closeDialog?.());
+    });
+}
+
+/**
+ * Fill the dialog for the current state
+ */
+function renderDialog(reason) {
+    const state = getVaultState();
+    const form = modal.querySelector('form');
+    const title = modal.querySelector('#vaultModalTitle');
+    const lockMinutes = Math.round(getLockTimeout() / 60000);
+    const timeoutSelect = `
+        <label class="vault-row">
+            <span>Lock after</span>
+            <select name="lockMinutes" class="form-control">
+                ${LOCK_TIMEOUT_OPTIONS.map(minutes => `
+                    <option value="${minutes}" ${minutes === lockMinutes ? 'selected' : ''}>${minutes} min</option>
+                `).join('')}
+            </select>
+            <span>without activity</span>
+        </label>
+    `;
+
+    form.dataset.state = state;
+
+    if (state === 'off') {
+        title.innerHTML = '<i class="fas fa-shield-alt"></i> Encrypt your journals';
+        form.innerHTML = `
+            <div class="modal-body">
+                ${reason ? `<p class="vault-reason">${escapeHtml(reason)}</p>` : ''}
+                <p>Drafts and journals saved on this device, and journals you mark private, are encrypted
+                    with a passphrase. Private journals are uploaded encrypted, so only you can read them.</p>
+                <div class="form-group">
+                    <label for="vaultPassphrase" class="form-label">Passphrase</label>
+                    <input type="password" id="vaultPassphrase" name="passphrase" class="form-control"
+                        autocomplete="new-password" minlength="${MIN_PASSPHRASE_LENGTH}" required>
+                </div>
+                <div class="form-group">
+                    <label for="vaultPassphraseConfirm" class="form-label">Repeat passphrase</label>
+                    <input type="password" id="vaultPassphraseConfirm" name="confirm" class="form-control"
+                        autocomplete="new-password" required>
+                </div>
+                ${timeoutSelect}
+                <p class="vault-warning"><i class="fas fa-exclamation-triangle"></i>
+                    A forgotten passphrase cannot be recovered, and neither can what it encrypts.</p>
+                <p class="vault-error" role="alert" hidden></p>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-vault-action="cancel">Cancel</button>
+                <button type="submit" class="btn btn-primary" data-tts="Turn on encryption">Turn on encryption</button>
+            </div>
+        `;
+    } else if (state === 'locked') {
+        title.innerHTML = '<i class="fas fa-lock"></i> Unlock';
+        form.innerHTML = `
+            <div class="modal-body">
+                ${reason ? `<p class="vault-reason">${escapeHtml(reason)}</p>` : ''}
+                <p>Enter your passphrase to read and save drafts and private journals until you leave this page.</p>
+                <div class="form-group">
+                    <label for="vaultPassphrase" class="form-label">Passphrase</label>
+                    <input type="password" id="vaultPassphrase" name="passphrase" class="form-control"
+                        autocomplete="current-password" required>
+                </div>
+                <p class="vault-error" role="alert" hidden></p>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-vault-action="cancel">Cancel</button>
+                <button type="submit" class="btn btn-primary" data-tts="Unlock">Unlock</button>
+            </div>
+        `;
+    } else {
+        title.innerHTML = '<i class="fas fa-lock-open"></i> Encryption';
+        form.innerHTML = `
+            <div class="modal-body">
+                <p>Unlocked until you leave this page. Drafts, journals saved on this device and private journals
+                    are encrypted.</p>
+                ${timeoutSelect}
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-vault-action="cancel">Close</button>
+                <button type="button" class="btn btn-primary" data-vault-action="lock" data-tts="Lock now">
+                    <i class="fas fa-lock"></i> Lock now
+                </button>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Turn on encryption or unlock
+ */
+async function handleSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const submitButton = form.querySelector('[type="submit"]');
+    const passphrase = form.elements.passphrase?.value || '';
+
+    if (form.dataset.state === 'off' && passphrase !== form.elements.confirm.value) {
+        showError(form, 'The passphrases do not match');
+        return;
+    }
+
+    submitButton.disabled = true;
+    const result = form.dataset.state === 'off'
+        ? await enableEncryption(passphrase)
+        : await unlockVault(passphrase);
+    submitButton.disabled = false;
+
+    if (result.success) {
+        closeDialog?.();
+    } else if (result.code === 'exists') {
+        // Set up on another device: ask for that passphrase
+        renderDialog(result.error);
+        modal.querySelector('input')?.focus();
+    } else {
+        showError(form, result.error);
+        form.elements.passphrase.select();
+    }
+}
+
+function showError(form, message) {
+    const error = form.querySelector('.vault-error');
+    error.textContent = message;
+    error.hidden = false;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
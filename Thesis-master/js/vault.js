@@ -0,0 +1,613 @@
+/**
+ * Encryption Module
+ * Optional passphrase-based encryption of what the app keeps on this device
+ * and of journals marked private
+ *
+ * Features:
+ * - AES-GCM with a key derived from the passphrase (PBKDF2, SHA-256)
+ * - Encrypts drafts and offline journals on this device (SECURE_ITEMS, kept
+ *   by local-store.js); read
+ *   and written through readSecureItem / writeSecureItem, which keep the
+ *   decrypted copy in memory while unlocked
+ * - Seals fields (e.g. a private journal's title, content and tags) so only
+ *   ciphertext is stored or uploaded, and the text of journals waiting to
+ *   upload (see sync.js)
+ * - The key is only kept in memory (non-extractable): a reload, closing the
+ *   tab, "Lock now" or no activity for the lock timeout (see idle.js) locks
+ * - Set up per account: each account has its own salt, check value and
+ *   copies of the secure items (<name>_<uid>); signing in as someone else locks
+ * - The salt and a check value are saved for the account (only readable by
+ *   its owner), so the same passphrase unlocks private journals on every device
+ *
+ * The passphrase is never stored and cannot be recovered.
+ */
+
+import { createIdleDetector } from './idle.js';
+import { auth, onAuthStateChanged, getVaultSettings, saveVaultSettings } from './firebase-config.js';
+import {
+    initLocalStore,
+    getLocalItem,
+    setLocalItem,
+    removeLocalItem,
+    updateLocalItem,
+    isSavingLocalItem,
+    getItemChanges,
+    applyItemChanges,
+    flushLocalStore,
+    addLocalStoreListener
+} from './local-store.js';
+
+// Local data items (see local-store.js) kept encrypted once encryption is on,
+// stored per account as <name>_<uid>
+const SECURE_ITEMS = ['journal_drafts', 'localJournals'];
+
+// Encryption settings of each account on this device: vault_config_<uid>
+const CONFIG_PREFIX = 'vault_config_';
+// Earlier versions kept one for the whole device; moved to the account it belongs to
+const LEGACY_CONFIG_KEY = 'vault_config';
+// Earlier versions kept the unlocked key here; removed on load
+const LEGACY_SESSION_KEY = 'vault_session';
+const LOCK_TIMEOUT_KEY = 'vault_lock_minutes';
+
+const DEFAULT_LOCK_MINUTES = 15;
+export const LOCK_TIMEOUT_OPTIONS = [5, 15, 30, 60];
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// Encrypted with the key when encryption is set up; decrypting it checks a passphrase
+const CHECK_TEXT = 'journal-vault-check';
+// Encrypted values look like vault:v1:<iv>:<ciphertext> (base64)
+const SEALED_PREFIX = 'vault:v1:';
+
+let cryptoKey = null;
+// Signed-in account whose settings and items are used (null when signed out)
+let userId = null;
+// Decrypted SECURE_ITEMS while unlocked
+const cache = new Map();
+let idleDetector = null;
+const listeners = new Set();
+
+/**
+ * Initialize encryption (always locked until the passphrase is entered)
+ * Returns the state: 'off' | 'locked'
+ */
+export async function initVault() {
+    await initLocalStore();
+    window.addEventListener('storage', handleStorageChange);
+    addLocalStoreListener(handleItemChange);
+
+    handleUserChange(auth?.currentUser || null);
+    try {
+        onAuthStateChanged(auth, handleUserChange);
+    } catch (error) {
+        console.error('Error setting up encryption auth listener:', error);
+    }
+
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+    return getVaultState();
+}
+
+/**
+ * Get the encryption state: 'off' (not set up), 'locked' or 'unlocked'
+ */
+export function getVaultState() {
+    if (!readConfig()) return 'off';
+    return cryptoKey ? 'unlocked' : 'locked';
+}
+
+export function isEncryptionEnabled() {
+    return getVaultState() !== 'off';
+}
+
+export function isVaultUnlocked() {
+    return getVaultState() === 'unlocked';
+}
+
+export function isVaultLocked() {
+    return getVaultState() === 'locked';
+}
+
+/**
+ * Listen for encryption changes
+ * fn({ type, state }): type is 'enabled', 'unlocked', 'locking' (before the
+ * key is dropped, to save what is open), 'locked', 'account' when another
+ * account signed in (or out), or 'item' when another tab changed a
+ * SECURE_ITEMS entry (event.item)
+ * Returns an unsubscribe function
+ */
+export function addVaultListener(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+function notify(type, details = {}) {
+    const event = { type, state: getVaultState(), ...details };
+    listeners.forEach(fn => {
+        try {
+            fn(event);
+        } catch (error) {
+            console.error('Vault listener error:', error);
+        }
+    });
+}
+
+/**
+ * Set up encryption with a new passphrase (and unlock)
+ * Drafts and offline journals stored so far are encrypted right away.
+ */
+export async function enableEncryption(passphrase) {
+    if (!userId) {
+        return { success: false, error: 'Log in to set up encryption' };
+    }
+    if (readConfig()) {
+        return { success: false, error: 'Encryption is already set up' };
+    }
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return { success: false, error: `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters` };
+    }
+
+    // Set up on another device: the same passphrase has to be used here
+    if (!(await checkAccountConfig(userId))) {
+        return { success: false, error: 'Could not check your account. Try again when you are online.' };
+    }
+    if (readConfig()) {
+        return {
+            success: false,
+            code: 'exists',
+            error: 'Encryption is already set up for your account. Enter its passphrase to unlock.'
+        };
+    }
+
+    try {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const config = {
+            version: 1,
+            salt: bytesToBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            check: await encryptWith(key, CHECK_TEXT),
+            createdAt: Date.now()
+        };
+
+        localStorage.setItem(getConfigKey(), JSON.stringify(config));
+        // Encrypts the plain-text items left from before
+        await startSession(key);
+        await flushLocalStore();
+
+        // Saved again on the next sign-in if this fails (see checkAccountConfig)
+        const result = await saveVaultSettings(userId, config);
+        if (!result.success) console.warn('Could not save encryption settings to the account:', result.error);
+
+        console.log('Encryption turned on');
+        notify('enabled');
+        return { success: true };
+    } catch (error) {
+        console.error('Error setting up encryption:', error);
+        localStorage.removeItem(getConfigKey());
+        cryptoKey = null;
+        cache.clear();
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Use the account's encryption settings (set up on another device) when this
+ * device has none
+ * Returns true when encryption is set up for the account
+ */
+export async function loadRemoteVaultConfig() {
+    if (readConfig()) return true;
+    if (!userId) return false;
+
+    await checkAccountConfig(userId);
+    return Boolean(readConfig());
+}
+
+/**
+ * Compare this device's settings for an account with the ones saved for it
+ * The saved ones win (this device's may be from before encryption was set up
+ * again elsewhere); settings that never reached the server are saved.
+ * Resolves false when the saved settings could not be read
+ */
+async function checkAccountConfig(uid) {
+    const result = await getVaultSettings(uid);
+    // Offline, or another account signed in meanwhile
+    if (!result.success || uid !== userId) return false;
+
+    const remote = result.data?.salt && result.data?.check ? result.data : null;
+    adoptLegacyData(remote);
+
+    const local = readConfig();
+    if (remote && local?.salt !== remote.salt) {
+        if (cryptoKey) await lockVault();
+        localStorage.setItem(getConfigKey(), JSON.stringify(remote));
+        console.log('Encryption settings loaded from the account');
+        notify('enabled');
+    } else if (!remote && local) {
+        const saved = await saveVaultSettings(uid, local);
+        if (!saved.success) console.warn('Could not save encryption settings to the account:', saved.error);
+    }
+    return true;
+}
+
+/**
+ * Give the settings and items kept for the whole device by earlier versions
+ * to the account they belong to: the one with the same salt, or (when they
+ * were not encrypted) the first account to sign in
+ */
+function adoptLegacyData(remote) {
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_CONFIG_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable encryption settings:', error);
+    }
+    // Another account's: its items stay where they are
+    if (legacy && legacy.salt !== remote?.salt) return;
+
+    if (legacy) {
+        if (!readConfig()) localStorage.setItem(getConfigKey(), JSON.stringify(legacy));
+        localStorage.removeItem(LEGACY_CONFIG_KEY);
+    }
+    SECURE_ITEMS.forEach(name => {
+        const value = getLocalItem(name);
+        if (value === null) return;
+        if (getLocalItem(getItemName(name)) === null) setLocalItem(getItemName(name), value);
+        removeLocalItem(name);
+        notify('item', { item: name });
+    });
+}
+
+/**
+ * Follow the signed-in account: the key and decrypted items of the previous
+ * one are dropped right away (what is open is saved to its own items first)
+ */
+function handleUserChange(user) {
+    const uid = user?.uid || null;
+    if (uid === userId) return;
+
+    if (cryptoKey) {
+        notify('locking');
+        endSession();
+        console.log('Encryption locked: account changed');
+        notify('locked');
+    }
+
+    userId = uid;
+    notify('account');
+    if (uid) {
+        checkAccountConfig(uid).catch(error => console.error('Error checking encryption settings:', error));
+    }
+}
+
+/**
+ * Unlock with the passphrase
+ */
+export async function unlockVault(passphrase) {
+    const config = readConfig();
+    if (!config) return { success: false, error: 'Encryption is not set up' };
+    if (cryptoKey) return { success: true };
+
+    let key;
+    try {
+        key = await deriveKey(passphrase || '', base64ToBytes(config.salt), config.iterations);
+        if (await decryptWith(key, config.check) !== CHECK_TEXT) throw new Error('Check value does not match');
+    } catch (error) {
+        return { success: false, code: 'wrong-passphrase', error: 'Wrong passphrase' };
+    }
+
+    await startSession(key);
+    console.log('Encryption unlocked');
+    notify('unlocked');
+    return { success: true };
+}
+
+/**
+ * Lock: forget the key and the decrypted items
+ * Listeners get 'locking' first to save what is open.
+ */
+export async function lockVault() {
+    if (!cryptoKey) return;
+
+    notify('locking');
+    await flushLocalStore();
+    endSession();
+
+    console.log('Encryption locked');
+    notify('locked');
+}
+
+/**
+ * Forget the key and the decrypted items
+ */
+function endSession() {
+    cryptoKey = null;
+    cache.clear();
+    if (idleDetector) {
+        idleDetector.stop();
+        idleDetector = null;
+    }
+}
+
+/**
+ * Lock timeout in milliseconds
+ */
+export function getLockTimeout() {
+    const minutes = parseInt(localStorage.getItem(LOCK_TIMEOUT_KEY), 10);
+    return (minutes > 0 ? minutes : DEFAULT_LOCK_MINUTES) * 60000;
+}
+
+export function setLockTimeout(minutes) {
+    if (!(minutes > 0)) return;
+    localStorage.setItem(LOCK_TIMEOUT_KEY, String(minutes));
+    if (idleDetector) idleDetector.setThreshold(minutes * 60000);
+}
+
+/**
+ * Keep the key in memory and decrypt the secure items
+ */
+async function startSession(key) {
+    cryptoKey = key;
+
+    for (const name of SECURE_ITEMS) {
+        const stored = getLocalItem(getItemName(name));
+        if (stored === null) {
+            cache.delete(name);
+        } else if (isSealed(stored)) {
+            try {
+                cache.set(name, await decryptWith(key, stored));
+            } catch (error) {
+                console.error('Could not decrypt', name, error);
+            }
+        } else {
+            // Stored before encryption was on (or on this device's first unlock)
+            cache.set(name, stored);
+            sealStoredItem(name);
+        }
+    }
+
+    if (idleDetector) idleDetector.stop();
+    idleDetector = createIdleDetector({
+        threshold: getLockTimeout(),
+        onIdle: () => lockVault()
+    });
+    idleDetector.start();
+}
+
+/**
+ * Read an item that may be encrypted (like localStorage.getItem)
+ * Returns null while locked.
+ */
+export function readSecureItem(name) {
+    if (!readConfig()) return getLocalItem(getItemName(name));
+    return cryptoKey ? (cache.get(name) ?? null) : null;
+}
+
+/**
+ * Write an item, encrypted when encryption is on
+ * Throws an error with code 'vault-locked' while locked.
+ */
+export function writeSecureItem(name, value) {
+    if (!readConfig()) {
+        setLocalItem(getItemName(name), value);
+        return;
+    }
+    if (!cryptoKey) throw createLockedError();
+
+    const changes = getItemChanges(cache.get(name) ?? null, value);
+    cache.set(name, value);
+    persistChanges(name, changes);
+}
+
+export function removeSecureItem(name) {
+    if (!readConfig()) {
+        removeLocalItem(getItemName(name));
+        return;
+    }
+    if (!cryptoKey) throw createLockedError();
+
+    const changes = getItemChanges(cache.get(name) ?? null, null);
+    cache.delete(name);
+    persistChanges(name, changes);
+}
+
+/**
+ * Account whose settings and secure items are used (null when signed out)
+ */
+export function getAccountId() {
+    return userId;
+}
+
+/**
+ * Where a secure item is stored for the signed-in account
+ * Signed out, the item kept for the whole device is used.
+ */
+export function getItemName(name) {
+    return userId ? `${name}_${userId}` : name;
+}
+
+/**
+ * Save changes to an item on top of its stored (encrypted) copy, which
+ * another tab may have changed
+ * The key and account are taken now, so a lock or a change of account right
+ * after still saves it where it belongs
+ */
+function persistChanges(name, changes) {
+    const key = cryptoKey;
+    updateLocalItem(getItemName(name), async (stored) => {
+        let current = stored;
+        if (isSealed(stored)) {
+            try {
+                current = await decryptWith(key, stored);
+            } catch (error) {
+                console.error('Could not decrypt', name, '- saving this tab\'s copy', error);
+                current = null;
+            }
+        }
+
+        const value = applyItemChanges(current, changes);
+        return value === null ? null : encryptWith(key, value);
+    });
+}
+
+/**
+ * Encrypt an item stored in plain text
+ */
+function sealStoredItem(name) {
+    const key = cryptoKey;
+    updateLocalItem(getItemName(name), async (stored) => {
+        return stored === null || isSealed(stored) ? stored : encryptWith(key, stored);
+    });
+}
+
+/**
+ * Follow encryption turned on in another tab
+ */
+function handleStorageChange(event) {
+    if (userId && event.key === getConfigKey()) notify('enabled');
+}
+
+/**
+ * Follow secure items changed in another tab
+ */
+async function handleItemChange({ type, name: storedName }) {
+    const name = SECURE_ITEMS.find(item => getItemName(item) === storedName);
+    if (type !== 'change' || !name) return;
+    if (isVaultLocked()) return;
+
+    if (cryptoKey) {
+        const stored = getLocalItem(storedName);
+        let value;
+        try {
+            value = stored !== null && isSealed(stored) ? await decryptWith(cryptoKey, stored) : stored;
+        } catch (error) {
+            console.error('Could not decrypt', name, error);
+            return;
+        }
+
+        // Written again meanwhile: read once that is saved
+        if (isSavingLocalItem(storedName)) return;
+        // This tab's own write, saved
+        if (value === (cache.get(name) ?? null)) return;
+
+        if (value === null) {
+            cache.delete(name);
+        } else {
+            cache.set(name, value);
+        }
+    }
+    notify('item', { item: name });
+}
+
+/**
+ * Check whether a value is encrypted
+ */
+export function isSealed(value) {
+    return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+/**
+ * Encrypt fields (any JSON value) with the unlocked key
+ */
+export async function sealFields(fields) {
+    if (!cryptoKey) throw createLockedError();
+    return encryptWith(cryptoKey, JSON.stringify(fields));
+}
+
+/**
+ * Decrypt sealed fields; null while locked or when they can't be decrypted
+ */
+export async function openFields(sealed) {
+    if (!cryptoKey || !isSealed(sealed)) return null;
+    try {
+        return JSON.parse(await decryptWith(cryptoKey, sealed));
+    } catch (error) {
+        console.warn('Could not decrypt sealed fields:', error);
+        return null;
+    }
+}
+
+/**
+ * Encrypt the text of a journal waiting to upload (an outbox payload, see
+ * sync.js) while encryption is on, so it is not kept readable on this device
+ * fields: { title, content, tags, ... }; private journals are already sealed.
+ * sealedText is always set, so merging into a queued payload replaces it.
+ */
+export async function sealQueuedFields(fields) {
+    const { sealedText, ...rest } = fields;
+    if (!isEncryptionEnabled() || rest.isPrivate) return { ...rest, sealedText: null };
+
+    const { title, content, tags } = rest;
+    return { ...rest, title: '', content: '', tags: [], sealedText: await sealFields({ title, content, tags }) };
+}
+
+/**
+ * Decrypt the text sealed by sealQueuedFields; null while locked
+ */
+export async function openQueuedFields(fields) {
+    const { sealedText, ...rest } = fields;
+    if (!sealedText) return rest;
+
+    const text = await openFields(sealedText);
+    return text ? { ...rest, ...text } : null;
+}
+
+function createLockedError() {
+    const error = new Error('Encryption is locked');
+    error.code = 'vault-locked';
+    return error;
+}
+
+function getConfigKey() {
+    return CONFIG_PREFIX + userId;
+}
+
+function readConfig() {
+    if (!userId) return null;
+    try {
+        return JSON.parse(localStorage.getItem(getConfigKey()));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Derive the AES-GCM key from the passphrase (non-extractable, so the raw
+ * key never leaves WebCrypto)
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptWith(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return `${SEALED_PREFIX}${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(data))}`;
+}
+
+async function decryptWith(key, sealed) {
+    const [iv, data] = sealed.slice(SEALED_PREFIX.length).split(':');
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return new TextDecoder().decode(plain);
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
@@ -0,0 +1,466 @@
+/**
+ * Digital Wellbeing Module
+ * Usage goals, limits and break reminders built on the time tracker
+ *
+ * Features:
+ * - Daily and weekly goals (time to reach) or limits (time to stay under)
+ * - Goals are saved in the user's profile (localStorage copy as fallback)
+ * - Progress rings for today and this week
+ * - Break reminders after N minutes of continuous use (toast + optional TTS)
+ * - Weekly summary of goal attainment
+ */
+
+import { auth, onAuthStateChanged, getUserProfile, saveWellbeingGoals } from './firebase-config.js';
+import { getLiveTimeTotals, loadUsageHistory, formatTimeLong, formatTimeLongForTTS } from './tracker.js';
+import { speakText } from './accessibility.js';
+import { getUserTimeZone, toDateKey, addDays, getISOWeekStart } from './time-utils.js';
+
+// Goals are off (0) until the user sets them
+const DEFAULT_GOALS = {
+    mode: 'limit',
+    dailyMinutes: 0,
+    weeklyMinutes: 0,
+    breakReminderMinutes: 0,
+    speakReminders: false
+};
+
+// LocalStorage keys (suffixed with the user ID)
+const STORAGE_KEYS = {
+    GOALS: 'wellbeing_goals',
+    NOTIFIED: 'wellbeing_notified'
+};
+
+// How often rings and reminders are updated
+const UPDATE_INTERVAL = 5000;
+
+// Progress ring geometry
+const RING_SIZE = 90;
+const RING_RADIUS = 36;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+// State
+let panelElement = null;
+let currentUserId = null;
+let goals = { ...DEFAULT_GOALS };
+let updateInterval = null;
+let remindersInStretch = 0;
+let lastContinuousSeconds = 0;
+
+// Initialize Wellbeing Panel
+export function initWellbeing(panelId = 'wellbeing-panel') {
+    panelElement = document.getElementById(panelId);
+    if (!panelElement) return;
+
+    onAuthStateChanged(auth, async (user) => {
+        if (user) {
+            currentUserId = user.uid;
+            goals = await loadGoals();
+            renderPanel();
+            startUpdates();
+            refreshWeeklySummary();
+        } else {
+            currentUserId = null;
+            stopUpdates();
+            panelElement.innerHTML = '';
+        }
+    });
+
+    console.log('Wellbeing panel initialized');
+}
+
+/**
+ * Load goals from the profile, falling back to the localStorage copy
+ */
+async function loadGoals() {
+    const result = await getUserProfile(currentUserId);
+    if (result.success && result.data?.wellbeingGoals) {
+        cacheGoals(result.data.wellbeingGoals);
+        return { ...DEFAULT_GOALS, ...result.data.wellbeingGoals };
+    }
+
+    try {
+        const cached = JSON.parse(localStorage.getItem(STORAGE_KEYS.GOALS + '_' + currentUserId) || 'null');
+        if (cached) return { ...DEFAULT_GOALS, ...cached };
+    } catch (error) {
+        console.error('Error reading cached wellbeing goals:', error);
+    }
+
+    return { ...DEFAULT_GOALS };
+}
+
+/**
+ * Keep a localStorage copy of the goals
+ */
+function cacheGoals(newGoals) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.GOALS + '_' + currentUserId, JSON.stringify(newGoals));
+    } catch (error) {
+        console.error('Error caching wellbeing goals:', error);
+    }
+}
+
+/**
+ * Save goals to the profile (and the localStorage copy)
+ */
+export async function setWellbeingGoals(newGoals) {
+    if (!currentUserId) return { success: false, error: 'No user logged in' };
+
+    goals = { ...DEFAULT_GOALS, ...newGoals };
+    cacheGoals(goals);
+
+    const result = await saveWellbeingGoals(currentUserId, goals);
+    if (!result.success) {
+        console.error('Goals saved on this device only:', result.error);
+    }
+    return result;
+}
+
+/**
+ * Get the current goals
+ */
+export function getWellbeingGoals() {
+    return { ...goals };
+}
+
+/**
+ * Start updating rings and checking reminders
+ */
+function startUpdates() {
+    stopUpdates();
+    remindersInStretch = 0;
+    lastContinuousSeconds = 0;
+    updateWellbeing();
+    updateInterval = setInterval(updateWellbeing, UPDATE_INTERVAL);
+}
+
+/**
+ * Stop updating
+ */
+function stopUpdates() {
+    if (updateInterval) {
+        clearInterval(updateInterval);
+        updateInterval = null;
+    }
+}
+
+/**
+ * Update rings, break reminders and goal notifications from live totals
+ */
+function updateWellbeing() {
+    const totals = getLiveTimeTotals();
+    if (!totals) return;
+
+    updateRing('daily', totals.today, goals.dailyMinutes * 60);
+    updateRing('weekly', totals.week, goals.weeklyMinutes * 60);
+    checkBreakReminder(totals.continuous);
+    checkGoalNotifications(totals);
+}
+
+/**
+ * Remind the user to take a break every N minutes of continuous use
+ * Only the visible tab reminds, so several open tabs don't all speak
+ */
+function checkBreakReminder(continuousSeconds) {
+    // A pause (idle, logout) starts a new stretch
+    if (continuousSeconds < lastContinuousSeconds) {
+        remindersInStretch = 0;
+    }
+    lastContinuousSeconds = continuousSeconds;
+
+    const interval = goals.breakReminderMinutes * 60;
+    if (!interval || document.hidden) return;
+
+    if (continuousSeconds >= interval * (remindersInStretch + 1)) {
+        remindersInStretch = Math.floor(continuousSeconds / interval);
+        announce(`You have been using the site for ${formatTimeLongForTTS(continuousSeconds)} without a break. Time to stretch, rest your eyes or take a short walk.`, 'info');
+    }
+}
+
+/**
+ * Notify once per day/week when a limit is passed or a goal is reached
+ */
+function checkGoalNotifications(totals) {
+    if (document.hidden) return;
+
+    const notified = readNotified();
+    const today = toDateKey(new Date(), getUserTimeZone());
+    const weekStart = getISOWeekStart(today);
+    const isLimit = goals.mode === 'limit';
+
+    if (goals.dailyMinutes && notified.daily !== today && totals.today >= goals.dailyMinutes * 60) {
+        notified.daily = today;
+        announce(isLimit
+            ? `You have reached your daily limit of ${formatTimeLongForTTS(goals.dailyMinutes * 60)}.`
+            : `Daily goal reached: ${formatTimeLongForTTS(goals.dailyMinutes * 60)} today. Well done!`,
+            isLimit ? 'warning' : 'success');
+    }
+
+    if (goals.weeklyMinutes && notified.weekly !== weekStart && totals.week >= goals.weeklyMinutes * 60) {
+        notified.weekly = weekStart;
+        announce(isLimit
+            ? `You have reached your weekly limit of ${formatTimeLongForTTS(goals.weeklyMinutes * 60)}.`
+            : `Weekly goal reached: ${formatTimeLongForTTS(goals.weeklyMinutes * 60)} this week. Well done!`,
+            isLimit ? 'warning' : 'success');
+    }
+
+    saveNotified(notified);
+}
+
+/**
+ * Read which notifications were already shown ({ daily, weekly, summary })
+ */
+function readNotified() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.NOTIFIED + '_' + currentUserId) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Remember which notifications were shown
+ */
+function saveNotified(notified) {
+    localStorage.setItem(STORAGE_KEYS.NOTIFIED + '_' + currentUserId, JSON.stringify(notified));
+}
+
+/**
+ * Show a toast and, if enabled, read it aloud
+ */
+function announce(message, type) {
+    showMessage(message, type);
+    if (goals.speakReminders) {
+        speakText(message);
+    }
+}
+
+/**
+ * Check if time met the target for the current mode
+ */
+function isTargetMet(seconds, targetSeconds) {
+    return goals.mode === 'limit' ? seconds <= targetSeconds : seconds >= targetSeconds;
+}
+
+/**
+ * Summarize goal attainment for the ISO week starting on weekStart
+ * Returns { daysMet, weekTotal, weekMet } (daysMet/weekMet are null without a goal)
+ */
+export function summarizeWeek(entries, weekStart) {
+    const byDate = {};
+    entries.forEach(entry => {
+        byDate[entry.date] = (byDate[entry.date] || 0) + (entry.totalSeconds || 0);
+    });
+
+    let weekTotal = 0;
+    let daysMet = 0;
+    for (let i = 0; i < 7; i++) {
+        const seconds = byDate[addDays(weekStart, i)] || 0;
+        weekTotal += seconds;
+        if (goals.dailyMinutes && isTargetMet(seconds, goals.dailyMinutes * 60)) {
+            daysMet++;
+        }
+    }
+
+    return {
+        daysMet: goals.dailyMinutes ? daysMet : null,
+        weekTotal,
+        weekMet: goals.weeklyMinutes ? isTargetMet(weekTotal, goals.weeklyMinutes * 60) : null
+    };
+}
+
+/**
+ * Describe a week summary in words
+ */
+function describeWeek(summary, forSpeech) {
+    const format = forSpeech ? formatTimeLongForTTS : formatTimeLong;
+    const parts = [`Last week you spent ${format(summary.weekTotal)} on the site.`];
+
+    if (summary.daysMet !== null) {
+        parts.push(goals.mode === 'limit'
+            ? `You stayed within your daily limit on ${summary.daysMet} of 7 days.`
+            : `You reached your daily goal on ${summary.daysMet} of 7 days.`);
+    }
+    if (summary.weekMet !== null) {
+        const target = format(goals.weeklyMinutes * 60);
+        if (goals.mode === 'limit') {
+            parts.push(summary.weekMet
+                ? `You stayed within your weekly limit of ${target}.`
+                : `You went over your weekly limit of ${target}.`);
+        } else {
+            parts.push(summary.weekMet
+                ? `You reached your weekly goal of ${target}.`
+                : `You missed your weekly goal of ${target}.`);
+        }
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Load last week's history and show the summary
+ * The summary is also announced once at the start of each week
+ */
+async function refreshWeeklySummary() {
+    const summaryElement = panelElement?.querySelector('.wellbeing-summary');
+    if (!summaryElement) return;
+
+    if (!goals.dailyMinutes && !goals.weeklyMinutes) {
+        summaryElement.textContent = 'Set a daily or weekly goal to get a weekly summary.';
+        summaryElement.removeAttribute('data-tts');
+        return;
+    }
+
+    const today = toDateKey(new Date(), getUserTimeZone());
+    const lastWeekStart = addDays(getISOWeekStart(today), -7);
+    const entries = await loadUsageHistory(14);
+    const summary = summarizeWeek(entries, lastWeekStart);
+
+    summaryElement.textContent = describeWeek(summary, false);
+    summaryElement.setAttribute('data-tts', describeWeek(summary, true));
+
+    const notified = readNotified();
+    if (notified.summary !== lastWeekStart && summary.weekTotal > 0) {
+        notified.summary = lastWeekStart;
+        saveNotified(notified);
+        announce(describeWeek(summary, true), 'info');
+    }
+}
+
+/**
+ * Render rings, summary and the settings form
+ */
+function renderPanel() {
+    if (!panelElement) return;
+
+    panelElement.innerHTML = `
+        <div class="wellbeing-rings">
+            ${renderRing('daily', 'Today')}
+            ${renderRing('weekly', 'This Week')}
+        </div>
+        <p class="wellbeing-summary"></p>
+        <details class="wellbeing-settings">
+            <summary><i class="fas fa-sliders-h"></i> <span data-i18n="Goals and break reminders">Goals and break reminders</span></summary>
+            <form class="wellbeing-form">
+                <label>
+                    <span data-i18n="Type">Type</span>
+                    <select name="mode">
+                        <option value="limit" ${goals.mode === 'limit' ? 'selected' : ''}>Limits (stay under)</option>
+                        <option value="goal" ${goals.mode === 'goal' ? 'selected' : ''}>Goals (reach)</option>
+                    </select>
+                </label>
+                <label>
+                    <span data-i18n="Daily (minutes, 0 = off)">Daily (minutes, 0 = off)</span>
+                    <input type="number" name="dailyMinutes" min="0" step="5" value="${goals.dailyMinutes}">
+                </label>
+                <label>
+                    <span data-i18n="Weekly (hours, 0 = off)">Weekly (hours, 0 = off)</span>
+                    <input type="number" name="weeklyHours" min="0" step="0.5" value="${goals.weeklyMinutes / 60}">
+                </label>
+                <label>
+                    <span data-i18n="Break reminder after (minutes, 0 = off)">Break reminder after (minutes, 0 = off)</span>
+                    <input type="number" name="breakReminderMinutes" min="0" step="5" value="${goals.breakReminderMinutes}">
+                </label>
+                <label class="wellbeing-checkbox">
+                    <input type="checkbox" name="speakReminders" ${goals.speakReminders ? 'checked' : ''}>
+                    <span data-i18n="Read reminders aloud">Read reminders aloud</span>
+                </label>
+                <button type="submit" class="btn btn-primary" data-i18n="Save">Save</button>
+            </form>
+        </details>
+    `;
+
+    panelElement.querySelector('.wellbeing-form').addEventListener('submit', handleGoalsSubmit);
+}
+
+/**
+ * Save goals from the settings form
+ */
+async function handleGoalsSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    const result = await setWellbeingGoals({
+        mode: form.mode.value,
+        dailyMinutes: Math.max(0, parseInt(form.dailyMinutes.value) || 0),
+        weeklyMinutes: Math.max(0, Math.round((parseFloat(form.weeklyHours.value) || 0) * 60)),
+        breakReminderMinutes: Math.max(0, parseInt(form.breakReminderMinutes.value) || 0),
+        speakReminders: form.speakReminders.checked
+    });
+
+    showMessage(result.success ? 'Goals saved' : 'Goals saved on this device only', result.success ? 'success' : 'warning');
+    remindersInStretch = 0;
+    updateWellbeing();
+    refreshWeeklySummary();
+}
+
+/**
+ * Progress ring markup (filled in by updateRing)
+ */
+function renderRing(period, label) {
+    const center = RING_SIZE / 2;
+    return `
+        <div class="wellbeing-ring" data-period="${period}">
+            <svg viewBox="0 0 ${RING_SIZE} ${RING_SIZE}" width="${RING_SIZE}" height="${RING_SIZE}" role="img">
+                <circle class="ring-track" cx="${center}" cy="${center}" r="${RING_RADIUS}"></circle>
+                <circle class="ring-progress" cx="${center}" cy="${center}" r="${RING_RADIUS}"
+                    stroke-dasharray="${RING_CIRCUMFERENCE.toFixed(2)}"
+                    stroke-dashoffset="${RING_CIRCUMFERENCE.toFixed(2)}"
+                    transform="rotate(-90 ${center} ${center})"></circle>
+                <text class="ring-percent" x="${center}" y="${center + 5}" text-anchor="middle"></text>
+            </svg>
+            <span class="ring-label">${label}</span>
+            <span class="ring-detail"></span>
+        </div>
+    `;
+}
+
+/**
+ * Update a progress ring with time used against its target
+ */
+function updateRing(period, seconds, targetSeconds) {
+    const ring = panelElement?.querySelector(`.wellbeing-ring[data-period="${period}"]`);
+    if (!ring) return;
+
+    const label = period === 'daily' ? 'Today' : 'This week';
+    const goalWord = goals.mode === 'limit' ? 'limit' : 'goal';
+    const progress = targetSeconds ? seconds / targetSeconds : 0;
+    const percent = Math.round(progress * 100);
+    let description;
+
+    if (targetSeconds) {
+        ring.querySelector('.ring-percent').textContent = percent + '%';
+        ring.querySelector('.ring-detail').textContent = `${formatTimeLong(seconds)} of ${formatTimeLong(targetSeconds)}`;
+        description = `${label}: ${formatTimeLongForTTS(seconds)} of your ${formatTimeLongForTTS(targetSeconds)} ${goalWord}, ${percent} percent`;
+    } else {
+        ring.querySelector('.ring-percent').textContent = '–';
+        ring.querySelector('.ring-detail').textContent = `No ${goalWord} set`;
+        description = `${label}: no ${goalWord} set`;
+    }
+
+    const offset = RING_CIRCUMFERENCE * (1 - Math.min(1, progress));
+    ring.querySelector('.ring-progress').setAttribute('stroke-dashoffset', offset.toFixed(2));
+    ring.classList.toggle('over-limit', goals.mode === 'limit' && targetSeconds > 0 && progress >= 1);
+    ring.classList.toggle('goal-met', goals.mode === 'goal' && targetSeconds > 0 && progress >= 1);
+
+    const svg = ring.querySelector('svg');
+    svg.setAttribute('aria-label', description);
+    ring.setAttribute('data-tts', description);
+}
+
+/**
+ * Show message notification
+ */
+function showMessage(message, type) {
+    document.querySelectorAll('.message').forEach(el => el.remove());
+
+    const messageElement = document.createElement('div');
+    messageElement.className = 'message message-' + type;
+    messageElement.setAttribute('role', 'alert');
+    messageElement.setAttribute('aria-live', 'polite');
+    messageElement.textContent = message;
+
+    document.body.appendChild(messageElement);
+
+    setTimeout(() => {
+        messageElement.remove();
+    }, 5000);
+}
@@ -0,0 +1,150 @@
+/**
+ * Service Worker
+ * Makes the app installable and usable offline
+ *
+ * Features:
+ * - Precaches the pages, stylesheet, icons and js/ modules (the app shell)
+ * - Caches the Firebase SDK modules loaded from gstatic
+ * - Keeps the cache of recently viewed journals (written by js/pwa.js)
+ * - Waits for the page to confirm before a new version takes over
+ *
+ * Bump CACHE_VERSION whenever any precached file changes, otherwise
+ * installed clients keep serving the old copy.
+ */
+
+const CACHE_VERSION = 'v19';
+const PRECACHE = `app-shell-${CACHE_VERSION}`;
+const SDK_CACHE = 'firebase-sdk-9.22.0';
+const RECENT_JOURNALS_CACHE = 'recent-journals';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './auth.html',
+    './journal.html',
+    './css/styles.css',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './js/accessibility.js',
+    './js/analytics.js',
+    './js/app.js',
+    './js/auth.js',
+    './js/diagnostics.js',
+    './js/diff.js',
+    './js/draft.js',
+    './js/draft-history.js',
+    './js/firebase-config.js',
+    './js/firestore-adapter.js',
+    './js/idb.js',
+    './js/idle.js',
+    './js/indexeddb-adapter.js',
+    './js/journal.js',
+    './js/local-store.js',
+    './js/low-data.js',
+    './js/merge-dialog.js',
+    './js/netsim.js',
+    './js/network.js',
+    './js/pwa.js',
+    './js/storage.js',
+    './js/storage-quota.js',
+    './js/sync.js',
+    './js/tab-leader.js',
+    './js/time-export.js',
+    './js/time-utils.js',
+    './js/tracker.js',
+    './js/usage-dashboard.js',
+    './js/vault.js',
+    './js/vault-dialog.js',
+    './js/wellbeing.js'
+];
+
+// Firebase SDK modules imported by the app; fetched at install when possible
+const SDK_PREFIX = 'https://www.gstatic.com/firebasejs/';
+const SDK_URLS = [
+    `${SDK_PREFIX}9.22.0/firebase-app.js`,
+    `${SDK_PREFIX}9.22.0/firebase-auth.js`,
+    `${SDK_PREFIX}9.22.0/firebase-firestore.js`
+];
+
+const KNOWN_CACHES = [PRECACHE, SDK_CACHE, RECENT_JOURNALS_CACHE];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(PRECACHE);
+        await shell.addAll(PRECACHE_URLS);
+
+        // The SDK is optional at install: a blocked CDN must not stop the app
+        // shell from installing. Anything missed is cached on first use.
+        const sdk = await caches.open(SDK_CACHE);
+        await Promise.all(SDK_URLS.map(url =>
+            sdk.add(url).catch(error => console.warn('SW: could not precache', url, error))
+        ));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => !KNOWN_CACHES.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks the waiting worker to take over after the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.url.startsWith(SDK_PREFIX)) {
+        event.respondWith(cacheFirst(request, SDK_CACHE));
+        return;
+    }
+
+    // Firestore, auth, fonts and other cross-origin requests go straight to the network
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Pages are opened with query strings and hashes (e.g. auth.html#signup)
+        event.respondWith(
+            caches.match(request, { cacheName: PRECACHE, ignoreSearch: true })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (PRECACHE_URLS.some(path => new URL(path, self.location).href === url.href)) {
+        event.respondWith(
+            caches.match(request, { cacheName: PRECACHE })
+                .then(cached => cached || fetch(request))
+        );
+    }
+
+    // Everything else (e.g. the network speed probe) is never cached
+});
+
+/**
+ * Serve from a cache, fetching and storing the response on a miss
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}